@@ -0,0 +1,179 @@
+/**
+ * Alignment Editor Composable
+ * Hand corrections to the score-to-recording alignment: anchors tapped on
+ * downbeats while listening or dragged on the waveform. DTWAligner
+ * re-warps the measures between anchors; every change can be undone.
+ */
+
+import { ref, computed, unref } from 'vue'
+import { useSessionStore } from '../stores/session.js'
+import DTWAligner from '../services/logic/DTWAligner.js'
+
+// Smallest gap kept between a dragged anchor and its anchored neighbours (seconds)
+const MIN_ANCHOR_GAP = 0.05
+
+/**
+ * @param {Object} timeline - from usePlaybackTimeline (measureStartTimes, timeline)
+ * @param {Ref<number>|number} duration - recording length in seconds
+ */
+export function useAlignmentEditor(timeline, duration) {
+  const sessionStore = useSessionStore()
+  const aligner = new DTWAligner()
+
+  const isEditing = ref(false)
+  // Earlier anchor sets, most recent last
+  const undoStack = ref([])
+  // Measure the last tap anchored, while taps follow each other through the piece
+  let lastTapped = null
+  let dragging = null
+  let dragSnapshot = null
+
+  const anchors = computed(() => sessionStore.alignment?.anchors || new Map())
+  const measureConfidence = computed(() => sessionStore.alignment?.measureConfidence || new Map())
+  const canUndo = computed(() => undoStack.value.length > 0)
+  const measureCount = computed(() => unref(timeline.timeline).length)
+
+  /**
+   * Start editing the current alignment. Without one (the recording was
+   * never aligned), the written-tempo measure times are the starting point.
+   */
+  function begin() {
+    const current = sessionStore.alignment
+    if (current?.measureToTime?.size) {
+      aligner.loadAlignment(current)
+    } else {
+      const starts = unref(timeline.measureStartTimes)
+      aligner.loadAlignment({
+        measureToTime: new Map(starts.slice(0, measureCount.value).map((time, i) => [i + 1, time])),
+        confidence: 0,
+        duration: unref(duration)
+      })
+    }
+    undoStack.value = []
+    lastTapped = null
+    isEditing.value = true
+    publish()
+  }
+
+  function end() {
+    isEditing.value = false
+    lastTapped = null
+    dragging = null
+  }
+
+  function publish() {
+    sessionStore.setAlignment(aligner.getAlignmentResult())
+  }
+
+  function change(apply) {
+    undoStack.value.push(Array.from(aligner.anchors))
+    apply()
+    publish()
+  }
+
+  /**
+   * Downbeat tapped at a playback time. The first tap of a run anchors the
+   * measure starting nearest to it; the following taps anchor the next measures.
+   * @param {number} time - seconds
+   * @returns {number|null} the anchored measure
+   */
+  function tap(time) {
+    const measure = lastTapped !== null ? lastTapped + 1 : nearestMeasure(time)
+    if (measure === null || measure > measureCount.value) return null
+
+    change(() => aligner.setAnchor(measure, time))
+    lastTapped = measure
+    return measure
+  }
+
+  // Playback jumped or stopped: the next tap starts a new run
+  function resetTapRun() {
+    lastTapped = null
+  }
+
+  function nearestMeasure(time) {
+    const starts = unref(timeline.measureStartTimes).slice(0, measureCount.value)
+    if (starts.length === 0) return null
+
+    let best = 0
+    starts.forEach((start, i) => {
+      if (Math.abs(start - time) < Math.abs(starts[best] - time)) best = i
+    })
+    return best + 1
+  }
+
+  /**
+   * Drag a measure line: the drag is one undo step however far it goes
+   * @param {number} measure - performed position
+   */
+  function startDrag(measure) {
+    dragSnapshot = Array.from(aligner.anchors)
+    dragging = measure
+  }
+
+  /**
+   * @returns {boolean} whether the line moved
+   */
+  function dragTo(time) {
+    if (dragging === null) return false
+    // A click without movement leaves no undo step
+    if (dragSnapshot) {
+      undoStack.value.push(dragSnapshot)
+      dragSnapshot = null
+    }
+    aligner.setAnchor(dragging, clampBetweenAnchors(dragging, time))
+    publish()
+    return true
+  }
+
+  function endDrag() {
+    dragging = null
+    dragSnapshot = null
+  }
+
+  // Anchors stay in measure order
+  function clampBetweenAnchors(measure, time) {
+    let min = 0
+    let max = unref(duration) || Infinity
+    aligner.anchors.forEach((anchorTime, anchored) => {
+      if (anchored < measure) min = Math.max(min, anchorTime + MIN_ANCHOR_GAP)
+      if (anchored > measure) max = Math.min(max, anchorTime - MIN_ANCHOR_GAP)
+    })
+    return Math.max(min, Math.min(max, time))
+  }
+
+  function removeAnchor(measure) {
+    if (!aligner.anchors.has(measure)) return
+    change(() => aligner.removeAnchor(measure))
+  }
+
+  function clearAnchors() {
+    if (aligner.anchors.size === 0) return
+    change(() => aligner.setAnchors([]))
+  }
+
+  function undo() {
+    const previous = undoStack.value.pop()
+    if (!previous) return
+    aligner.setAnchors(previous)
+    lastTapped = null
+    publish()
+  }
+
+  return {
+    isEditing,
+    anchors,
+    measureConfidence,
+    canUndo,
+    begin,
+    end,
+    tap,
+    resetTapRun,
+    startDrag,
+    dragTo,
+    endDrag,
+    removeAnchor,
+    clearAnchors,
+    undo
+  }
+}
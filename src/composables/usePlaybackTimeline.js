@@ -0,0 +1,212 @@
+/**
+ * Playback Timeline Composable
+ * Maps playback time to measures in performed order (repeats unfolded),
+ * following the tempo map and meter changes of the score, or the recording
+ * when a score-to-audio alignment (DTWAligner) is available
+ */
+
+import { computed, unref } from 'vue'
+
+/**
+ * @param {Ref<ParsedScore>|ParsedScore} parsedScore
+ * @param {Ref<AlignmentResult>|AlignmentResult|null} [alignment] - measureToTime keyed by performed position
+ */
+export function usePlaybackTimeline(parsedScore, alignment = null) {
+  const bpm = computed(() => unref(parsedScore)?.tempo || 120)
+  const beatsPerMeasure = computed(() => unref(parsedScore)?.timeSignature?.beats || 4)
+
+  /**
+   * Tempo, meter and duration (seconds) of a written measure.
+   * Tempo is in quarter notes per minute; mid-measure tempo changes are honoured.
+   * Pickups and other short measures last as long as the parser made them.
+   */
+  function getMeasureTiming(measureNumber) {
+    const score = unref(parsedScore)
+    const measure = score?.measures?.[measureNumber - 1]
+    const timeSignature = measure?.timeSignature || score?.timeSignature || { beats: 4, beatType: 4 }
+    const tempo = measure?.tempo || bpm.value
+    const span = measure?.endBeat - measure?.startBeat
+    const length = span > 0 ? span : timeSignature.beats * 4 / timeSignature.beatType
+
+    let seconds = 0
+    let position = 0
+    let currentTempo = tempo
+    for (const change of measure?.tempoChanges || []) {
+      seconds += (change.beat - position) * 60 / currentTempo
+      position = change.beat
+      currentTempo = change.bpm
+    }
+    seconds += (length - position) * 60 / currentTempo
+
+    return { timeSignature, tempo, seconds }
+  }
+
+  // Performed measures; scores parsed without a performance timeline play in written order
+  const timeline = computed(() => {
+    const score = unref(parsedScore)
+    if (score?.performance?.timeline?.length) {
+      return score.performance.timeline
+    }
+    return (score?.measures || []).map((measure, i) => ({
+      index: i + 1,
+      measure: measure.number,
+      label: measure.label || String(measure.number),
+      pass: 1
+    }))
+  })
+
+  const measureTimings = computed(() => {
+    return timeline.value.map(entry => getMeasureTiming(entry.measure))
+  })
+
+  // Start times at the written tempo, plus the end time
+  const scoreStartTimes = computed(() => {
+    const times = [0]
+    measureTimings.value.forEach((timing, i) => {
+      times.push(times[i] + timing.seconds)
+    })
+    return times
+  })
+
+  const isAligned = computed(() => (unref(alignment)?.measureToTime?.size || 0) > 0)
+
+  // Start time (seconds) of every performed measure, plus the end time
+  const measureStartTimes = computed(() => {
+    return isAligned.value ? alignedStartTimes() : scoreStartTimes.value
+  })
+
+  /**
+   * Start times in the recording. Measures the alignment has no time for
+   * are spread over the gap in proportion to their written length.
+   */
+  function alignedStartTimes() {
+    const { measureToTime, duration } = unref(alignment)
+    const scoreTimes = scoreStartTimes.value
+    const count = timeline.value.length
+
+    const times = scoreTimes.map((_, i) => {
+      const time = i < count ? measureToTime.get(i + 1) : duration
+      return Number.isFinite(time) ? time : null
+    })
+    if (times[0] === null) times[0] = 0
+
+    let known = 0
+    for (let i = 1; i <= count; i++) {
+      if (times[i] === null && i < count) continue
+
+      if (times[i] === null) {
+        // No recording length: the tail keeps its written length
+        times[i] = times[known] + scoreTimes[i] - scoreTimes[known]
+      }
+      const span = scoreTimes[i] - scoreTimes[known] || 1
+      for (let j = known + 1; j < i; j++) {
+        times[j] = times[known] + (times[i] - times[known]) * (scoreTimes[j] - scoreTimes[known]) / span
+      }
+      known = i
+    }
+
+    // The path is monotonic, but manual adjustments may not be
+    for (let i = 1; i <= count; i++) {
+      times[i] = Math.max(times[i], times[i - 1])
+    }
+    return times
+  }
+
+  const totalDuration = computed(() => measureStartTimes.value[timeline.value.length] || 0)
+
+  // Tempo of every performed measure: as marked, or as the recording takes it
+  const measureTempos = computed(() => {
+    const starts = measureStartTimes.value
+    return measureTimings.value.map((timing, i) => {
+      const length = starts[i + 1] - starts[i]
+      return isAligned.value && length > 0 ? timing.tempo * timing.seconds / length : timing.tempo
+    })
+  })
+
+  /**
+   * Locate the performed measure playing at a given time
+   * @param {number} time - seconds
+   * @returns {Object|null} { entry, index, measure, offset, progress, beat, beats, tempo }
+   */
+  function locate(time) {
+    const entries = timeline.value
+    if (entries.length === 0) return null
+
+    const starts = measureStartTimes.value
+    let low = 0
+    let high = entries.length - 1
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2)
+      if (starts[mid] <= time) low = mid
+      else high = mid - 1
+    }
+
+    const entry = entries[low]
+    const timing = measureTimings.value[low]
+    const length = starts[low + 1] - starts[low] || 1
+    const offset = Math.max(0, time - starts[low])
+    const beats = timing.timeSignature.beats
+    let progress = Math.min(1, offset / length)
+    // Aligned: the tempo the recording actually takes through this measure
+    let tempo = isAligned.value && starts[low + 1] > starts[low]
+      ? Math.round(timing.tempo * timing.seconds / length)
+      : timing.tempo
+
+    // Aligned beats: the cursor moves beat by beat as played, and the
+    // tempo is the current beat's
+    const beatTimes = isAligned.value ? unref(alignment).beatTimes?.get(entry.index) : null
+    if (beatTimes?.length) {
+      let beat = 0
+      while (beat + 1 < beatTimes.length && beatTimes[beat + 1] <= time) beat++
+      const beatLength = (beatTimes[beat + 1] ?? starts[low + 1]) - beatTimes[beat]
+      const within = beatLength > 0 ? Math.max(0, Math.min(1, (time - beatTimes[beat]) / beatLength)) : 0
+      progress = (beat + within) / beatTimes.length
+      if (beatLength > 0) {
+        tempo = Math.round(timing.tempo * timing.seconds / beatTimes.length / beatLength)
+      }
+    }
+
+    return {
+      entry,
+      index: entry.index,
+      measure: entry.measure,
+      offset,
+      progress,
+      beat: Math.min(beats, Math.floor(progress * beats) + 1),
+      beats,
+      tempo
+    }
+  }
+
+  /**
+   * Start time of a performed measure
+   * @param {number} index - 1-based performed position
+   */
+  function timeOfPerformedMeasure(index) {
+    const clamped = Math.max(1, Math.min(index, timeline.value.length + 1))
+    return measureStartTimes.value[clamped - 1] || 0
+  }
+
+  /**
+   * Start time of a written measure (its first performed occurrence)
+   * @param {number} measureNumber - written measure number
+   */
+  function timeOfMeasure(measureNumber) {
+    const entry = timeline.value.find(e => e.measure === measureNumber)
+    return entry ? timeOfPerformedMeasure(entry.index) : 0
+  }
+
+  return {
+    bpm,
+    beatsPerMeasure,
+    timeline,
+    measureTimings,
+    measureStartTimes,
+    isAligned,
+    totalDuration,
+    measureTempos,
+    locate,
+    timeOfPerformedMeasure,
+    timeOfMeasure
+  }
+}
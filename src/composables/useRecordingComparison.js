@@ -0,0 +1,108 @@
+/**
+ * Recording Comparison Composable
+ * Several recordings of one score side by side: the tempo each takes
+ * through every measure, and switching playback from one to another at
+ * the same place in the music.
+ */
+
+import { computed, unref, shallowRef, watch, effectScope, onUnmounted } from 'vue'
+import { useSessionStore } from '../stores/session.js'
+import { usePlaybackTimeline } from './usePlaybackTimeline.js'
+
+// Line colours of the recordings, in upload order
+const RECORDING_COLORS = ['#60a5fa', '#f472b6', '#34d399', '#fbbf24', '#a78bfa', '#f87171']
+
+/**
+ * @param {Ref<ParsedScore>|ParsedScore} parsedScore
+ */
+export function useRecordingComparison(parsedScore) {
+  const sessionStore = useSessionStore()
+  // One playback timeline per recording, each following its own alignment
+  // and living in its own effect scope: id -> { scope, timeline }
+  const timelines = shallowRef(new Map())
+
+  const recordings = computed(() => sessionStore.recordings)
+  const activeRecordingId = computed(() => sessionStore.activeRecordingId)
+  const canCompare = computed(() => recordings.value.length > 1)
+
+  watch(() => recordings.value.map(recording => recording.id), ids => {
+    const next = new Map()
+    ids.forEach(id => {
+      if (timelines.value.has(id)) {
+        next.set(id, timelines.value.get(id))
+        return
+      }
+      const scope = effectScope(true)
+      const timeline = scope.run(() => {
+        const alignment = computed(() => sessionStore.recordings.find(r => r.id === id)?.alignment || null)
+        return usePlaybackTimeline(parsedScore, alignment)
+      })
+      next.set(id, { scope, timeline })
+    })
+    timelines.value.forEach((entry, id) => {
+      if (!next.has(id)) entry.scope.stop()
+    })
+    timelines.value = next
+  }, { immediate: true })
+
+  onUnmounted(() => {
+    timelines.value.forEach(entry => entry.scope.stop())
+    timelines.value = new Map()
+  })
+
+  function timelineOf(id) {
+    return timelines.value.get(id)?.timeline || null
+  }
+
+  /**
+   * Per-measure tempo of every aligned recording
+   * @returns {Array<{ id, name, color, active, tempos: number[] }>} tempos by performed position
+   */
+  const tempoCurves = computed(() => {
+    if (!unref(parsedScore)) return []
+    return recordings.value
+      .map((recording, i) => ({ recording, color: RECORDING_COLORS[i % RECORDING_COLORS.length] }))
+      .filter(({ recording }) => recording.alignment?.measureToTime?.size && timelineOf(recording.id))
+      .map(({ recording, color }) => ({
+        id: recording.id,
+        name: recording.name,
+        color,
+        active: recording.id === activeRecordingId.value,
+        tempos: timelineOf(recording.id).measureTempos.value
+      }))
+  })
+
+  // BPM span shared by all curves, so they compare on one scale
+  const tempoRange = computed(() => {
+    const values = tempoCurves.value.flatMap(curve => curve.tempos)
+    if (values.length === 0) return { min: 0, max: 0 }
+    return { min: Math.floor(Math.min(...values)), max: Math.ceil(Math.max(...values)) }
+  })
+
+  /**
+   * Make another recording active. The returned time is where the given
+   * position (performed measure and progress through it) falls in it.
+   * @param {string} id
+   * @param {{ index: number, progress: number }|null} position - in the recording playing now
+   * @returns {number} seconds in the newly active recording
+   */
+  function switchTo(id, position) {
+    sessionStore.selectRecording(id)
+    if (!position) return 0
+
+    const timeline = timelineOf(id)
+    if (!timeline) return 0
+    const start = timeline.timeOfPerformedMeasure(position.index)
+    const end = timeline.timeOfPerformedMeasure(position.index + 1)
+    return start + (position.progress || 0) * (end - start)
+  }
+
+  return {
+    recordings,
+    activeRecordingId,
+    canCompare,
+    tempoCurves,
+    tempoRange,
+    switchTo
+  }
+}
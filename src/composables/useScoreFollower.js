@@ -0,0 +1,110 @@
+/**
+ * Score Follower Composable
+ * Follows a live performer through the score: chroma frames from the
+ * microphone (or a recording streamed as if live) go through the online
+ * DTW follower, and the position it finds highlights the structure node
+ * being played.
+ */
+
+import { ref, shallowRef, unref, onUnmounted } from 'vue'
+import { useStructureStore } from '../stores/structure.js'
+import LiveChromaSource from '../services/perception/LiveChromaSource.js'
+import ScoreFollower from '../services/logic/ScoreFollower.js'
+import StructureAnalyzer from '../services/logic/StructureAnalyzer.js'
+
+export function useScoreFollower(parsedScore) {
+  const structureStore = useStructureStore()
+
+  const isFollowing = ref(false)
+  // 'microphone' or 'recording'
+  const input = ref(null)
+  const position = shallowRef(null)
+  const error = ref(null)
+
+  const source = new LiveChromaSource()
+  const follower = new ScoreFollower()
+  const analyzer = new StructureAnalyzer()
+  let highlightedIndex = null
+
+  /**
+   * Start following
+   * @param {'microphone'|'recording'} kind
+   * @param {Object} [options]
+   * @param {AudioBuffer} [options.audioBuffer] - recording to stream (kind 'recording')
+   * @param {number} [options.fromMeasure=1] - performed position the performer starts at
+   * @param {number} [options.offset=0] - seconds into the recording
+   */
+  async function start(kind, { audioBuffer = null, fromMeasure = 1, offset = 0 } = {}) {
+    const score = unref(parsedScore)
+    if (!score) return
+
+    stop()
+    error.value = null
+    follower.load(analyzer.performedScore(score), { tempo: score.tempo || 120 })
+    follower.jumpTo(fromMeasure)
+
+    try {
+      if (kind === 'recording') {
+        await source.startBuffer(audioBuffer, handleFrame, { offset, onEnded: stop })
+      } else {
+        await source.startMicrophone(handleFrame)
+      }
+      input.value = kind
+      isFollowing.value = true
+    } catch (err) {
+      source.stop()
+      error.value = err.name === 'NotAllowedError'
+        ? 'Microphone access was denied'
+        : err.message
+      throw err
+    }
+  }
+
+  function handleFrame(frame) {
+    const found = follower.push(frame)
+    if (!found) return
+
+    // Delay between the sound and the position being shown
+    position.value = { ...found, latency: Math.max(0, source.currentTime - found.time) }
+
+    if (found.index !== highlightedIndex) {
+      highlightedIndex = found.index
+      const node = structureStore.getNodeAtPerformedMeasure(found.index)
+      structureStore.clearHighlights()
+      if (node) structureStore.highlightNode(node.id)
+    }
+  }
+
+  /**
+   * The performer restarted from another measure
+   * @param {number} index - performed position
+   */
+  function jumpTo(index) {
+    follower.jumpTo(index)
+    highlightedIndex = null
+  }
+
+  function stop() {
+    source.stop()
+    if (isFollowing.value) {
+      structureStore.clearHighlights()
+    }
+    isFollowing.value = false
+    input.value = null
+    highlightedIndex = null
+  }
+
+  onUnmounted(() => {
+    source.close()
+  })
+
+  return {
+    isFollowing,
+    input,
+    position,
+    error,
+    start,
+    stop,
+    jumpTo
+  }
+}
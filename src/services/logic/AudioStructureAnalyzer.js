@@ -0,0 +1,596 @@
+/**
+ * Audio Structure Analyzer - Logic Layer
+ * Finds the form of a recording that has no score:
+ * - Beat-synchronous chroma / MFCC frames
+ * - Self-similarity matrix and checkerboard novelty curve for section boundaries
+ * - Segments with similar content share a material label (A, B, A')
+ *
+ * Bars are counted from the beat tracker (downbeat phase, beats per bar), so
+ * the resulting tree uses measure numbers like a score-based one and fits
+ * structureStore.setStructureTree.
+ */
+
+import { getConfidenceVisualStyle, FormTypes, RULE_ENGINE_VERSION } from './RuleEngine.js'
+
+const generateId = () => {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.random() * 16 | 0
+    const v = c === 'x' ? r : (r & 0x3 | 0x8)
+    return v.toString(16)
+  })
+}
+
+// Above this many beats, neighbouring beats are merged before building the matrix
+const MAX_BLOCKS = 1200
+
+export class AudioStructureAnalyzer {
+  constructor() {
+    // Novelty kernel half-width, in beats (four bars of 4/4 on either side)
+    this.kernelBeats = 16
+    // Shortest section, in bars
+    this.minSectionBars = 4
+    // Segment similarity (0-1, relative to the recording) for the same material / a variant
+    this.repeatThreshold = 0.75
+    this.variantThreshold = 0.5
+    // Fixed block length when no beats were tracked
+    this.fallbackBlockSeconds = 0.5
+    this.structureTree = null
+    this.formAnalysis = null
+    this.segments = []
+    this.novelty = null
+    this.version = RULE_ENGINE_VERSION
+  }
+
+  /**
+   * Build a structure tree from audio features
+   * @param {Object} features - { chroma, mfcc } frames, as returned by extractChroma / extractMFCC (or extractMeyda)
+   * @param {Object} options
+   * @param {number} options.frameRate - feature frames per second (sampleRate / hopSize)
+   * @param {number} options.duration - recording length in seconds
+   * @param {BeatFeatures} [options.beats] - beat tracker output; without it fixed blocks are used
+   * @param {number} [options.beatsPerBar=4]
+   * @param {KeySignature} [options.keySignature] - key estimated from the audio
+   * @returns {Object} StructureTree
+   */
+  buildHierarchy(features, { frameRate, duration, beats = null, beatsPerBar = 4, keySignature = null } = {}) {
+    const { chroma = [], mfcc = [] } = features
+    if (chroma.length === 0) {
+      throw new Error('No audio features to analyze')
+    }
+
+    const grid = this.createBeatGrid(beats, duration, beatsPerBar)
+    const blocks = this.groupBeats(grid.beatTimes, duration)
+    const blockFeatures = this.beatSynchronize({ chroma, mfcc }, frameRate, blocks)
+    const matrix = this.buildSelfSimilarity(blockFeatures)
+
+    const kernelSize = Math.max(2, Math.min(Math.round(this.kernelBeats / blocks.beatsPerBlock), Math.floor(matrix.size / 4)))
+    this.novelty = this.computeNovelty(matrix, kernelSize)
+
+    const minBlocks = Math.max(2, Math.round(this.minSectionBars * beatsPerBar / blocks.beatsPerBlock))
+    const boundaries = this.pickBoundaries(this.novelty, minBlocks)
+      .map(block => this.snapToBar(block, blocks, grid))
+    this.segments = this.createSegments([...new Set(boundaries)].sort((a, b) => a - b), blocks, grid, matrix)
+    this.labelSegments(this.segments, matrix)
+
+    this.formAnalysis = this.classifyForm(this.segments)
+    this.structureTree = this.buildTree(this.segments, this.formAnalysis, grid, beats, keySignature)
+    this.generateTreeTooltips(this.structureTree)
+
+    return this.structureTree
+  }
+
+  /**
+   * Beat times and the bars they fall in. The first bar may be a pickup
+   * when the strongest downbeat phase is not 0.
+   * @returns {{ beatTimes: number[], barStarts: number[], beatsPerBar: number }}
+   *   barStarts - beat index where each bar starts
+   */
+  createBeatGrid(beats, duration, beatsPerBar) {
+    let beatTimes = beats?.times || []
+    let phase = beats?.downbeats?.[0]?.phase || 0
+
+    if (beatTimes.length < beatsPerBar * 2) {
+      beatTimes = []
+      for (let t = 0; t < duration; t += this.fallbackBlockSeconds) beatTimes.push(t)
+      phase = 0
+    }
+
+    const barStarts = phase > 0 ? [0] : []
+    for (let i = phase; i < beatTimes.length; i += beatsPerBar) barStarts.push(i)
+
+    return { beatTimes, barStarts, beatsPerBar }
+  }
+
+  /**
+   * Blocks of one or more beats, with their time spans
+   * @returns {{ starts: number[], ends: number[], beatsPerBlock: number }}
+   */
+  groupBeats(beatTimes, duration) {
+    const beatsPerBlock = Math.ceil(beatTimes.length / MAX_BLOCKS)
+    const starts = []
+    const ends = []
+
+    for (let i = 0; i < beatTimes.length; i += beatsPerBlock) {
+      const next = beatTimes[i + beatsPerBlock]
+      const lastGap = beatTimes.length > 1 ? beatTimes[beatTimes.length - 1] - beatTimes[beatTimes.length - 2] : this.fallbackBlockSeconds
+      starts.push(beatTimes[i])
+      ends.push(next ?? Math.min(duration, beatTimes[beatTimes.length - 1] + lastGap))
+    }
+
+    return { starts, ends, beatsPerBlock }
+  }
+
+  /**
+   * Average the feature frames inside each block. Chroma is L2-normalized;
+   * MFCC drops the energy coefficient and is standardized per coefficient,
+   * so timbre changes count rather than loudness.
+   * @returns {{ chroma: Float32Array[], mfcc: Float32Array[] }}
+   */
+  beatSynchronize({ chroma, mfcc }, frameRate, blocks) {
+    const average = (frames, start, end, from = 0) => {
+      const dims = (frames[0]?.length || from) - from
+      const sum = new Float32Array(dims)
+      const first = Math.min(Math.floor(start * frameRate), frames.length - 1)
+      const last = Math.max(first + 1, Math.min(Math.ceil(end * frameRate), frames.length))
+      for (let f = first; f < last; f++) {
+        for (let d = 0; d < dims; d++) sum[d] += frames[f][d + from] || 0
+      }
+      for (let d = 0; d < dims; d++) sum[d] /= last - first
+      return sum
+    }
+
+    const chromaBlocks = blocks.starts.map((start, i) => normalize(average(chroma, start, blocks.ends[i])))
+    const mfccBlocks = mfcc.length > 0
+      ? standardize(blocks.starts.map((start, i) => average(mfcc, start, blocks.ends[i], 1))).map(normalize)
+      : null
+
+    return { chroma: chromaBlocks, mfcc: mfccBlocks }
+  }
+
+  /**
+   * Self-similarity matrix: mean of chroma and MFCC cosine similarity,
+   * rescaled so the median pair is 0 and identical blocks are 1.
+   * @returns {{ size: number, values: Float32Array, at: Function }}
+   */
+  buildSelfSimilarity({ chroma, mfcc }) {
+    const size = chroma.length
+    const values = new Float32Array(size * size)
+
+    for (let i = 0; i < size; i++) {
+      for (let j = i; j < size; j++) {
+        let similarity = dot(chroma[i], chroma[j])
+        if (mfcc) similarity = (similarity + (dot(mfcc[i], mfcc[j]) + 1) / 2) / 2
+        values[i * size + j] = similarity
+        values[j * size + i] = similarity
+      }
+    }
+
+    // Recordings differ a lot in how similar everything sounds (one
+    // instrument vs. a band); compare against the recording's own median
+    const sorted = Float32Array.from(values).sort()
+    const median = sorted[Math.floor(sorted.length / 2)]
+    const range = Math.max(1e-6, 1 - median)
+    for (let k = 0; k < values.length; k++) {
+      values[k] = Math.max(0, (values[k] - median) / range)
+    }
+
+    return { size, values, at: (i, j) => values[i * size + j] }
+  }
+
+  /**
+   * Foote novelty: correlate a Gaussian-tapered checkerboard kernel along
+   * the diagonal. Peaks mark blocks where the music before and after are
+   * each self-similar but unlike each other.
+   * @param {Object} matrix
+   * @param {number} kernelSize - half-width in blocks
+   * @returns {Float32Array} novelty per block, 0-1
+   */
+  computeNovelty(matrix, kernelSize) {
+    const { size } = matrix
+    const novelty = new Float32Array(size)
+    const sigma = kernelSize / 2
+
+    const taper = new Float32Array(kernelSize * 2)
+    for (let a = -kernelSize; a < kernelSize; a++) {
+      const offset = a + 0.5
+      taper[a + kernelSize] = Math.exp(-(offset * offset) / (2 * sigma * sigma))
+    }
+
+    for (let i = 0; i < size; i++) {
+      let sum = 0
+      let weight = 0
+      for (let a = -kernelSize; a < kernelSize; a++) {
+        const row = i + a
+        if (row < 0 || row >= size) continue
+        for (let b = -kernelSize; b < kernelSize; b++) {
+          const col = i + b
+          if (col < 0 || col >= size) continue
+          // Same side of the boundary: +, across it: -
+          const sign = (a < 0) === (b < 0) ? 1 : -1
+          const w = taper[a + kernelSize] * taper[b + kernelSize]
+          sum += sign * w * matrix.at(row, col)
+          weight += w
+        }
+      }
+      novelty[i] = weight > 0 ? Math.max(0, sum / weight) : 0
+    }
+
+    const max = Math.max(...novelty)
+    if (max > 0) {
+      for (let i = 0; i < size; i++) novelty[i] /= max
+    }
+    return novelty
+  }
+
+  /**
+   * Section boundaries from novelty peaks: local maxima above the local
+   * mean, strongest first, at least minBlocks apart (and from both ends)
+   * @returns {number[]} block indices where sections start (without 0)
+   */
+  pickBoundaries(novelty, minBlocks) {
+    const size = novelty.length
+    const peaks = []
+
+    for (let i = minBlocks; i <= size - minBlocks; i++) {
+      let isPeak = true
+      let localSum = 0
+      let localCount = 0
+      for (let k = Math.max(0, i - minBlocks); k < Math.min(size, i + minBlocks + 1); k++) {
+        if (Math.abs(k - i) <= minBlocks / 2 && novelty[k] > novelty[i]) isPeak = false
+        localSum += novelty[k]
+        localCount++
+      }
+      const threshold = Math.max(0.1, localSum / localCount + 0.05)
+      if (isPeak && novelty[i] > threshold) peaks.push(i)
+    }
+
+    const boundaries = []
+    peaks
+      .sort((a, b) => novelty[b] - novelty[a])
+      .forEach(peak => {
+        if (boundaries.every(b => Math.abs(b - peak) >= minBlocks)) boundaries.push(peak)
+      })
+
+    return boundaries.sort((a, b) => a - b)
+  }
+
+  /**
+   * Move a boundary block to the nearest bar line
+   */
+  snapToBar(block, blocks, grid) {
+    const beat = block * blocks.beatsPerBlock
+    const nearest = grid.barStarts.reduce((best, start) =>
+      Math.abs(start - beat) < Math.abs(best - beat) ? start : best, grid.barStarts[0] ?? beat)
+    return Math.round(nearest / blocks.beatsPerBlock)
+  }
+
+  /**
+   * Segments between boundaries, with block, bar and time spans
+   */
+  createSegments(boundaries, blocks, grid, matrix) {
+    const starts = [0, ...boundaries.filter(b => b > 0 && b < matrix.size)]
+    const barOfBeat = beat => {
+      let bar = 0
+      while (bar + 1 < grid.barStarts.length && grid.barStarts[bar + 1] <= beat) bar++
+      return bar + 1
+    }
+
+    return starts.map((startBlock, i) => {
+      const endBlock = (starts[i + 1] ?? matrix.size) - 1
+      return {
+        id: generateId(),
+        startBlock,
+        endBlock,
+        startMeasure: barOfBeat(startBlock * blocks.beatsPerBlock),
+        endMeasure: barOfBeat(endBlock * blocks.beatsPerBlock),
+        startTime: blocks.starts[startBlock],
+        endTime: blocks.ends[endBlock],
+        novelty: startBlock > 0 ? this.novelty[startBlock] : 1,
+        label: null,
+        similarity: null
+      }
+    })
+  }
+
+  /**
+   * Similarity of two segments: mean matrix value along the diagonal that
+   * lines them up (segments of different length are stretched to match),
+   * best of a small time shift
+   */
+  compareSegments(seg1, seg2, matrix) {
+    const len1 = seg1.endBlock - seg1.startBlock + 1
+    const len2 = seg2.endBlock - seg2.startBlock + 1
+    const steps = Math.min(len1, len2)
+    let best = 0
+
+    for (let shift = -1; shift <= 1; shift++) {
+      let sum = 0
+      let count = 0
+      for (let k = 0; k < steps; k++) {
+        const i = seg1.startBlock + Math.floor(k * len1 / steps)
+        const j = seg2.startBlock + Math.floor(k * len2 / steps) + shift
+        if (j < seg2.startBlock || j > seg2.endBlock) continue
+        sum += matrix.at(i, j)
+        count++
+      }
+      if (count > 0) best = Math.max(best, sum / count)
+    }
+
+    // Very different lengths are unlikely to be the same material
+    return best * Math.min(1, 1.5 * steps / Math.max(len1, len2))
+  }
+
+  /**
+   * Label segments in order of appearance: a segment close to an earlier
+   * material repeats it (A), a weaker match is a variant (A'), otherwise
+   * it starts a new material (B, C...)
+   */
+  labelSegments(segments, matrix) {
+    const materials = []
+
+    segments.forEach(segment => {
+      let bestMaterial = null
+      let bestSimilarity = 0
+      materials.forEach(material => {
+        const similarity = this.compareSegments(material.segment, segment, matrix)
+        if (similarity > bestSimilarity) {
+          bestSimilarity = similarity
+          bestMaterial = material
+        }
+      })
+
+      if (bestMaterial && bestSimilarity >= this.repeatThreshold) {
+        segment.label = bestMaterial.letter
+      } else if (bestMaterial && bestSimilarity >= this.variantThreshold) {
+        bestMaterial.variants++
+        segment.label = bestMaterial.letter + "'".repeat(bestMaterial.variants)
+      } else {
+        const letter = String.fromCharCode(65 + materials.length)
+        materials.push({ letter, segment, variants: 0 })
+        segment.label = letter
+        bestSimilarity = null
+      }
+      segment.similarity = bestSimilarity
+    })
+
+    return segments
+  }
+
+  /**
+   * Form type from the sequence of material letters. Adjacent segments of
+   * the same material are one section.
+   * @returns {FormAnalysis}
+   */
+  classifyForm(segments) {
+    const sections = []
+    segments.forEach(segment => {
+      const letter = segment.label.charAt(0)
+      const last = sections[sections.length - 1]
+      if (last && last.letter === letter) {
+        last.segments.push(segment)
+        last.endMeasure = segment.endMeasure
+      } else {
+        sections.push({
+          id: generateId(),
+          name: segment.label,
+          letter,
+          startMeasure: segment.startMeasure,
+          endMeasure: segment.endMeasure,
+          segments: [segment]
+        })
+      }
+    })
+
+    const pattern = sections.map(s => s.letter).join('')
+    const letters = new Set(pattern)
+    let formType = 'multi_part'
+    let functions = sections.map((_, i) => (i === 0 ? 'main' : 'secondary'))
+
+    if (letters.size === 1) {
+      formType = FormTypes.ONE_PART
+    } else if (pattern.length === 2) {
+      formType = FormTypes.BINARY_PARALLEL
+      functions = ['exposition', 'contrast']
+    } else if (pattern.length === 3 && pattern[0] === pattern[2]) {
+      formType = FormTypes.TERNARY_SIMPLE
+      functions = ['exposition', 'contrast', 'recapitulation']
+    } else if (letters.size === 2 && pattern.length >= 4) {
+      // Two materials taking turns: verse / chorus
+      formType = FormTypes.VERSE_CHORUS
+      const chorus = this.findChorusLetter(sections)
+      functions = sections.map(s => (s.letter === chorus ? 'chorus' : 'verse'))
+    } else if (pattern.length >= 5 && pattern.split('').every((l, i) => i % 2 === 1 || l === pattern[0])) {
+      formType = FormTypes.RONDO
+      functions = sections.map(s => (s.letter === pattern[0] ? 'refrain' : 'episode'))
+    }
+
+    const repeats = segments.filter(s => s.similarity !== null)
+    const agreement = repeats.length > 0
+      ? repeats.reduce((sum, s) => sum + s.similarity, 0) / repeats.length
+      : 0.5
+    const boundaryStrength = segments.length > 1
+      ? segments.slice(1).reduce((sum, s) => sum + s.novelty, 0) / (segments.length - 1)
+      : 0.5
+
+    return {
+      formType,
+      sections: sections.map((section, i) => ({
+        id: section.id,
+        name: section.name,
+        type: 'section',
+        startMeasure: section.startMeasure,
+        endMeasure: section.endMeasure,
+        function: functions[i],
+        segments: section.segments
+      })),
+      // Audio-only analysis is less certain than a score-based one
+      confidence: Math.min(0.8, 0.4 + 0.2 * agreement + 0.2 * boundaryStrength),
+      source: 'audio',
+      pattern: segments.map(s => s.label).join(' ')
+    }
+  }
+
+  /**
+   * Chorus of two alternating materials: the one whose repeats match best
+   * (ties: the second material)
+   */
+  findChorusLetter(sections) {
+    const scores = {}
+    sections.forEach(section => {
+      section.segments.forEach(segment => {
+        if (segment.similarity !== null) {
+          scores[section.letter] = (scores[section.letter] || 0) + segment.similarity
+        }
+      })
+    })
+    const [first, second] = [...new Set(sections.map(s => s.letter))]
+    return (scores[first] || 0) > (scores[second] || 0) ? first : second
+  }
+
+  /**
+   * Tree: root → one theme node per section → one phrase node per segment
+   */
+  buildTree(segments, formAnalysis, grid, beats, keySignature = null) {
+    const nodes = new Map()
+    const lastSegment = segments[segments.length - 1]
+
+    const root = {
+      id: generateId(),
+      type: 'section',
+      startMeasure: 1,
+      endMeasure: lastSegment.endMeasure,
+      children: [],
+      parent: null,
+      material: 'A',
+      confidence: formAnalysis.confidence,
+      features: {
+        formType: formAnalysis.formType,
+        source: 'audio',
+        tempo: beats?.tempo ? Math.round(beats.tempo) : null,
+        keySignature,
+        beatsPerBar: grid.beatsPerBar,
+        startTime: segments[0].startTime,
+        endTime: lastSegment.endTime
+      }
+    }
+    nodes.set(root.id, root)
+
+    formAnalysis.sections.forEach(section => {
+      const sectionNode = {
+        id: section.id,
+        type: 'theme',
+        startMeasure: section.startMeasure,
+        endMeasure: section.endMeasure,
+        children: [],
+        parent: root,
+        material: section.name,
+        confidence: formAnalysis.confidence,
+        features: {
+          function: section.function,
+          startTime: section.segments[0].startTime,
+          endTime: section.segments[section.segments.length - 1].endTime
+        }
+      }
+      root.children.push(sectionNode)
+      nodes.set(sectionNode.id, sectionNode)
+
+      section.segments.forEach(segment => {
+        const segmentNode = {
+          id: segment.id,
+          type: 'phrase',
+          startMeasure: segment.startMeasure,
+          endMeasure: segment.endMeasure,
+          children: [],
+          parent: sectionNode,
+          material: segment.label,
+          // Repeats are as certain as their match; first appearances rest on the boundary
+          confidence: Math.min(0.9, 0.4 + 0.5 * (segment.similarity ?? segment.novelty)),
+          features: {
+            startTime: segment.startTime,
+            endTime: segment.endTime,
+            novelty: Math.round(segment.novelty * 100) / 100,
+            similarity: segment.similarity === null ? null : Math.round(segment.similarity * 100) / 100
+          }
+        }
+        sectionNode.children.push(segmentNode)
+        nodes.set(segmentNode.id, segmentNode)
+      })
+    })
+
+    nodes.forEach(node => {
+      node.visualStyle = getConfidenceVisualStyle(node.confidence)
+    })
+
+    return { root, nodes }
+  }
+
+  /**
+   * Tooltip data in the same shape as StructureAnalyzer's
+   */
+  generateTreeTooltips(tree) {
+    tree.nodes.forEach(node => {
+      const usedFeatures = ['Chroma', 'MFCC', 'Self-Similarity']
+      if (node.type === 'phrase') {
+        usedFeatures.push(`Novelty: ${node.features.novelty}`)
+        if (node.features.similarity !== null) usedFeatures.push(`Repeat similarity: ${node.features.similarity}`)
+      }
+
+      node.tooltipData = {
+        nodeId: node.id,
+        nodeType: node.type,
+        material: node.material,
+        startMeasure: node.startMeasure,
+        endMeasure: node.endMeasure,
+        length: `${node.endMeasure - node.startMeasure + 1} measures`,
+        timeRange: `${node.features.startTime.toFixed(1)}s – ${node.features.endTime.toFixed(1)}s`,
+        confidence: node.confidence,
+        confidencePercent: `${Math.round(node.confidence * 100)}%`,
+        uncertaintyLevel: node.visualStyle.uncertaintyLevel,
+        modelVersion: this.version,
+        analysisMethod: 'AudioStructureAnalyzer (self-similarity novelty)',
+        usedFeatures,
+        visualStyle: node.visualStyle
+      }
+    })
+  }
+
+  /**
+   * Start time of each bar, for mapping measures to the recording
+   * @returns {Map<number, number>} measure number → seconds
+   */
+  getMeasureTimes(beats, duration, beatsPerBar = 4) {
+    const grid = this.createBeatGrid(beats, duration, beatsPerBar)
+    return new Map(grid.barStarts.map((beat, i) => [i + 1, grid.beatTimes[beat]]))
+  }
+}
+
+function dot(a, b) {
+  let sum = 0
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i]
+  return sum
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(dot(vector, vector))
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm
+  }
+  return vector
+}
+
+// Zero mean, unit variance per dimension across all vectors
+function standardize(vectors) {
+  const dims = vectors[0]?.length || 0
+  for (let d = 0; d < dims; d++) {
+    let mean = 0
+    vectors.forEach(v => { mean += v[d] })
+    mean /= vectors.length
+    let variance = 0
+    vectors.forEach(v => { variance += (v[d] - mean) ** 2 })
+    const std = Math.sqrt(variance / vectors.length) || 1
+    vectors.forEach(v => { v[d] = (v[d] - mean) / std })
+  }
+  return vectors
+}
+
+export default AudioStructureAnalyzer
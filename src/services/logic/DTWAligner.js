@@ -1,13 +1,33 @@
 /**
  * DTW Aligner - Logic Layer
  * Aligns symbolic (MusicXML) and acoustic (MP3) data using Dynamic Time Warping
+ *
+ * Modes:
+ * - exact: full cost matrix, for short inputs and for comparing the others against
+ * - banded: Sakoe-Chiba band of a given radius around the diagonal
+ * - fastdtw: multiscale, each level searched around the path found at half resolution
  */
 
+// Cells of the full matrix above which 'auto' switches to FastDTW
+const EXACT_MAX_CELLS = 2000000
+
+// Step taken into a cell, for backtracking the windowed modes
+const STEP_DIAGONAL = 0
+const STEP_LEFT = 1
+const STEP_UP = 2
+
 export class DTWAligner {
   constructor() {
     this.alignmentResult = null
     this.measureToTime = new Map()
     this.timeToMeasure = new Map()
+    // Measure times as DTW found them, before any anchor was applied
+    this.dtwMeasureToTime = new Map()
+    // Measure times fixed by hand (measure -> seconds)
+    this.anchors = new Map()
+    // Beat start times per measure, as DTW found them and after anchors
+    this.dtwBeatTimes = new Map()
+    this.beatTimes = new Map()
   }
 
   /**
@@ -15,6 +35,8 @@ export class DTWAligner {
    * @param {number[][]} symbolicChroma - Chroma features from MusicXML
    * @param {number[][]} acousticChroma - Chroma features from audio
    * @param {Object} options - Alignment options
+   * @param {number[]} [options.measureBeats] - beats of every symbolic measure
+   *   (beatsPerMeasure for all of them without it)
    * @returns {Object} AlignmentResult
    */
   align(symbolicChroma, acousticChroma, options = {}) {
@@ -22,22 +44,33 @@ export class DTWAligner {
       hopSize = 1024,
       sampleRate = 44100,
       beatsPerMeasure = 4,
-      tempo = 120
+      tempo = 120,
+      framesPerMeasure: symbolicFramesPerMeasure = null,
+      measureBeats = null,
+      mode = 'auto',
+      radius = null
     } = options
 
     // Calculate DTW path
-    const { path, distance } = this.computeDTW(symbolicChroma, acousticChroma)
+    const { path, distance, mode: usedMode } = this.computeAlignmentPath(symbolicChroma, acousticChroma, { mode, radius })
 
     // Convert path to measure-time mappings
     const secondsPerFrame = hopSize / sampleRate
     const secondsPerBeat = 60 / tempo
     const secondsPerMeasure = secondsPerBeat * beatsPerMeasure
 
-    this.measureToTime.clear()
-    this.timeToMeasure.clear()
+    // Fresh maps: earlier results may still be held (session store, editor undo)
+    this.measureToTime = new Map()
+    this.timeToMeasure = new Map()
+    this.anchors = new Map()
+    const measureCosts = new Map()
+    // First audio frame the path reaches for every symbolic frame
+    const symbolicToAudio = new Float64Array(symbolicChroma.length).fill(-1)
 
-    // Map symbolic frames to measures
-    const framesPerMeasure = Math.round(secondsPerMeasure / secondsPerFrame)
+    // Map symbolic frames to measures. Chroma from generateSymbolicChroma has a
+    // fixed frame count per measure; otherwise derive it from a constant tempo.
+    const framesPerMeasure = symbolicFramesPerMeasure ||
+      Math.round(secondsPerMeasure / secondsPerFrame)
 
     path.forEach(([symbolicIdx, acousticIdx]) => {
       const measureNumber = Math.floor(symbolicIdx / framesPerMeasure) + 1
@@ -51,25 +84,259 @@ export class DTWAligner {
       if (!this.timeToMeasure.has(roundedTime)) {
         this.timeToMeasure.set(roundedTime, measureNumber)
       }
+
+      if (symbolicToAudio[symbolicIdx] < 0) {
+        symbolicToAudio[symbolicIdx] = acousticIdx
+      }
+
+      const costs = measureCosts.get(measureNumber) || { sum: 0, count: 0 }
+      costs.sum += this.euclideanDistance(symbolicChroma[symbolicIdx], acousticChroma[acousticIdx])
+      costs.count++
+      measureCosts.set(measureNumber, costs)
     })
+    this.dtwMeasureToTime = new Map(this.measureToTime)
+
+    // Beats: the symbolic frame where each beat starts, placed where the path
+    // reaches it (between frames when the beat falls between two)
+    const audioFrameAt = position => {
+      const lower = Math.min(Math.floor(position), symbolicToAudio.length - 1)
+      const upper = Math.min(lower + 1, symbolicToAudio.length - 1)
+      return symbolicToAudio[lower] + (position - lower) * (symbolicToAudio[upper] - symbolicToAudio[lower])
+    }
+    this.dtwBeatTimes = new Map()
+    this.measureToTime.forEach((_, measureNumber) => {
+      const beats = measureBeats?.[measureNumber - 1] || beatsPerMeasure
+      const firstFrame = (measureNumber - 1) * framesPerMeasure
+      const times = []
+      for (let beat = 0; beat < beats; beat++) {
+        times.push(audioFrameAt(firstFrame + beat * framesPerMeasure / beats) * secondsPerFrame)
+      }
+      this.dtwBeatTimes.set(measureNumber, times)
+    })
+    this.beatTimes = this.dtwBeatTimes
 
-    // Calculate confidence based on alignment quality
-    const maxDistance = symbolicChroma.length * acousticChroma.length
-    const confidence = 1 - (distance / maxDistance)
+    const { measureConfidence, measureStats } = this.measureQuality(
+      measureCosts, symbolicToAudio, framesPerMeasure, path.length ? path[path.length - 1][1] + 1 : 0
+    )
+
+    // Confidence from the mean cost along the path: √2 is the distance
+    // between two normalized chroma frames with no pitch class in common
+    const confidence = path.length > 0 ? 1 - (distance / path.length) / Math.SQRT2 : 0
 
     this.alignmentResult = {
       path,
       measureToTime: this.measureToTime,
       timeToMeasure: this.timeToMeasure,
       confidence: Math.max(0, Math.min(1, confidence)),
-      distance
+      distance,
+      mode: usedMode,
+      measureConfidence,
+      measureStats,
+      beatTimes: this.beatTimes,
+      dtwMeasureToTime: this.dtwMeasureToTime,
+      dtwBeatTimes: this.dtwBeatTimes,
+      anchors: new Map()
     }
 
     return this.alignmentResult
   }
 
   /**
-   * Compute DTW distance and path
+   * Move DTW beat times onto the nearest tracked beat when it is within
+   * a third of a beat; measure starts follow their first beat
+   * @param {number[]} trackedBeats - sorted times in seconds
+   */
+  snapBeats(trackedBeats) {
+    const measures = Array.from(this.dtwBeatTimes.keys()).sort((a, b) => a - b)
+    const allBeats = measures.flatMap(measure => this.dtwBeatTimes.get(measure))
+    let previous = -Infinity
+    let flat = 0
+    let searchFrom = 0
+
+    measures.forEach(measure => {
+      const snapped = this.dtwBeatTimes.get(measure).map(time => {
+        const next = allBeats[flat + 1]
+        const prior = allBeats[flat - 1]
+        const beatLength = Number.isFinite(next) ? next - time : time - (prior ?? time)
+        flat++
+
+        while (searchFrom + 1 < trackedBeats.length && trackedBeats[searchFrom + 1] <= time) searchFrom++
+        const candidates = [trackedBeats[searchFrom], trackedBeats[searchFrom + 1]].filter(Number.isFinite)
+        const nearest = candidates.reduce((best, t) => Math.abs(t - time) < Math.abs(best - time) ? t : best, Infinity)
+
+        const result = Math.abs(nearest - time) <= beatLength / 3 && nearest > previous ? nearest : Math.max(time, previous)
+        previous = result
+        return result
+      })
+      this.dtwBeatTimes.set(measure, snapped)
+      this.dtwMeasureToTime.set(measure, snapped[0])
+    })
+  }
+
+  /**
+   * How far each measure's alignment can be trusted, from two signs along
+   * its part of the path:
+   * - cost: mean chroma distance between score and recording
+   * - slope: audio frames per score frame, relative to the median measure.
+   *   A measure squeezed into a few frames or stretched over many is where
+   *   the path took a shortcut through music that did not match
+   * @param {Map<number, {sum: number, count: number}>} measureCosts
+   * @param {Float64Array} symbolicToAudio - first audio frame of each symbolic frame
+   * @param {number} framesPerMeasure
+   * @param {number} audioEnd - audio frame after the path's last one
+   * @returns {{ measureConfidence: Map<number, number>, measureStats: Map<number, Object> }}
+   */
+  measureQuality(measureCosts, symbolicToAudio, framesPerMeasure, audioEnd) {
+    const slopes = new Map()
+    measureCosts.forEach((_, measureNumber) => {
+      const first = (measureNumber - 1) * framesPerMeasure
+      const next = first + framesPerMeasure
+      const end = next < symbolicToAudio.length ? symbolicToAudio[next] : audioEnd
+      slopes.set(measureNumber, (end - symbolicToAudio[first]) / framesPerMeasure)
+    })
+
+    const sorted = Array.from(slopes.values()).sort((a, b) => a - b)
+    const medianSlope = sorted[Math.floor(sorted.length / 2)] || 1
+
+    const measureConfidence = new Map()
+    const measureStats = new Map()
+    measureCosts.forEach(({ sum, count }, measureNumber) => {
+      const cost = sum / count
+      const slope = slopes.get(measureNumber) / medianSlope
+      // Half or double the usual slope halves the confidence from it; 4× off leaves none
+      const slopeConfidence = slope > 0 ? Math.max(0, 1 - Math.abs(Math.log2(slope)) / 2) : 0
+      const costConfidence = Math.max(0, Math.min(1, 1 - cost / Math.SQRT2))
+      const confidence = costConfidence * (0.5 + 0.5 * slopeConfidence)
+
+      measureConfidence.set(measureNumber, confidence)
+      measureStats.set(measureNumber, {
+        cost: Math.round(cost * 1000) / 1000,
+        slope: Math.round(slope * 100) / 100,
+        confidence: Math.round(confidence * 100) / 100
+      })
+    })
+
+    return { measureConfidence, measureStats }
+  }
+
+  /**
+   * Align a score with a recording: chroma synthesized from the performed
+   * measures against the recording's chroma (FeatureExtractor.extractChroma).
+   * Audio frames are averaged down to about the score's frame rate at its
+   * written tempo, which keeps the cost matrix small.
+   * @param {Object} score - { notes, measures } in performed order (StructureAnalyzer.performedScore)
+   * @param {number[][]} audioChroma - one frame per hop
+   * @param {Object} options
+   * @param {number} [options.hopSize=512]
+   * @param {number} [options.sampleRate=22050]
+   * @param {number} [options.tempo=120] - used for measures without a tempo mark
+   * @param {number} [options.framesPerMeasure=8]
+   * @param {number} [options.duration] - recording length in seconds
+   * @param {string} [options.mode='auto'] - see computeAlignmentPath
+   * @param {number} [options.radius]
+   * @param {number[]} [options.beats] - beat tracker times (FeatureExtractor.extractRhythm)
+   * @returns {AlignmentResult} measureToTime is keyed by performed measure position
+   */
+  alignScore({ notes, measures }, audioChroma, options = {}) {
+    const {
+      hopSize = 512,
+      sampleRate = 22050,
+      tempo = 120,
+      framesPerMeasure = 8,
+      duration = audioChroma.length * hopSize / sampleRate,
+      mode = 'auto',
+      radius = null,
+      beats: trackedBeats = null
+    } = options
+
+    // Unpitched parts have no chroma to match
+    const pitchedNotes = notes.filter(note => !note.percussion)
+    const symbolicChroma = DTWAligner.generateSymbolicChroma(pitchedNotes, measures.length, framesPerMeasure, measures)
+
+    const scoreSeconds = measures.reduce((sum, measure) => sum + measureSeconds(measure, tempo), 0)
+    const symbolicFrameRate = symbolicChroma.length / (scoreSeconds || 1)
+    const factor = Math.max(1, Math.round(sampleRate / hopSize / symbolicFrameRate))
+
+    const result = this.align(normalizeFrames(symbolicChroma), normalizeFrames(poolFrames(audioChroma, factor)), {
+      hopSize: hopSize * factor,
+      sampleRate,
+      framesPerMeasure,
+      measureBeats: measures.map(measure => measure?.timeSignature?.beats || 4),
+      mode,
+      radius
+    })
+    result.duration = duration
+    result.measureCount = measures.length
+
+    if (!trackedBeats?.length) return result
+
+    // The pooled frames are coarser than a beat; tracked beats close to the
+    // DTW estimate put the beats (and downbeats) on the actual onsets
+    this.snapBeats(trackedBeats)
+    return this.applyAnchors()
+  }
+
+  /**
+   * Align the recording with each way its repeats may have been played
+   * (taken, skipped, taken again after D.C.) and keep the best fit. A
+   * monotonic path through the wrong order has to stretch or squeeze whole
+   * sections onto music that does not match them, which raises its mean cost.
+   * @param {Object[]} candidates - [{ id, label, score }], score as for alignScore
+   * @param {number[][]} audioChroma
+   * @param {Object} options - as for alignScore
+   * @returns {AlignmentResult} with repeatStructure naming the chosen candidate
+   */
+  alignCandidates(candidates, audioChroma, options = {}) {
+    const fits = candidates.map(({ id, label, score }) => {
+      const result = this.alignScore(score, audioChroma, options)
+      return { id, label, result, cost: result.path.length ? result.distance / result.path.length : Infinity }
+    })
+    // On a tie the earlier candidate (the written convention) stays
+    const best = fits.reduce((chosen, fit) => (fit.cost < chosen.cost ? fit : chosen))
+
+    this.loadAlignment({
+      ...best.result,
+      repeatStructure: {
+        id: best.id,
+        label: best.label,
+        candidates: fits.map(({ id, label, cost, result }) => ({ id, label, cost, confidence: result.confidence }))
+      }
+    })
+    return this.alignmentResult
+  }
+
+  /**
+   * DTW path in the requested mode
+   * @param {number[][]} seq1
+   * @param {number[][]} seq2
+   * @param {Object} [options]
+   * @param {'auto'|'exact'|'banded'|'fastdtw'} [options.mode='auto'] - auto is exact
+   *   while the full matrix stays small, FastDTW beyond
+   * @param {number} [options.radius] - band half-width in frames (default 10% of the
+   *   longer sequence) or FastDTW search radius (default 10)
+   * @returns {Object} { path, distance, mode }
+   */
+  computeAlignmentPath(seq1, seq2, { mode = 'auto', radius = null } = {}) {
+    const resolved = mode === 'auto'
+      ? (seq1.length * seq2.length <= EXACT_MAX_CELLS ? 'exact' : 'fastdtw')
+      : mode
+
+    let result
+    if (resolved === 'banded') {
+      result = this.computeBandedDTW(seq1, seq2, radius ?? Math.ceil(0.1 * Math.max(seq1.length, seq2.length)))
+    } else if (resolved === 'fastdtw') {
+      result = this.computeFastDTW(seq1, seq2, radius ?? 10)
+    } else if (resolved === 'exact') {
+      result = this.computeDTW(seq1, seq2)
+    } else {
+      throw new Error(`Unknown DTW mode: ${mode}`)
+    }
+
+    return { ...result, mode: resolved }
+  }
+
+  /**
+   * Compute DTW distance and path (exact: full cost matrix)
    * @param {number[][]} seq1 
    * @param {number[][]} seq2 
    * @returns {Object} { path, distance }
@@ -109,6 +376,146 @@ export class DTWAligner {
     }
   }
 
+  /**
+   * DTW restricted to a Sakoe-Chiba band: cells within `radius` frames of
+   * the diagonal (scaled to the two lengths). Memory grows with n × radius.
+   * @param {number[][]} seq1
+   * @param {number[][]} seq2
+   * @param {number} radius
+   * @returns {Object} { path, distance }
+   */
+  computeBandedDTW(seq1, seq2, radius) {
+    const n = seq1.length
+    const m = seq2.length
+    if (n === 0 || m === 0) {
+      return { path: [], distance: Infinity }
+    }
+
+    const slope = m / n
+    const starts = new Int32Array(n)
+    const ends = new Int32Array(n)
+    for (let i = 0; i < n; i++) {
+      starts[i] = Math.max(0, Math.floor(i * slope) - radius)
+      ends[i] = Math.min(m, Math.ceil((i + 1) * slope) + radius)
+    }
+
+    return this.computeWindowedDTW(toFrames(seq1), toFrames(seq2), { starts, ends })
+  }
+
+  /**
+   * FastDTW (Salvador & Chan): align both sequences at half resolution,
+   * project that path back and search only within `radius` frames of it.
+   * Time and memory are linear in the sequence lengths.
+   * @param {number[][]} seq1
+   * @param {number[][]} seq2
+   * @param {number} [radius=10]
+   * @returns {Object} { path, distance }
+   */
+  computeFastDTW(seq1, seq2, radius = 10) {
+    if (seq1.length === 0 || seq2.length === 0) {
+      return { path: [], distance: Infinity }
+    }
+    return this.fastDTW(toFrames(seq1), toFrames(seq2), radius)
+  }
+
+  fastDTW(frames1, frames2, radius) {
+    const n = frames1.length
+    const m = frames2.length
+    const minSize = radius + 2
+
+    if (n <= minSize || m <= minSize) {
+      return this.computeWindowedDTW(frames1, frames2, {
+        starts: new Int32Array(n),
+        ends: new Int32Array(n).fill(m)
+      })
+    }
+
+    const coarse = this.fastDTW(halveFrames(frames1), halveFrames(frames2), radius)
+    return this.computeWindowedDTW(frames1, frames2, projectPath(coarse.path, n, m, radius))
+  }
+
+  /**
+   * DTW over a window of the cost matrix: row i covers columns
+   * [starts[i], ends[i]). Costs are kept row by row in one Float64Array and
+   * the chosen steps in a Uint8Array, so only the window is allocated.
+   * Ties are broken as in backtrack(), so a window covering the whole
+   * matrix gives the same path as computeDTW.
+   * @param {Object} frames1 - { data, length, dim } from toFrames
+   * @param {Object} frames2
+   * @param {{ starts: Int32Array, ends: Int32Array }} window - must contain (0, 0)
+   *   and (n-1, m-1), and consecutive rows must overlap or touch
+   * @returns {Object} { path, distance }
+   */
+  computeWindowedDTW(frames1, frames2, { starts, ends }) {
+    const n = frames1.length
+    const m = frames2.length
+    const dim = Math.min(frames1.dim, frames2.dim)
+
+    const offsets = new Int32Array(n + 1)
+    for (let i = 0; i < n; i++) {
+      offsets[i + 1] = offsets[i] + Math.max(0, ends[i] - starts[i])
+    }
+    const cost = new Float64Array(offsets[n])
+    const steps = new Uint8Array(offsets[n])
+
+    // Accumulated cost of a cell; (-1, -1) is the origin
+    const costAt = (i, j) => {
+      if (i < 0 || j < 0) return i < 0 && j < 0 ? 0 : Infinity
+      if (j < starts[i] || j >= ends[i]) return Infinity
+      return cost[offsets[i] + j - starts[i]]
+    }
+
+    for (let i = 0; i < n; i++) {
+      const a = i * frames1.dim
+      for (let j = starts[i]; j < ends[i]; j++) {
+        const b = j * frames2.dim
+        let sum = 0
+        for (let k = 0; k < dim; k++) {
+          const diff = frames1.data[a + k] - frames2.data[b + k]
+          sum += diff * diff
+        }
+
+        const diag = costAt(i - 1, j - 1)
+        const left = costAt(i, j - 1)
+        const up = costAt(i - 1, j)
+        const cell = offsets[i] + j - starts[i]
+
+        if (diag <= left && diag <= up) {
+          cost[cell] = Math.sqrt(sum) + diag
+          steps[cell] = STEP_DIAGONAL
+        } else if (left < up) {
+          cost[cell] = Math.sqrt(sum) + left
+          steps[cell] = STEP_LEFT
+        } else {
+          cost[cell] = Math.sqrt(sum) + up
+          steps[cell] = STEP_UP
+        }
+      }
+    }
+
+    const path = []
+    let i = n - 1
+    let j = m - 1
+    while (i >= 0 && j >= 0) {
+      path.push([i, j])
+      const step = steps[offsets[i] + j - starts[i]]
+      if (step === STEP_DIAGONAL) {
+        i--
+        j--
+      } else if (step === STEP_LEFT) {
+        j--
+      } else {
+        i--
+      }
+    }
+    path.reverse()
+
+    return {
+      path,
+      distance: costAt(n - 1, m - 1)
+    }
+  }
+
   /**
    * Backtrack through DTW matrix to find optimal path
    */
@@ -157,9 +564,17 @@ export class DTWAligner {
   /**
    * Get timestamp for a measure number
    * @param {number} measureNumber 
+   * @param {number} [beat=1] - 1-based, fractions fall between beats
    * @returns {number} timestamp in seconds
    */
-  getTimestamp(measureNumber) {
+  getTimestamp(measureNumber, beat = 1) {
+    const beats = this.beatTimes.get(measureNumber)
+    if (beats && beat > 1) {
+      const index = Math.min(Math.floor(beat - 1), beats.length - 1)
+      const next = beats[index + 1] ?? this.measureEnd(measureNumber)
+      return beats[index] + (beat - 1 - index) * (next - beats[index])
+    }
+
     if (this.measureToTime.has(measureNumber)) {
       return this.measureToTime.get(measureNumber)
     }
@@ -190,6 +605,31 @@ export class DTWAligner {
     return lowerTime + ratio * (upperTime - lowerTime)
   }
 
+  // End of a measure: the next one's start, or the end of the recording
+  measureEnd(measureNumber) {
+    return this.measureToTime.get(measureNumber + 1) ??
+      this.alignmentResult?.duration ??
+      this.measureToTime.get(measureNumber)
+  }
+
+  /**
+   * Measure and beat at a timestamp
+   * @param {number} timestamp - seconds
+   * @returns {{ measure: number, beat: number }} beat is 1-based with a fraction
+   */
+  getPosition(timestamp) {
+    const measure = this.getMeasure(timestamp)
+    const beats = this.beatTimes.get(measure)
+    if (!beats?.length) return { measure, beat: 1 }
+
+    let index = 0
+    while (index + 1 < beats.length && beats[index + 1] <= timestamp) index++
+    const next = beats[index + 1] ?? this.measureEnd(measure)
+    const fraction = next > beats[index] ? (timestamp - beats[index]) / (next - beats[index]) : 0
+
+    return { measure, beat: index + 1 + Math.max(0, Math.min(1, fraction)) }
+  }
+
   /**
    * Get measure number for a timestamp
    * @param {number} timestamp in seconds
@@ -218,21 +658,142 @@ export class DTWAligner {
   }
 
   /**
-   * Manually adjust an alignment point
+   * Manually adjust an alignment point: the measure becomes an anchor and
+   * its neighbours are re-warped (see applyAnchors)
    * @param {number} measureNumber 
    * @param {number} newTimestamp 
+   * @returns {AlignmentResult}
    */
   adjustAlignment(measureNumber, newTimestamp) {
-    this.measureToTime.set(measureNumber, newTimestamp)
-    
-    // Update reverse mapping
-    const roundedTime = Math.round(newTimestamp * 10) / 10
-    this.timeToMeasure.set(roundedTime, measureNumber)
+    return this.setAnchor(measureNumber, newTimestamp)
+  }
 
-    // Recalculate confidence (lower due to manual adjustment)
-    if (this.alignmentResult) {
-      this.alignmentResult.confidence = Math.max(0.5, this.alignmentResult.confidence - 0.05)
+  /**
+   * Continue editing a stored alignment (e.g. sessionStore.alignment)
+   * @param {AlignmentResult} result
+   * @returns {AlignmentResult}
+   */
+  loadAlignment(result) {
+    this.alignmentResult = { ...result }
+    this.dtwMeasureToTime = new Map(result.dtwMeasureToTime || result.measureToTime || [])
+    this.dtwBeatTimes = new Map(result.dtwBeatTimes || result.beatTimes || [])
+    this.anchors = new Map(result.anchors || [])
+    return this.applyAnchors()
+  }
+
+  /**
+   * Fix a measure's start time
+   * @param {number} measureNumber - performed position
+   * @param {number} timestamp - seconds
+   * @returns {AlignmentResult}
+   */
+  setAnchor(measureNumber, timestamp) {
+    this.anchors.set(measureNumber, timestamp)
+    return this.applyAnchors()
+  }
+
+  removeAnchor(measureNumber) {
+    this.anchors.delete(measureNumber)
+    return this.applyAnchors()
+  }
+
+  /**
+   * Replace all anchors (undo restores an earlier set)
+   * @param {Iterable<[number, number]>} anchors
+   */
+  setAnchors(anchors) {
+    this.anchors = new Map(anchors)
+    return this.applyAnchors()
+  }
+
+  /**
+   * Re-warp the DTW measure times around the anchors. Anchored measures
+   * take their anchor time; the measures between two fixed points keep the
+   * relative timing DTW found for them, stretched to fit. The first measure
+   * and the end of the recording stay where DTW put them unless anchored;
+   * past the last fixed point, times shift with it.
+   * @returns {AlignmentResult} a new result object
+   */
+  applyAnchors() {
+    const base = this.dtwMeasureToTime
+    const measures = Array.from(base.keys()).sort((a, b) => a - b)
+    if (measures.length === 0) return this.alignmentResult
+
+    const first = measures[0]
+    const end = measures[measures.length - 1] + 1
+    const duration = this.alignmentResult?.duration
+    const dtwTime = measure => measure === end ? duration : base.get(measure)
+
+    // Fixed points: { measure, from (DTW time), to (time it must have) }
+    const fixed = new Map([[first, { measure: first, from: base.get(first), to: base.get(first) }]])
+    if (Number.isFinite(duration)) {
+      fixed.set(end, { measure: end, from: duration, to: duration })
     }
+    this.anchors.forEach((time, measure) => {
+      if (base.has(measure) || measure === end) {
+        fixed.set(measure, { measure, from: dtwTime(measure), to: time })
+      }
+    })
+    const points = Array.from(fixed.values()).sort((a, b) => a.measure - b.measure)
+
+    const measureToTime = new Map()
+    let segment = 0
+    measures.forEach(measure => {
+      while (segment < points.length - 1 && points[segment + 1].measure <= measure) segment++
+      const lower = points[segment]
+      const upper = points[segment + 1]
+      const time = base.get(measure)
+
+      if (measure === lower.measure) {
+        measureToTime.set(measure, lower.to)
+      } else if (!upper) {
+        measureToTime.set(measure, time + lower.to - lower.from)
+      } else if (upper.from > lower.from) {
+        measureToTime.set(measure, lower.to + (time - lower.from) * (upper.to - lower.to) / (upper.from - lower.from))
+      } else {
+        // DTW squeezed the whole segment into one instant: spread it evenly
+        measureToTime.set(measure, lower.to + (upper.to - lower.to) * (measure - lower.measure) / (upper.measure - lower.measure))
+      }
+    })
+
+    // Beats keep their place within the measure as it stretches
+    const beatTimes = new Map()
+    measures.forEach((measure, i) => {
+      const dtwBeats = this.dtwBeatTimes.get(measure)
+      if (!dtwBeats) return
+      const isLast = i + 1 === measures.length
+      const dtwStart = base.get(measure)
+      const start = measureToTime.get(measure)
+      const dtwEnd = isLast ? duration : base.get(measures[i + 1])
+      const end = isLast ? duration : measureToTime.get(measures[i + 1])
+      beatTimes.set(measure, dtwBeats.map(time => {
+        if (!Number.isFinite(dtwEnd)) return start + time - dtwStart
+        return dtwEnd > dtwStart ? start + (time - dtwStart) * (end - start) / (dtwEnd - dtwStart) : start
+      }))
+    })
+
+    this.measureToTime = measureToTime
+    this.beatTimes = beatTimes
+    this.timeToMeasure = new Map()
+    measures.forEach((measure, i) => {
+      const from = Math.round(measureToTime.get(measure) * 10)
+      const next = i + 1 < measures.length ? measureToTime.get(measures[i + 1]) : (duration ?? measureToTime.get(measure))
+      const to = Math.max(from, Math.round(next * 10) - 1)
+      for (let tenth = from; tenth <= to; tenth++) {
+        this.timeToMeasure.set(tenth / 10, measure)
+      }
+    })
+
+    this.alignmentResult = {
+      ...this.alignmentResult,
+      measureToTime: this.measureToTime,
+      timeToMeasure: this.timeToMeasure,
+      beatTimes,
+      dtwMeasureToTime: base,
+      dtwBeatTimes: this.dtwBeatTimes,
+      anchors: new Map(this.anchors)
+    }
+    return this.alignmentResult
   }
 
   /**
@@ -257,9 +818,10 @@ export class DTWAligner {
    * @param {Note[]} notes 
    * @param {number} totalMeasures 
    * @param {number} framesPerMeasure 
+   * @param {Measure[]} [measures] - per-measure time signatures; 4/4 is assumed without them
    * @returns {number[][]}
    */
-  static generateSymbolicChroma(notes, totalMeasures, framesPerMeasure = 10) {
+  static generateSymbolicChroma(notes, totalMeasures, framesPerMeasure = 10, measures = null) {
     const pitchClasses = {
       'C': 0, 'C#': 1, 'Db': 1, 'D': 2, 'D#': 3, 'Eb': 3,
       'E': 4, 'F': 5, 'F#': 6, 'Gb': 6, 'G': 7, 'G#': 8,
@@ -277,9 +839,13 @@ export class DTWAligner {
       
       if (pc === undefined) return
 
+      // Measure length in quarter notes
+      const timeSignature = measures?.[note.measureNumber - 1]?.timeSignature
+      const measureLength = timeSignature ? timeSignature.beats * 4 / timeSignature.beatType : 4
+
       const startFrame = Math.floor((note.measureNumber - 1) * framesPerMeasure + 
-                                    (note.beat / 4) * framesPerMeasure)
-      const endFrame = Math.min(startFrame + Math.ceil(note.duration * framesPerMeasure / 4), totalFrames - 1)
+                                    (note.beat / measureLength) * framesPerMeasure)
+      const endFrame = Math.min(startFrame + Math.ceil(note.duration * framesPerMeasure / measureLength), totalFrames - 1)
 
       for (let f = startFrame; f <= endFrame; f++) {
         if (f >= 0 && f < totalFrames) {
@@ -296,4 +862,82 @@ export class DTWAligner {
   }
 }
 
+// Nominal length of a measure in seconds at its marked tempo
+export function measureSeconds(measure, tempo) {
+  const timeSignature = measure?.timeSignature || { beats: 4, beatType: 4 }
+  const span = measure?.endBeat - measure?.startBeat
+  const length = span > 0 ? span : timeSignature.beats * 4 / timeSignature.beatType
+  return length * 60 / (measure?.tempo || tempo)
+}
+
+// Average every `factor` consecutive frames
+function poolFrames(frames, factor) {
+  if (factor <= 1) return frames
+
+  const pooled = []
+  for (let start = 0; start < frames.length; start += factor) {
+    const sum = new Array(12).fill(0)
+    const end = Math.min(frames.length, start + factor)
+    for (let f = start; f < end; f++) {
+      for (let pc = 0; pc < 12; pc++) sum[pc] += frames[f][pc] || 0
+    }
+    pooled.push(sum.map(v => v / (end - start)))
+  }
+  return pooled
+}
+
+// Frames as one flat Float64Array (missing values count as 0, as in euclideanDistance)
+function toFrames(sequence) {
+  const dim = sequence.reduce((max, frame) => Math.max(max, frame?.length || 0), 0)
+  const data = new Float64Array(sequence.length * dim)
+  sequence.forEach((frame, i) => {
+    for (let k = 0; k < (frame?.length || 0); k++) data[i * dim + k] = frame[k] || 0
+  })
+  return { data, length: sequence.length, dim }
+}
+
+// Half resolution: the mean of each pair of frames
+function halveFrames({ data, length, dim }) {
+  const halfLength = Math.ceil(length / 2)
+  const half = new Float64Array(halfLength * dim)
+  for (let i = 0; i < halfLength; i++) {
+    const first = 2 * i
+    const count = first + 1 < length ? 2 : 1
+    for (let k = 0; k < dim; k++) {
+      let sum = 0
+      for (let f = first; f < first + count; f++) sum += data[f * dim + k]
+      half[i * dim + k] = sum / count
+    }
+  }
+  return { data: half, length: halfLength, dim }
+}
+
+// Window around a half-resolution path: each cell covers a 2×2 block,
+// widened by `radius` frames on every side
+function projectPath(coarsePath, n, m, radius) {
+  const starts = new Int32Array(n).fill(m)
+  const ends = new Int32Array(n)
+
+  for (const [ci, cj] of coarsePath) {
+    const rowFrom = Math.max(0, 2 * ci - radius)
+    const rowTo = Math.min(n - 1, 2 * ci + 1 + radius)
+    const colFrom = Math.max(0, 2 * cj - radius)
+    const colTo = Math.min(m, 2 * cj + 2 + radius)
+    for (let i = rowFrom; i <= rowTo; i++) {
+      if (colFrom < starts[i]) starts[i] = colFrom
+      if (colTo > ends[i]) ends[i] = colTo
+    }
+  }
+
+  return { starts, ends }
+}
+
+// Unit length, so loud and quiet passages compare alike; silent frames stay zero
+export function normalizeFrames(frames) {
+  return frames.map(frame => {
+    const norm = Math.sqrt(frame.reduce((sum, v) => sum + v * v, 0))
+    return norm > 0 ? Array.from(frame, v => v / norm) : Array.from(frame)
+  })
+}
+
 export default DTWAligner
@@ -234,6 +234,7 @@ export class RuleEngine {
   /**
    * 检测动机 - Detect motives (最小可辨认音乐单位)
    * 动机是包含重拍的几个音符，约1-2拍
+   * 只有打击乐的小节按打击乐节奏形成节奏动机 (percussion: true)
    * @param {Note[]} notes 
    * @param {Object} timeSignature 
    * @returns {Motive[]}
@@ -243,14 +244,17 @@ export class RuleEngine {
     if (!notes || notes.length < 2) return motives
     
     const beatsPerMeasure = timeSignature.beats
-    const measureGroups = this.groupNotesByMeasure(notes)
-    const measureNumbers = Object.keys(measureGroups).map(Number).sort((a, b) => a - b)
+    const measureGroups = this.groupNotesByMeasure(this.getPitchedNotes(notes))
+    const percussionGroups = this.groupNotesByMeasure(this.getPercussionOnsets(notes))
+    const measureNumbers = [...new Set([...Object.keys(measureGroups), ...Object.keys(percussionGroups)])]
+      .map(Number).sort((a, b) => a - b)
     
     let motiveIndex = 0
     
     for (const measureNum of measureNumbers) {
-      const measureNotes = measureGroups[measureNum]
+      const measureNotes = measureGroups[measureNum] || percussionGroups[measureNum]
       if (!measureNotes || measureNotes.length === 0) continue
+      const percussion = !measureGroups[measureNum]
       
       // 按拍位分组，寻找包含重拍的音符组
       const beatGroups = this.groupNotesByBeat(measureNotes, beatsPerMeasure)
@@ -276,7 +280,8 @@ export class RuleEngine {
               startBeat: motiveStartBeat,
               intervalPattern: this.extractIntervalPattern(currentMotive),
               rhythmPattern: this.extractRhythmPattern(currentMotive),
-              contour: this.extractContour(currentMotive)
+              contour: this.extractContour(currentMotive),
+              ...(percussion && { percussion: true })
             })
           }
           currentMotive = []
@@ -296,7 +301,8 @@ export class RuleEngine {
           startBeat: motiveStartBeat,
           intervalPattern: this.extractIntervalPattern(currentMotive),
           rhythmPattern: this.extractRhythmPattern(currentMotive),
-          contour: this.extractContour(currentMotive)
+          contour: this.extractContour(currentMotive),
+          ...(percussion && { percussion: true })
         })
       }
     }
@@ -402,9 +408,11 @@ export class RuleEngine {
    * 乐节规模"大于动机、小于乐句"
    * @param {Note[]} notes 
    * @param {Motive[]} motives 
+   * @param {Object[]} meterMap - [{ measure, beats, beatType }]，决定每小节的长度
+   * @param {Object} timeSignature - 无拍号变化时使用的拍号
    * @returns {SubPhrase[]}
    */
-  detectSubPhrases(notes, motives = []) {
+  detectSubPhrases(notes, motives = [], meterMap = [], timeSignature = { beats: 4, beatType: 4 }) {
     const subPhrases = []
     const measureGroups = this.groupNotesByMeasure(notes)
     const measureNumbers = Object.keys(measureGroups).map(Number).sort((a, b) => a - b)
@@ -414,24 +422,27 @@ export class RuleEngine {
     // 每1-2小节形成一个乐节
     for (let i = 0; i < measureNumbers.length; i++) {
       const measureNum = measureNumbers[i]
-      const measureNotes = measureGroups[measureNum] || []
+      const measureEvents = measureGroups[measureNum] || []
+      // 休止符只作为分割依据，乐节材料只取有音高的音符；只有打击乐时取打击乐节奏
+      const pitchedNotes = this.getPitchedNotes(measureEvents)
+      const measureNotes = pitchedNotes.length > 0 ? pitchedNotes : this.getPercussionOnsets(measureEvents)
+      const meter = this.getMeterAtMeasure(meterMap, measureNum, timeSignature)
+      const measureEnd = Math.max(meter.beats * 4 / meter.beatType, ...measureEvents.map(n => n.beat + (n.duration || 0)))
       
-      // 检查是否有明显的内部分割点
-      const hasInternalBreak = this.hasRhythmicBreak(measureNotes)
+      // 检查是否有明显的内部分割点 (有旋律时不看打击乐声部)
+      const breakBeat = this.findRhythmicBreak(this.getMelodicEvents(measureEvents))
       
-      if (hasInternalBreak && measureNotes.length > 4) {
-        // 小节内部分割成两个乐节
-        const midPoint = Math.floor(measureNotes.length / 2)
-        
+      if (breakBeat !== null && measureNotes.length > 4 && breakBeat < measureEnd) {
+        // 在断点处将小节分割成两个乐节
         subPhrases.push({
           id: generateId(),
           index: subPhraseIndex++,
           startMeasure: measureNum,
           endMeasure: measureNum,
           startBeat: 0,
-          endBeat: 2,
-          notes: measureNotes.slice(0, midPoint),
-          motives: this.getMotivesInRange(motives, measureNum, 0, 2),
+          endBeat: breakBeat,
+          notes: measureNotes.filter(n => n.beat < breakBeat),
+          motives: this.getMotivesInRange(motives, measureNum, 0, breakBeat),
           material: this.assignMaterialLabel(subPhraseIndex - 1)
         })
         
@@ -440,10 +451,10 @@ export class RuleEngine {
           index: subPhraseIndex++,
           startMeasure: measureNum,
           endMeasure: measureNum,
-          startBeat: 2,
-          endBeat: 4,
-          notes: measureNotes.slice(midPoint),
-          motives: this.getMotivesInRange(motives, measureNum, 2, 4),
+          startBeat: breakBeat,
+          endBeat: measureEnd,
+          notes: measureNotes.filter(n => n.beat >= breakBeat),
+          motives: this.getMotivesInRange(motives, measureNum, breakBeat, measureEnd),
           material: this.assignMaterialLabel(subPhraseIndex - 1)
         })
       } else {
@@ -454,9 +465,9 @@ export class RuleEngine {
           startMeasure: measureNum,
           endMeasure: measureNum,
           startBeat: 0,
-          endBeat: 4,
+          endBeat: measureEnd,
           notes: measureNotes,
-          motives: this.getMotivesInRange(motives, measureNum, 0, 4),
+          motives: this.getMotivesInRange(motives, measureNum, 0, measureEnd),
           material: this.assignMaterialLabel(subPhraseIndex - 1)
         })
       }
@@ -472,16 +483,35 @@ export class RuleEngine {
    * 检查是否有节奏断点
    */
   hasRhythmicBreak(notes) {
-    if (notes.length < 4) return false
+    return this.findRhythmicBreak(notes) !== null
+  }
+
+  /**
+   * 寻找小节内部的节奏断点 - 较长的休止或长音、延长记号、换气记号、连线结束、
+   * 断奏与连奏的交替、新的力度记号
+   * @param {Note[]} notes - 小节内的音符和休止符
+   * @returns {number|null} 断点之后的拍位 (四分音符为单位)
+   */
+  findRhythmicBreak(notes) {
+    if (notes.length < 4) return null
     
-    // 检查是否有较长的休止或长音
-    for (let i = 1; i < notes.length - 1; i++) {
-      const note = notes[i]
-      if (note.duration >= 2 || note.isRest) {
-        return true
+    const events = [...notes].sort((a, b) => a.beat - b.beat)
+    for (let i = 1; i < events.length - 1; i++) {
+      const note = events[i]
+      if (note.duration >= 2 || note.isRest || note.fermata || note.breathMark || note.slurEnd) {
+        return note.beat + (note.duration || 0)
+      }
+      // 断奏与连奏交替 (新的奏法至少持续两个音) 或新的力度记号，从该音开始新乐节
+      const prev = events[i - 1]
+      const next = events[i + 1]
+      if (prev.isRest || next.isRest) continue
+      const articulationChange = this.isStaccato(prev) !== this.isStaccato(note) &&
+        this.isStaccato(note) === this.isStaccato(next)
+      if (articulationChange || (note.dynamics && note.dynamics !== prev.dynamics)) {
+        return note.beat
       }
     }
-    return false
+    return null
   }
 
   /**
@@ -559,14 +589,18 @@ export class RuleEngine {
    * 终止式是划分乐句、乐段的重要依据
    * @param {Note[]} notes 
    * @param {Object} keySignature 
+   * @param {Object[]} keyMap - 调性变化 [{ measure, fifths, mode }]，按小节取主音
+   * @param {Object[]} chords - 和弦轨 (和弦标记/数字低音)，存在时优先使用明确的和弦
    * @returns {Cadence[]}
    */
-  detectCadences(notes, keySignature = { fifths: 0, mode: 'major' }) {
+  detectCadences(notes, keySignature = { fifths: 0, mode: 'major' }, keyMap = [], chords = []) {
+    if (chords.some(c => c.root)) {
+      return this.detectChordCadences(notes, chords, keySignature, keyMap)
+    }
+
     const cadences = []
-    const tonicPitch = this.getTonicFromKey(keySignature)
-    const mode = keySignature.mode || 'major'
     
-    const measureGroups = this.groupNotesByMeasure(notes)
+    const measureGroups = this.groupNotesByMeasure(this.getPitchedNotes(notes))
     const measureNumbers = Object.keys(measureGroups).map(Number).sort((a, b) => a - b)
 
     for (let i = 1; i < measureNumbers.length; i++) {
@@ -585,6 +619,11 @@ export class RuleEngine {
       
       if (!prevBass || !currBass) continue
 
+      // 终止式以到达小节的调性为准 (转调后使用新主音)
+      const measureKey = this.getKeyAtMeasure(keyMap, measureNumbers[i], keySignature)
+      const tonicPitch = this.getTonicFromKey(measureKey)
+      const mode = measureKey.mode || 'major'
+
       const prevBassDegree = this.getScaleDegree(prevBass.pitch, tonicPitch, mode)
       const currBassDegree = this.getScaleDegree(currBass.pitch, tonicPitch, mode)
       const currMelodyDegree = currMelody ? this.getScaleDegree(currMelody.pitch, tonicPitch, mode) : -1
@@ -606,6 +645,57 @@ export class RuleEngine {
     return cadences
   }
 
+  /**
+   * 根据明确的和弦轨检测终止式
+   * 在每小节强拍上开始的新和弦处，比较它与前一和弦的根音级数
+   */
+  detectChordCadences(notes, chords, keySignature, keyMap = []) {
+    const cadences = []
+    const track = chords
+      .filter(c => c.root)
+      .sort((a, b) => a.measureNumber - b.measureNumber || a.beat - b.beat)
+    const measureGroups = this.groupNotesByMeasure(this.getPitchedNotes(notes))
+
+    for (let i = 1; i < track.length; i++) {
+      const prevChord = track[i - 1]
+      const currChord = track[i]
+      if (currChord.beat !== 0) continue
+
+      const measureNumber = currChord.measureNumber
+      const measureKey = this.getKeyAtMeasure(keyMap, measureNumber, keySignature)
+      const tonicPitch = this.getTonicFromKey(measureKey)
+      const mode = measureKey.mode || 'major'
+
+      const prevDegree = this.getScaleDegree(prevChord.root, tonicPitch, mode)
+      const currDegree = this.getScaleDegree(currChord.root, tonicPitch, mode)
+      if (prevDegree === currDegree) continue
+
+      // 旋律音取到达和弦上的最高音
+      const arrivalNotes = (measureGroups[measureNumber] || [])
+        .filter(n => n.beat < currChord.beat + (currChord.duration || 1))
+      const melody = this.getHighestNote(arrivalNotes)
+      const melodyDegree = melody ? this.getScaleDegree(melody.pitch, tonicPitch, mode) : -1
+
+      const cadence = this.classifyCadence(prevDegree, currDegree, melodyDegree, measureNumber, mode)
+      if (!cadence) continue
+
+      // 转位的主和弦不构成完满终止
+      const inverted = currChord.bass && currChord.bass !== currChord.root
+      if (cadence.type === CadenceTypes.PERFECT_AUTHENTIC && inverted) {
+        cadence.type = CadenceTypes.IMPERFECT_AUTHENTIC
+        cadence.strength = 'moderate'
+        cadence.confidence = 0.8
+      }
+
+      // 明确的和弦比推测的低音更可靠
+      cadence.confidence = Math.min(1, cadence.confidence + 0.05)
+      cadence.chords = { from: prevChord.symbol, to: currChord.symbol }
+      cadences.push(cadence)
+    }
+
+    return cadences
+  }
+
   /**
    * 分类终止式类型
    * @param {number} prevDegree - 前一和弦根音级数
@@ -730,16 +820,28 @@ export class RuleEngine {
     let phraseStart = measureNumbers[0]
     let phraseIndex = 0
     
-    // 按终止式划分乐句
-    const sortedCadences = [...cadences].sort((a, b) => a.measureNumber - b.measureNumber)
-
-    for (const cadence of sortedCadences) {
-      const phraseEnd = cadence.measureNumber
+    // 按终止式划分乐句；无终止式处的延长记号、换气记号也可作为乐句边界
+    const cues = this.detectBoundaryCues(notes)
+    const cadenceMeasures = new Set(cadences.map(c => c.measureNumber))
+    const boundaries = [
+      ...cadences.map(cadence => ({
+        measureNumber: cadence.measureNumber,
+        cadence,
+        cue: cues.get(cadence.measureNumber) || null
+      })),
+      ...[...cues.values()]
+        .filter(cue => cue.strength >= 0.7 && !cadenceMeasures.has(cue.measureNumber))
+        .map(cue => ({ measureNumber: cue.measureNumber, cadence: null, cue }))
+    ].sort((a, b) => a.measureNumber - b.measureNumber)
+
+    const closureOf = cadence => (cadence && this.getCadenceStrength(cadence) > 0.7 ? 'closed' : 'open')
+
+    for (const { measureNumber: phraseEnd, cadence, cue } of boundaries) {
       const phraseLength = phraseEnd - phraseStart + 1
       
       // 乐句长度检查 (典型2-8小节)
       if (phraseLength >= 2 && phraseLength <= 12) {
-        const phraseNotes = this.getNotesInRange(notes, phraseStart, phraseEnd)
+        const phraseNotes = this.getPitchedNotes(this.getNotesInRange(notes, phraseStart, phraseEnd))
         const phraseSubPhrases = subPhrases.filter(sp => 
           sp.startMeasure >= phraseStart && sp.endMeasure <= phraseEnd
         )
@@ -751,17 +853,18 @@ export class RuleEngine {
           endMeasure: phraseEnd,
           length: phraseLength,
           cadence: cadence,
+          boundaryCue: cue,
           notes: phraseNotes,
           subPhrases: phraseSubPhrases,
           material: this.assignMaterialLabel(phraseIndex),
-          closure: this.getCadenceStrength(cadence) > 0.7 ? 'closed' : 'open'
+          closure: closureOf(cadence)
         })
         
         phraseStart = phraseEnd + 1
         phraseIndex++
       } else if (phraseLength > 12) {
-        // 过长，可能需要进一步细分
-        const midPoint = phraseStart + Math.floor(phraseLength / 2)
+        // 过长，可能需要进一步细分 - 优先在最靠近中点的边界线索处切分
+        const midPoint = this.findSplitPoint(cues, phraseStart, phraseEnd)
         
         // 第一半
         phrases.push({
@@ -771,7 +874,8 @@ export class RuleEngine {
           endMeasure: midPoint,
           length: midPoint - phraseStart + 1,
           cadence: null,
-          notes: this.getNotesInRange(notes, phraseStart, midPoint),
+          boundaryCue: cues.get(midPoint) || null,
+          notes: this.getPitchedNotes(this.getNotesInRange(notes, phraseStart, midPoint)),
           subPhrases: subPhrases.filter(sp => sp.startMeasure >= phraseStart && sp.endMeasure <= midPoint),
           material: this.assignMaterialLabel(phraseIndex - 1),
           closure: 'open'
@@ -785,10 +889,11 @@ export class RuleEngine {
           endMeasure: phraseEnd,
           length: phraseEnd - midPoint,
           cadence: cadence,
-          notes: this.getNotesInRange(notes, midPoint + 1, phraseEnd),
+          boundaryCue: cue,
+          notes: this.getPitchedNotes(this.getNotesInRange(notes, midPoint + 1, phraseEnd)),
           subPhrases: subPhrases.filter(sp => sp.startMeasure > midPoint && sp.endMeasure <= phraseEnd),
           material: this.assignMaterialLabel(phraseIndex - 1),
-          closure: this.getCadenceStrength(cadence) > 0.7 ? 'closed' : 'open'
+          closure: closureOf(cadence)
         })
         
         phraseStart = phraseEnd + 1
@@ -807,7 +912,8 @@ export class RuleEngine {
           endMeasure: lastMeasure,
           length: remainingLength,
           cadence: null,
-          notes: this.getNotesInRange(notes, phraseStart, lastMeasure),
+          boundaryCue: cues.get(lastMeasure) || null,
+          notes: this.getPitchedNotes(this.getNotesInRange(notes, phraseStart, lastMeasure)),
           subPhrases: subPhrases.filter(sp => sp.startMeasure >= phraseStart),
           material: this.assignMaterialLabel(phraseIndex),
           closure: 'open'
@@ -821,6 +927,188 @@ export class RuleEngine {
     return phrases
   }
 
+  /**
+   * 检测乐句边界线索 - 延长记号、换气记号、小节末休止、连线结束、渐强渐弱结束、
+   * 下一小节的力度变化、奏法变化与新起的重音、歌词行尾、重复歌词行
+   * @param {Note[]} notes - 含休止符的音符事件
+   * @returns {Map<number, {measureNumber: number, strength: number, reasons: string[]}>}
+   */
+  detectBoundaryCues(notes) {
+    const cues = new Map()
+    const measureGroups = this.groupNotesByMeasure(notes)
+    const measureNumbers = Object.keys(measureGroups).map(Number).sort((a, b) => a - b)
+    const sounding = measureNumber => this.getMelodicEvents(measureGroups[measureNumber] || [])
+      .filter(n => !n.isRest && !n.grace)
+      .sort((a, b) => a.beat - b.beat)
+    let dynamic = null
+
+    for (const measureNumber of measureNumbers) {
+      const events = this.getMelodicEvents(measureGroups[measureNumber])
+      const measureEnd = Math.max(...events.map(n => n.beat + (n.duration || 0)))
+      const reasons = []
+      let strength = 0
+
+      const add = (reason, weight) => {
+        if (!reasons.includes(reason)) reasons.push(reason)
+        strength = Math.max(strength, weight)
+      }
+
+      for (const note of events) {
+        const endsMeasure = note.beat + (note.duration || 0) >= measureEnd - 0.001
+        if (note.fermata) add('fermata', 0.9)
+        if (note.breathMark) add('breath', 0.7)
+        if (note.isRest && note.duration >= 1 && endsMeasure) add('rest', 0.5)
+        if (note.slurEnd && !note.isRest && endsMeasure) add('slur', 0.3)
+        if (note.hairpinEnd && !note.isRest && endsMeasure) add('hairpin', 0.4)
+      }
+
+      // 演奏记号: 下一小节强拍换力度、断奏与连奏交替、重音从无到有
+      const current = sounding(measureNumber)
+      current.forEach(note => { if (note.dynamics) dynamic = note.dynamics })
+      const following = sounding(measureNumber + 1)
+      const downbeat = following[0]
+      if (current.length > 0 && downbeat && downbeat.beat < 0.001) {
+        const last = current[current.length - 1]
+        if (downbeat.dynamics && downbeat.dynamics !== dynamic) add('dynamics', 0.6)
+        if (this.isStaccato(last) !== this.isStaccato(downbeat) &&
+            following.slice(0, 2).every(n => this.isStaccato(n) === this.isStaccato(downbeat))) {
+          add('articulation', 0.4)
+        }
+        if (downbeat.accent && !current.some(n => n.accent)) add('accent', 0.3)
+      }
+
+      if (reasons.length > 0) {
+        cues.set(measureNumber, { measureNumber, strength, reasons })
+      }
+    }
+
+    // 歌词: 行尾所在小节为乐句结尾；重复出现的歌词行从新乐句开始
+    const addCue = (measureNumber, reason, weight) => {
+      const cue = cues.get(measureNumber) || { measureNumber, strength: 0, reasons: [] }
+      if (!cue.reasons.includes(reason)) cue.reasons.push(reason)
+      cue.strength = Math.max(cue.strength, weight)
+      cues.set(measureNumber, cue)
+    }
+    const lines = this.extractLyricLines(notes)
+    lines.forEach((line, i) => {
+      if (line.closed) addCue(line.endMeasure, 'lyric_line', line.endLine ? 0.8 : 0.7)
+      const repeated = line.words.length >= 3 && lines.some((other, j) =>
+        j !== i && this.compareLyricText(line.words, other.words) >= 0.8)
+      if (repeated && i > 0 && line.startMeasure > lines[i - 1].endMeasure) {
+        addCue(line.startMeasure - 1, 'lyric_repeat', 0.7)
+      }
+    })
+
+    return cues
+  }
+
+  /**
+   * 主歌词声部的带词音符 - 合唱等多声部歌词取歌词最多的声部，每音取第一段歌词
+   * @param {Note[]} notes
+   * @returns {Array<{measureNumber: number, beat: number, lyric: Lyric}>}
+   */
+  getLyricNotes(notes) {
+    const byVoice = new Map()
+    for (const note of notes) {
+      if (!note.lyrics?.length) continue
+      const key = `${note.partId}:${note.staff}:${note.voice}`
+      if (!byVoice.has(key)) byVoice.set(key, [])
+      byVoice.get(key).push({ measureNumber: note.measureNumber, beat: note.beat, lyric: note.lyrics[0] })
+    }
+    const main = [...byVoice.values()].sort((a, b) => b.length - a.length)[0] || []
+    return main.sort((a, b) => a.measureNumber - b.measureNumber || a.beat - b.beat)
+  }
+
+  /**
+   * 音符上的歌词连成单词
+   * @returns {string[]}
+   */
+  getLyricWords(notes) {
+    return this.joinLyricWords(this.getLyricNotes(notes).map(n => n.lyric))
+  }
+
+  /**
+   * 音节连成单词 (小写、去标点)
+   * @param {Lyric[]} lyrics
+   * @returns {string[]}
+   */
+  joinLyricWords(lyrics) {
+    const words = []
+    let current = ''
+    for (const lyric of lyrics) {
+      current += lyric.text
+      if (lyric.syllabic === 'single' || lyric.syllabic === 'end') {
+        words.push(current)
+        current = ''
+      }
+    }
+    if (current) words.push(current)
+    return words
+      .flatMap(word => word.toLowerCase().replace(/[^\p{L}\p{N}'\s]/gu, '').split(/\s+/))
+      .filter(Boolean)
+  }
+
+  /**
+   * 按行尾 (end-line 或句末标点) 切分歌词行
+   * @returns {Array<{words: string[], startMeasure: number, endMeasure: number, closed: boolean, endLine: boolean}>}
+   */
+  extractLyricLines(notes) {
+    const lines = []
+    let line = null
+    for (const { measureNumber, lyric } of this.getLyricNotes(notes)) {
+      if (!line) line = { syllables: [], startMeasure: measureNumber }
+      line.syllables.push(lyric)
+      line.endMeasure = measureNumber
+
+      const wordEnds = lyric.syllabic === 'single' || lyric.syllabic === 'end'
+      if (lyric.endLine || (wordEnds && /[.!?;:]["'»”]?$/.test(lyric.text.trim()))) {
+        lines.push({ ...line, closed: true, endLine: lyric.endLine })
+        line = null
+      }
+    }
+    if (line) lines.push({ ...line, closed: false, endLine: false })
+
+    return lines.map(({ syllables, ...rest }) => ({ ...rest, words: this.joinLyricWords(syllables) }))
+  }
+
+  /**
+   * 歌词相似度 - 按单词的最长公共子序列
+   * @param {string[]} words1
+   * @param {string[]} words2
+   * @returns {number} 0-1
+   */
+  compareLyricText(words1, words2) {
+    if (!words1.length || !words2.length) return 0
+
+    let previous = new Array(words2.length + 1).fill(0)
+    for (let i = 1; i <= words1.length; i++) {
+      const current = [0]
+      for (let j = 1; j <= words2.length; j++) {
+        current[j] = words1[i - 1] === words2[j - 1]
+          ? previous[j - 1] + 1
+          : Math.max(previous[j], current[j - 1])
+      }
+      previous = current
+    }
+    return previous[words2.length] / Math.max(words1.length, words2.length)
+  }
+
+  /**
+   * 为过长的乐句寻找切分点 - 最靠近中点的边界线索，否则取中点
+   */
+  findSplitPoint(cues, startMeasure, endMeasure) {
+    const midPoint = startMeasure + Math.floor((endMeasure - startMeasure + 1) / 2)
+    let best = null
+    for (const cue of cues.values()) {
+      if (cue.measureNumber <= startMeasure || cue.measureNumber >= endMeasure - 1) continue
+      const distance = Math.abs(cue.measureNumber - midPoint)
+      if (!best || distance < best.distance || (distance === best.distance && cue.strength > best.cue.strength)) {
+        best = { cue, distance }
+      }
+    }
+    return best ? best.cue.measureNumber : midPoint
+  }
+
   /**
    * 分析乐句材料关系 - 识别同头换尾、对比等
    */
@@ -1112,11 +1400,20 @@ export class RuleEngine {
   
   /**
    * 检测整体曲式结构 - Detect overall musical form
+   * 乐谱中的排练号与段落文字 (metadata.sectionMarks) 作为边界提示参与置信度
    * @param {Period[]} periods 
-   * @param {Object} metadata - 额外信息如调性、速度等
+   * @param {Object} metadata - 额外信息如调性、速度、sectionMarks 等
    * @returns {FormAnalysis}
    */
   detectForm(periods, metadata = {}) {
+    const formAnalysis = this.classifyForm(periods, metadata)
+    return this.applySectionHints(formAnalysis, periods, metadata.sectionMarks)
+  }
+
+  /**
+   * 按乐段材料判断曲式 (不含边界提示)
+   */
+  classifyForm(periods, metadata = {}) {
     const periodCount = periods.length
     
     if (periodCount === 0) {
@@ -1177,6 +1474,60 @@ export class RuleEngine {
     }
   }
 
+  /**
+   * 排练号/段落文字作为边界提示 - Rehearsal marks and section words as boundary hints
+   * 提示落在乐段起点 (±1 小节) 则加分，否则减分 (±0.1)；
+   * 段落文字与曲式相符 (如 Development → 奏鸣曲式) 另加 0.05。
+   * 命中的段落记下排练号/段落名。
+   * @param {FormAnalysis} formAnalysis
+   * @param {Period[]} periods
+   * @param {Object[]} [sectionMarks] - [{ measureNumber, text, section, type }]
+   * @returns {FormAnalysis}
+   */
+  applySectionHints(formAnalysis, periods, sectionMarks = []) {
+    if (!sectionMarks?.length || periods.length === 0) return formAnalysis
+
+    const firstMeasure = Math.min(...periods.map(p => p.startMeasure))
+    const nearStart = (measure, start) => Math.abs(measure - start) <= 1
+
+    // 第一小节的提示总能对齐，不参与评分
+    const hints = sectionMarks.filter((mark, i, all) =>
+      mark.measureNumber > firstMeasure + 1 &&
+      all.findIndex(m => m.measureNumber === mark.measureNumber) === i)
+    const aligned = hints.filter(mark => periods.some(p => nearStart(mark.measureNumber, p.startMeasure)))
+    const alignment = hints.length > 0 ? aligned.length / hints.length : null
+    const boundaryContribution = alignment === null ? 0 : (alignment - 0.5) * 0.2
+
+    const sectionsNamed = new Set(sectionMarks.map(m => m.section).filter(Boolean))
+    const impliedWords = {
+      [FormTypes.SONATA]: ['exposition', 'development', 'recapitulation'],
+      [FormTypes.SONATA_RONDO]: ['exposition', 'development', 'recapitulation', 'episode'],
+      [FormTypes.RONDO]: ['episode'],
+      [FormTypes.VARIATION]: ['theme', 'variation'],
+      [FormTypes.TERNARY_COMPOUND]: ['trio', 'minuet', 'scherzo'],
+      [FormTypes.VERSE_CHORUS]: ['verse', 'chorus', 'pre_chorus', 'bridge'],
+      [FormTypes.AABA]: ['bridge']
+    }[formAnalysis.formType] || []
+    const wordContribution = impliedWords.some(word => sectionsNamed.has(word)) ? 0.05 : 0
+
+    const contribution = Math.round((boundaryContribution + wordContribution) * 1000) / 1000
+    const sections = (formAnalysis.sections || []).map(section => {
+      const mark = sectionMarks.find(m => nearStart(m.measureNumber, section.startMeasure))
+      return mark ? { ...section, rehearsalMark: mark.text, sectionLabel: mark.section } : section
+    })
+
+    return {
+      ...formAnalysis,
+      sections,
+      confidence: Math.max(0.05, Math.min(0.99, formAnalysis.confidence + contribution)),
+      boundaryHints: {
+        marks: hints.length,
+        aligned: aligned.length,
+        contribution
+      }
+    }
+  }
+
   /**
    * 分析材料分布模式
    */
@@ -1204,6 +1555,54 @@ export class RuleEngine {
     }
   }
 
+  /**
+   * 按和声进行分析材料分布 - 和弦进行相同或相近的乐段视为同一材料
+   */
+  analyzeHarmonicPattern(periods, chords) {
+    const progressions = periods.map(period => {
+      const symbols = chords
+        .filter(c => c.root && c.measureNumber >= period.startMeasure && c.measureNumber <= period.endMeasure)
+        .map(c => `${c.root}:${c.kind}`)
+      return symbols.filter((symbol, i) => symbol !== symbols[i - 1])
+    })
+
+    const materials = []
+    let labelCount = 0
+    progressions.forEach((progression, i) => {
+      const similar = progressions
+        .slice(0, i)
+        .findIndex(other => this.calculateProgressionSimilarity(progression, other) >= 0.75)
+      materials.push(similar >= 0 ? materials[similar] : String.fromCharCode(97 + (labelCount++ % 26)))
+    })
+
+    const counts = {}
+    materials.forEach(m => {
+      counts[m] = (counts[m] || 0) + 1
+    })
+
+    return {
+      pattern: materials.join(''),
+      materials,
+      counts,
+      mainMaterial: Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || 'a',
+      uniqueCount: Object.keys(counts).length,
+      hasRecapitulation: materials.length >= 3 && materials[0] === materials[materials.length - 1]
+    }
+  }
+
+  /**
+   * 和弦进行相似度 (按位置比较)
+   */
+  calculateProgressionSimilarity(a, b) {
+    if (a.length === 0 && b.length === 0) return 1
+    const length = Math.max(a.length, b.length)
+    let matches = 0
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (a[i] === b[i]) matches++
+    }
+    return matches / length
+  }
+
   /**
    * 分析一部曲式
    */
@@ -1869,14 +2268,21 @@ export class RuleEngine {
   /**
    * 检测流行音乐曲式
    * 主歌-副歌式 (Verse-Chorus)
+   * 有和弦轨时按和声进行划分材料 (流行音乐中和声比旋律更能区分主歌与副歌)
+   * 有歌词时: 歌词重复的为副歌，旋律相同而歌词不同的为主歌
    */
-  detectPopularMusicForm(periods, metadata = {}) {
+  detectPopularMusicForm(periods, metadata = {}, chords = []) {
     if (periods.length < 2) {
       return { formType: 'unknown', confidence: 0.3 }
     }
     
-    const materialPattern = this.analyzeMaterialPattern(periods)
+    const useHarmony = chords.some(c => c.root)
+    const materialPattern = useHarmony
+      ? this.analyzeHarmonicPattern(periods, chords)
+      : this.analyzeMaterialPattern(periods)
     const { materials, counts } = materialPattern
+    const harmonyBonus = useHarmony ? 0.05 : 0
+    const lyricPattern = this.analyzeLyricPattern(periods)
     
     // 检测主歌-副歌结构
     // 特征: 交替出现的两种材料，副歌通常更有力
@@ -1888,10 +2294,13 @@ export class RuleEngine {
       
       // 检查是否为交替模式 (ABAB, AABB, etc.)
       if (pattern.match(/^(ab)+a?$/i) || pattern.match(/^(ba)+b?$/i)) {
+        // 歌词定副歌；无歌词时假设第一个材料是主歌
+        const chorusMaterial = lyricPattern ? this.findChorusMaterial(materials, lyricPattern.repeated) : null
+        const verseMaterial = chorusMaterial ? (mat1 === chorusMaterial ? mat2 : mat1) : materials[0]
         return {
           formType: FormTypes.VERSE_CHORUS,
-          sections: this.createVerseChorusSections(periods, materials),
-          confidence: 0.75,
+          sections: this.createVerseChorusSections(periods, materials, verseMaterial),
+          confidence: 0.75 + harmonyBonus + (chorusMaterial ? 0.05 : 0),
           description: '主歌-副歌式 (Verse-Chorus Form)'
         }
       }
@@ -1904,31 +2313,90 @@ export class RuleEngine {
         return {
           formType: FormTypes.AABA,
           sections: this.createAABASections(periods),
-          confidence: 0.8,
+          confidence: 0.8 + harmonyBonus,
           description: 'AABA曲式 (32-bar Form)'
         }
       }
     }
+
+    // 旋律材料无法区分时，按歌词: 重复歌词 (r) 与新歌词 (v) 交替，无歌词 (i) 的间奏不计
+    if (lyricPattern) {
+      const labels = lyricPattern.words.map((words, i) =>
+        words.length === 0 ? 'i' : (lyricPattern.repeated[i] ? 'r' : 'v'))
+      const collapsed = labels.filter(l => l !== 'i').join('').replace(/(.)\1+/g, '$1')
+      const refrains = labels.filter(l => l === 'r').length
+      if (refrains >= 2 && (collapsed.match(/^(vr)+v?$/) || collapsed.match(/^(rv)+r?$/))) {
+        return {
+          formType: FormTypes.VERSE_CHORUS,
+          sections: this.createVerseChorusSections(periods, labels, 'v', 'r'),
+          confidence: 0.7,
+          description: '主歌-副歌式 (Verse-Chorus Form，按歌词重复判断)'
+        }
+      }
+    }
     
     return { formType: 'unknown', confidence: 0.3 }
   }
 
+  /**
+   * 分析各乐段歌词 - 歌词与其他乐段重复 (≥70%) 的乐段视为副歌/叠句
+   * @returns {{words: string[][], repeated: boolean[]}|null} 少于两个乐段有歌词时为 null
+   */
+  analyzeLyricPattern(periods) {
+    const words = periods.map(period => this.getLyricWords(period.phrases.flatMap(p => p.notes)))
+    if (words.filter(w => w.length >= 3).length < 2) return null
+
+    const repeated = words.map((w, i) => w.length >= 3 &&
+      words.some((other, j) => j !== i && this.compareLyricText(w, other) >= 0.7))
+    return { words, repeated }
+  }
+
+  /**
+   * 歌词重复比例最高的材料为副歌材料 (需过半且高于其他材料)
+   * @returns {string|null}
+   */
+  findChorusMaterial(materials, repeated) {
+    const ratios = {}
+    materials.forEach((material, i) => {
+      ratios[material] = ratios[material] || { repeated: 0, total: 0 }
+      ratios[material].total++
+      if (repeated[i]) ratios[material].repeated++
+    })
+    const ranked = Object.entries(ratios)
+      .map(([material, r]) => ({ material, ratio: r.repeated / r.total }))
+      .sort((a, b) => b.ratio - a.ratio)
+
+    if (ranked[0].ratio < 0.5 || ranked[0].ratio === ranked[1]?.ratio) return null
+    return ranked[0].material
+  }
+
   /**
    * 创建主歌-副歌段落结构
+   * @param {string} [verseMaterial] - 默认第一个材料是主歌
+   * @param {string|null} [chorusMaterial] - 给出时，其余材料为间奏
    */
-  createVerseChorusSections(periods, materials) {
+  createVerseChorusSections(periods, materials, verseMaterial = materials[0], chorusMaterial = null) {
     const sections = []
     let verseCount = 0
     let chorusCount = 0
-    
-    // 假设第一个材料是主歌
-    const verseMaterial = materials[0]
+    let interludeCount = 0
     
     for (let i = 0; i < periods.length; i++) {
       const period = periods[i]
       const material = materials[i]
       
-      if (material === verseMaterial) {
+      if (chorusMaterial && material !== verseMaterial && material !== chorusMaterial) {
+        interludeCount++
+        sections.push({
+          id: generateId(),
+          name: `Interlude ${interludeCount}`,
+          type: 'interlude',
+          startMeasure: period.startMeasure,
+          endMeasure: period.endMeasure,
+          function: 'interlude',
+          periods: [period]
+        })
+      } else if (material === verseMaterial) {
         verseCount++
         sections.push({
           id: generateId(),
@@ -2305,6 +2773,9 @@ export class RuleEngine {
     const {
       keySignature = { fifths: 0, mode: 'major' },
       timeSignature = { beats: 4, beatType: 4 },
+      keyMap = [],
+      meterMap = [],
+      chords = [],
       metadata = {}
     } = options
     
@@ -2315,10 +2786,10 @@ export class RuleEngine {
     const motives = this.detectMotives(notes, timeSignature)
     
     // 3. 检测乐节
-    const subPhrases = this.detectSubPhrases(notes, motives)
+    const subPhrases = this.detectSubPhrases(notes, motives, meterMap, timeSignature)
     
     // 4. 检测终止式
-    const cadences = this.detectCadences(notes, keySignature)
+    const cadences = this.detectCadences(notes, keySignature, keyMap, chords)
     
     // 5. 检测乐句
     const phrases = this.detectPhrases(notes, cadences, subPhrases)
@@ -2333,7 +2804,8 @@ export class RuleEngine {
     const formAnalysis = this.detectForm(periods, metadata)
     
     // 9. 尝试检测流行音乐曲式
-    const popFormAnalysis = this.detectPopularMusicForm(periods, metadata)
+    const popFormAnalysis = this.applySectionHints(
+      this.detectPopularMusicForm(periods, metadata, chords), periods, metadata.sectionMarks)
     if (popFormAnalysis.confidence > formAnalysis.confidence) {
       Object.assign(formAnalysis, popFormAnalysis)
     }
@@ -2342,10 +2814,11 @@ export class RuleEngine {
     const themes = this.identifyThemes(periods, formAnalysis)
     
     // 11. 检测附属结构
+    const pitchedNotes = this.getPitchedNotes(notes)
     const introduction = periods.length > 0 ? 
-      this.detectIntroduction(notes, periods[0]) : null
+      this.detectIntroduction(pitchedNotes, periods[0]) : null
     const coda = periods.length > 0 ? 
-      this.detectCoda(notes, periods[periods.length - 1], cadences[cadences.length - 1]) : null
+      this.detectCoda(pitchedNotes, periods[periods.length - 1], cadences[cadences.length - 1]) : null
     const transitions = this.detectTransitions(periods)
     const extensions = this.detectExtensions(phrases)
     
@@ -2395,7 +2868,7 @@ export class RuleEngine {
       
       // 统计信息
       statistics: this.calculateStatistics({
-        notes, motives, subPhrases, phrases, periods, cadences
+        notes: pitchedNotes, motives, subPhrases, phrases, periods, cadences
       })
     }
   }
@@ -2760,6 +3233,9 @@ export class RuleEngine {
     const {
       keySignature = { fifths: 0, mode: 'major' },
       timeSignature = { beats: 4, beatType: 4 },
+      keyMap = [],
+      meterMap = [],
+      chords = [],
       metadata = {}
     } = options
     
@@ -2777,11 +3253,11 @@ export class RuleEngine {
       const chunkMotives = motives.filter(m => 
         chunkNotes.some(n => n.measureNumber === m.measureNumber)
       )
-      return this.detectSubPhrases(chunkNotes, chunkMotives)
+      return this.detectSubPhrases(chunkNotes, chunkMotives, meterMap, timeSignature)
     })
     
     // 4. Detect cadences (full analysis needed for harmonic context)
-    const cadences = this.detectCadences(notes, keySignature)
+    const cadences = this.detectCadences(notes, keySignature, keyMap, chords)
     
     // 5. Detect phrases
     const phrases = this.detectPhrases(notes, cadences, subPhrases)
@@ -2796,7 +3272,8 @@ export class RuleEngine {
     const formAnalysis = this.detectForm(periods, metadata)
     
     // 9. Try popular music form
-    const popFormAnalysis = this.detectPopularMusicForm(periods, metadata)
+    const popFormAnalysis = this.applySectionHints(
+      this.detectPopularMusicForm(periods, metadata, chords), periods, metadata.sectionMarks)
     if (popFormAnalysis.confidence > formAnalysis.confidence) {
       Object.assign(formAnalysis, popFormAnalysis)
     }
@@ -2805,10 +3282,11 @@ export class RuleEngine {
     const themes = this.identifyThemes(periods, formAnalysis)
     
     // 11. Detect auxiliary structures
+    const pitchedNotes = this.getPitchedNotes(notes)
     const introduction = periods.length > 0 ? 
-      this.detectIntroduction(notes, periods[0]) : null
+      this.detectIntroduction(pitchedNotes, periods[0]) : null
     const coda = periods.length > 0 ? 
-      this.detectCoda(notes, periods[periods.length - 1], cadences[cadences.length - 1]) : null
+      this.detectCoda(pitchedNotes, periods[periods.length - 1], cadences[cadences.length - 1]) : null
     const transitions = this.detectTransitions(periods)
     const extensions = this.detectExtensions(phrases)
     
@@ -2849,7 +3327,7 @@ export class RuleEngine {
       },
       tooltipData: tooltipDataMap,
       statistics: this.calculateStatistics({
-        notes, motives, subPhrases, phrases, periods, cadences
+        notes: pitchedNotes, motives, subPhrases, phrases, periods, cadences
       }),
       processingInfo: {
         chunked: true,
@@ -2932,6 +3410,36 @@ export class RuleEngine {
     return tonic
   }
 
+  /**
+   * 获取指定小节的调性 (调性变化表中该小节之前最近的一项)
+   * @param {Object[]} keyMap - [{ measure, fifths, mode }]
+   * @param {number} measureNumber 
+   * @param {Object} fallback - 无调性变化时使用的调号
+   */
+  getKeyAtMeasure(keyMap, measureNumber, fallback = { fifths: 0, mode: 'major' }) {
+    let key = fallback
+    for (const entry of keyMap || []) {
+      if (entry.measure > measureNumber) break
+      key = entry
+    }
+    return key
+  }
+
+  /**
+   * 获取指定小节的拍号 (拍号变化表中该小节之前最近的一项)
+   * @param {Object[]} meterMap - [{ measure, beats, beatType }]
+   * @param {number} measureNumber 
+   * @param {Object} fallback - 无拍号变化时使用的拍号
+   */
+  getMeterAtMeasure(meterMap, measureNumber, fallback = { beats: 4, beatType: 4 }) {
+    let meter = fallback
+    for (const entry of meterMap || []) {
+      if (entry.measure > measureNumber) break
+      meter = entry
+    }
+    return meter
+  }
+
   /**
    * 获取音阶级数
    */
@@ -2965,6 +3473,57 @@ export class RuleEngine {
     return groups
   }
 
+  /**
+   * 过滤出有音高的音符 (去除休止符)
+   */
+  getPitchedNotes(notes) {
+    // 打击乐 (unpitched) 没有 pitch，因此不参与和声、终止式与调式分析
+    return notes.filter(n => n.pitch && !n.isRest)
+  }
+
+  /**
+   * 打击乐起音 - 同时敲击的音合并为一个起音，时值取到下一起音的间隔
+   * @param {Note[]} notes
+   * @returns {Note[]} 每个起音一个事件 (pitch 为 null)，hits 为同时敲击的乐器数
+   */
+  getPercussionOnsets(notes) {
+    const hits = notes.filter(n => n.unpitched && !n.isRest && !n.grace)
+    const onsets = []
+    for (const group of Object.values(this.groupNotesByMeasure(hits))) {
+      const byBeat = new Map()
+      group.forEach(hit => {
+        if (!byBeat.has(hit.beat)) byBeat.set(hit.beat, [])
+        byBeat.get(hit.beat).push(hit)
+      })
+      const beats = [...byBeat.keys()].sort((a, b) => a - b)
+      beats.forEach((beat, i) => {
+        const first = byBeat.get(beat)[0]
+        onsets.push({
+          ...first,
+          duration: i + 1 < beats.length ? beats[i + 1] - beat : first.duration,
+          hits: byBeat.get(beat).length
+        })
+      })
+    }
+    return onsets
+  }
+
+  /**
+   * 小节中除打击乐声部外的事件；只有打击乐时全部保留
+   */
+  getMelodicEvents(events) {
+    const melodic = events.filter(n => !n.percussion && !n.unpitched)
+    return melodic.length > 0 ? melodic : events
+  }
+
+  /**
+   * 是否为断奏 (staccato 或 staccatissimo)
+   * @param {Note} note
+   */
+  isStaccato(note) {
+    return Boolean(note.staccato || note.articulations?.some(a => a === 'staccato' || a === 'staccatissimo'))
+  }
+
   /**
    * 按拍分组音符
    */
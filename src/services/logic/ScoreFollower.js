@@ -0,0 +1,197 @@
+/**
+ * Score Follower - Logic Layer
+ * Online DTW (after Dixon, 2005): follows a live performance through the
+ * score one chroma frame at a time. Only a window of score frames around
+ * the current position is updated per frame, so the cost per frame is
+ * constant however long the piece is.
+ *
+ * The score is matched in performed order (repeats unfolded), so the
+ * follower moves forward only; a rehearsal restart calls jumpTo().
+ */
+
+import DTWAligner, { measureSeconds, normalizeFrames } from './DTWAligner.js'
+
+// Seconds of position history the tempo estimate is taken over
+const TEMPO_WINDOW = 4
+
+export class ScoreFollower {
+  constructor(options = {}) {
+    // Score frames per measure; 8 gives quarter-beat resolution in 4/4
+    this.framesPerMeasure = options.framesPerMeasure || 8
+    // How far ahead of the current position a frame may match, in measures
+    this.searchMeasures = options.searchMeasures || 2
+    // Frames quieter than this (RMS) are rests or room noise and are not matched
+    this.silenceThreshold = options.silenceThreshold ?? 0.01
+    // Smoothing of the match cost behind the confidence (0-1, higher is slower)
+    this.confidenceSmoothing = options.confidenceSmoothing ?? 0.9
+
+    this.scoreChroma = []
+    this.measures = []
+    this.timeline = []
+    this.tempo = 120
+    this.reset()
+  }
+
+  /**
+   * Prepare a score for following
+   * @param {Object} score - { notes, measures, timeline } from StructureAnalyzer.performedScore
+   * @param {Object} [options]
+   * @param {number} [options.tempo=120] - for measures without a tempo mark
+   */
+  load({ notes, measures, timeline }, { tempo = 120 } = {}) {
+    const pitchedNotes = notes.filter(note => !note.percussion)
+    this.scoreChroma = normalizeFrames(
+      DTWAligner.generateSymbolicChroma(pitchedNotes, measures.length, this.framesPerMeasure, measures)
+    )
+    this.measures = measures
+    this.timeline = timeline
+    this.tempo = tempo
+    this.reset()
+  }
+
+  /**
+   * Start again from the beginning (or from a performed measure)
+   * @param {number} [index=1] - 1-based performed position
+   */
+  reset(index = 1) {
+    const frameCount = this.scoreChroma.length
+    this.previous = new Float64Array(frameCount).fill(Infinity)
+    this.current = new Float64Array(frameCount).fill(Infinity)
+    this.frameIndex = 0
+    this.startFrame = Math.max(0, Math.min(frameCount - 1, (index - 1) * this.framesPerMeasure))
+    this.scoreFrame = this.startFrame
+    this.matchCost = null
+    this.history = []
+    this.position = null
+  }
+
+  /**
+   * Continue following from another measure (the performer restarted)
+   * @param {number} index - 1-based performed position
+   */
+  jumpTo(index) {
+    this.reset(index)
+  }
+
+  /**
+   * Match the next audio frame
+   * @param {Object} frame
+   * @param {number[]} frame.chroma - 12 values, C first
+   * @param {number} [frame.rms] - loudness; quiet frames keep the current position
+   * @param {number} frame.time - seconds (audio clock) at the centre of the frame
+   * @returns {FollowerPosition|null} null until the score is loaded
+   */
+  push({ chroma, rms = null, time }) {
+    const frameCount = this.scoreChroma.length
+    if (frameCount === 0) return null
+
+    if (rms !== null && rms < this.silenceThreshold) {
+      this.position = this.position && { ...this.position, time, silent: true }
+      return this.position
+    }
+
+    const input = normalizeFrames([chroma])[0]
+    const from = Math.max(this.startFrame, this.scoreFrame - Math.floor(this.framesPerMeasure / 2))
+    const to = Math.min(frameCount - 1, this.scoreFrame + this.searchMeasures * this.framesPerMeasure)
+    const previous = this.previous
+    const current = this.current
+    current.fill(Infinity)
+
+    // Symmetric steps: a diagonal move counts the cost twice, so every path
+    // to row i after t frames has weight (i + 1) + (t + 1) and rows compare
+    // by their cost per unit of weight
+    let best = from
+    let bestCost = Infinity
+    for (let i = from; i <= to; i++) {
+      const cost = this.distance(this.scoreChroma[i], input)
+      const origin = this.frameIndex === 0 && i === this.startFrame ? 0 : Infinity
+      const diagonal = i > 0 ? previous[i - 1] : Infinity
+      const stay = previous[i]
+      const advance = i > from ? current[i - 1] : Infinity
+
+      current[i] = Math.min(Math.min(origin, diagonal) + 2 * cost, stay + cost, advance + cost)
+
+      const normalized = current[i] / (i - this.startFrame + this.frameIndex + 2)
+      if (normalized < bestCost) {
+        bestCost = normalized
+        best = i
+      }
+    }
+
+    this.previous = current
+    this.current = previous
+    this.frameIndex++
+
+    // Performers do not play an unfolded score backwards
+    this.scoreFrame = Math.max(this.scoreFrame, best)
+
+    const cost = this.distance(this.scoreChroma[this.scoreFrame], input)
+    this.matchCost = this.matchCost === null
+      ? cost
+      : this.confidenceSmoothing * this.matchCost + (1 - this.confidenceSmoothing) * cost
+
+    this.history.push({ time, frame: this.scoreFrame })
+    while (this.history.length > 2 && time - this.history[0].time > TEMPO_WINDOW) {
+      this.history.shift()
+    }
+
+    this.position = this.describePosition(time)
+    return this.position
+  }
+
+  /**
+   * Current position, as usePlaybackTimeline.locate reports it, plus
+   * confidence and the time of the frame it was found from
+   */
+  describePosition(time) {
+    const measureIndex = Math.floor(this.scoreFrame / this.framesPerMeasure)
+    const entry = this.timeline[measureIndex]
+    const measure = this.measures[measureIndex]
+    const beats = measure?.timeSignature?.beats || 4
+    const progress = (this.scoreFrame % this.framesPerMeasure + 0.5) / this.framesPerMeasure
+
+    return {
+      entry,
+      index: entry?.index ?? measureIndex + 1,
+      measure: entry?.measure ?? measureIndex + 1,
+      offset: 0,
+      progress,
+      beat: Math.min(beats, Math.floor(progress * beats) + 1),
+      beats,
+      tempo: this.estimateTempo(measure) ?? (measure?.tempo || this.tempo),
+      confidence: Math.round(Math.max(0, 1 - this.matchCost / Math.SQRT2) * 100) / 100,
+      time,
+      silent: false
+    }
+  }
+
+  /**
+   * Tempo the performer is taking, from how fast the position moved over
+   * the last few seconds, relative to the measure's marked tempo
+   */
+  estimateTempo(measure) {
+    const first = this.history[0]
+    const last = this.history[this.history.length - 1]
+    const elapsed = last.time - first.time
+    if (elapsed < TEMPO_WINDOW / 2 || last.frame === first.frame) return null
+
+    const markedTempo = measure?.tempo || this.tempo
+    const framesPerSecond = this.framesPerMeasure / measureSeconds(measure, this.tempo)
+    return Math.round(markedTempo * (last.frame - first.frame) / elapsed / framesPerSecond)
+  }
+
+  distance(a, b) {
+    let sum = 0
+    for (let k = 0; k < 12; k++) {
+      const diff = (a[k] || 0) - (b[k] || 0)
+      sum += diff * diff
+    }
+    return Math.sqrt(sum)
+  }
+
+  getPosition() {
+    return this.position
+  }
+}
+
+export default ScoreFollower
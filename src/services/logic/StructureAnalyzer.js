@@ -22,6 +22,7 @@ export class StructureAnalyzer {
   constructor() {
     this.ruleEngine = new RuleEngine()
     this.structureTree = null
+    this.analysisResult = null
     this.tooltipDataMap = new Map()
     this.version = RULE_ENGINE_VERSION
   }
@@ -33,7 +34,18 @@ export class StructureAnalyzer {
    * @returns {Object} StructureTree
    */
   buildHierarchy(parsedScore) {
-    const { notes, keySignature, measures, timeSignature } = parsedScore
+    const { keySignature, timeSignature } = parsedScore
+    
+    // Analyze the performed order (repeats unfolded); the tree is mapped
+    // back to written measure numbers once it is built
+    const timeline = parsedScore.performance?.timeline || null
+    const notes = this.unfoldNotes(parsedScore.notes, timeline)
+    const measures = timeline || parsedScore.measures
+    const keyMap = this.unfoldMeasureMap(parsedScore.keyMap, timeline)
+    const meterMap = this.unfoldMeasureMap(parsedScore.meterMap, timeline)
+    const chords = this.unfoldNotes(parsedScore.chords || [], timeline)
+    // Rehearsal marks and section words act as form boundary hints
+    const sectionMarks = this.unfoldNotes(parsedScore.sectionMarks || [], timeline)
     
     // Use chunked analysis for large scores
     const useChunked = notes.length > 1000 || measures.length > 64
@@ -43,15 +55,25 @@ export class StructureAnalyzer {
       console.log('[StructureAnalyzer] Using chunked analysis for large score')
       analysisResult = this.ruleEngine.analyzeCompleteChunked(notes, {
         keySignature,
-        timeSignature: timeSignature || { beats: 4, beatType: 4 }
+        keyMap,
+        meterMap,
+        chords,
+        timeSignature: timeSignature || { beats: 4, beatType: 4 },
+        metadata: { sectionMarks }
       })
     } else {
       analysisResult = this.ruleEngine.analyzeComplete(notes, {
         keySignature,
-        timeSignature: timeSignature || { beats: 4, beatType: 4 }
+        keyMap,
+        meterMap,
+        chords,
+        timeSignature: timeSignature || { beats: 4, beatType: 4 },
+        metadata: { sectionMarks }
       })
     }
     
+    // Cadences, phrases, periods and form in performed order, as the tree was built
+    this.analysisResult = analysisResult
     const { cadences, phrases, periods, form: formAnalysis, tooltipData } = analysisResult
     
     // Store tooltip data
@@ -60,13 +82,16 @@ export class StructureAnalyzer {
     }
 
     // Build hierarchical tree
-    this.structureTree = this.buildTree(parsedScore, phrases, periods, formAnalysis)
+    this.structureTree = this.buildTree(parsedScore, phrases, periods, formAnalysis, measures.length)
 
     // Assign confidence scores with visual styles
     this.assignConfidence(this.structureTree)
 
     // Label materials
     this.labelMaterials(this.structureTree, notes)
+
+    // Refer back to written measure numbers
+    this.mapToWrittenMeasures(this.structureTree, timeline)
     
     // Generate tooltip data for tree nodes
     this.generateTreeTooltips(this.structureTree)
@@ -74,10 +99,136 @@ export class StructureAnalyzer {
     return this.structureTree
   }
 
+  /**
+   * Notes and measures of a score in performed order, for matching it
+   * against audio (DTWAligner, ScoreFollower)
+   * @param {ParsedScore} parsedScore
+   * @param {PerformanceTimeline} [performance] - another unfolding than the score's own
+   *   (a candidate from buildCandidateTimelines)
+   * @returns {{ notes: Note[], measures: Measure[], timeline: Object[] }}
+   *   timeline maps performed positions (1-based) to written measures
+   */
+  performedScore(parsedScore, performance = parsedScore.performance) {
+    const timeline = performance?.timeline?.length ? performance.timeline : null
+    return {
+      notes: this.unfoldNotes(parsedScore.notes, timeline),
+      measures: timeline
+        ? timeline.map(entry => parsedScore.measures[entry.measure - 1])
+        : parsedScore.measures,
+      timeline: timeline || parsedScore.measures.map((measure, i) => ({
+        index: i + 1,
+        measure: measure.number,
+        label: measure.label || String(measure.number),
+        pass: 1
+      }))
+    }
+  }
+
+  /**
+   * Copy notes into performed order, one copy per performed occurrence
+   * of their measure. measureNumber becomes the performed position and
+   * writtenMeasure keeps the measure number in the score.
+   * Also used for the chord track, whose events carry measureNumber too.
+   * @param {Note[]} notes 
+   * @param {Object[]|null} timeline - ParsedScore.performance.timeline
+   * @returns {Note[]}
+   */
+  unfoldNotes(notes, timeline) {
+    if (!timeline) return notes
+
+    const notesByMeasure = new Map()
+    notes.forEach(note => {
+      if (!notesByMeasure.has(note.measureNumber)) {
+        notesByMeasure.set(note.measureNumber, [])
+      }
+      notesByMeasure.get(note.measureNumber).push(note)
+    })
+
+    const performedNotes = []
+    timeline.forEach(entry => {
+      const measureNotes = notesByMeasure.get(entry.measure) || []
+      measureNotes.forEach(note => {
+        const performed = {
+          ...note,
+          measureNumber: entry.index,
+          writtenMeasure: entry.measure
+        }
+        // Repeated music with several verses: the n-th pass sings verse n
+        if (note.lyrics?.length > 1) {
+          const verse = note.lyrics.filter(lyric => lyric.verse === entry.pass)
+          if (verse.length > 0) performed.lyrics = verse
+        }
+        performedNotes.push(performed)
+      })
+    })
+
+    return performedNotes
+  }
+
+  /**
+   * Re-key a per-measure change list (keyMap, meterMap) to performed positions.
+   * An entry is emitted wherever the value in effect changes along the performance.
+   * @param {Object[]} map - [{ measure, ... }] in written measure numbers
+   * @param {Object[]|null} timeline
+   * @returns {Object[]}
+   */
+  unfoldMeasureMap(map, timeline) {
+    if (!map || !timeline) return map || []
+
+    const unfolded = []
+    let previous = null
+    timeline.forEach(entry => {
+      let current = null
+      for (const item of map) {
+        if (item.measure > entry.measure) break
+        current = item
+      }
+      if (current && current !== previous) {
+        unfolded.push({ ...current, measure: entry.index })
+        previous = current
+      }
+    })
+    return unfolded
+  }
+
+  /**
+   * Convert node ranges from performed positions to written measure numbers.
+   * The written range spans every measure the performed range plays, so a
+   * range that runs across a jump (a repeat, D.C. al Fine) keeps the music
+   * before the jump. The performed range is kept in
+   * performedStartMeasure/performedEndMeasure so playback can locate
+   * repeated occurrences.
+   */
+  mapToWrittenMeasures(tree, timeline) {
+    const toWritten = (index) => timeline?.[index - 1]?.measure ?? index
+
+    const traverse = (node) => {
+      const performedStart = node.startMeasure
+      const performedEnd = node.endMeasure
+      node.performedStartMeasure = performedStart
+      node.performedEndMeasure = performedEnd
+
+      let start = toWritten(performedStart)
+      let end = start
+      for (let index = performedStart + 1; index <= performedEnd; index++) {
+        const measure = toWritten(index)
+        start = Math.min(start, measure)
+        end = Math.max(end, measure)
+      }
+      node.startMeasure = start
+      node.endMeasure = end
+
+      node.children.forEach(traverse)
+    }
+
+    traverse(tree.root)
+    return tree
+  }
+
   /**
    * Build the structure tree
    */
-  buildTree(parsedScore, phrases, periods, formAnalysis) {
+  buildTree(parsedScore, phrases, periods, formAnalysis, totalMeasures = parsedScore.measures.length) {
     const nodes = new Map()
     
     // Create root node (entire piece)
@@ -85,7 +236,7 @@ export class StructureAnalyzer {
       id: generateId(),
       type: 'section',
       startMeasure: 1,
-      endMeasure: parsedScore.measures.length,
+      endMeasure: totalMeasures,
       children: [],
       parent: null,
       material: 'A',
@@ -155,9 +306,10 @@ export class StructureAnalyzer {
           children: [],
           parent: periodNode,
           material: phrase.material,
-          confidence: phrase.cadence ? 0.8 : 0.6,
+          confidence: phrase.cadence ? 0.8 : (phrase.boundaryCue ? 0.7 : 0.6),
           features: {
-            cadence: phrase.cadence
+            cadence: phrase.cadence,
+            boundaryCue: phrase.boundaryCue || null
           }
         }
         periodNode.children.push(phraseNode)
@@ -289,7 +441,7 @@ export class StructureAnalyzer {
         material: node.material,
         startMeasure: node.startMeasure,
         endMeasure: node.endMeasure,
-        length: `${node.endMeasure - node.startMeasure + 1} measures`,
+        length: `${(node.performedEndMeasure ?? node.endMeasure) - (node.performedStartMeasure ?? node.startMeasure) + 1} measures`,
         confidence: node.confidence,
         confidencePercent: `${Math.round((node.confidence || 0.5) * 100)}%`,
         uncertaintyLevel: node.visualStyle?.uncertaintyLevel || 'medium',
@@ -363,6 +515,7 @@ export class StructureAnalyzer {
     const traverse = (node) => {
       // Get notes for this node
       const nodeNotes = notes.filter(n => 
+        !n.isRest && !n.unpitched &&
         n.measureNumber >= node.startMeasure && 
         n.measureNumber <= node.endMeasure
       )
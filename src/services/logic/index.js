@@ -4,4 +4,6 @@
 
 export { RuleEngine } from './RuleEngine.js'
 export { StructureAnalyzer } from './StructureAnalyzer.js'
+export { AudioStructureAnalyzer } from './AudioStructureAnalyzer.js'
 export { DTWAligner } from './DTWAligner.js'
+export { ScoreFollower } from './ScoreFollower.js'
@@ -0,0 +1,869 @@
+/**
+ * ABC Parser - Perception Layer
+ * Parses ABC notation (folk tunes, Orff repertoire) into the same
+ * ParsedScore shape as the MusicXML parser. Only the first tune of
+ * a file is read.
+ */
+
+import {
+  toFraction,
+  applyTempoMap,
+  extractTempoMap,
+  extractMeterMap,
+  extractKeyMap,
+  buildPerformanceTimeline
+} from './scoreTimeline.js'
+import { reportDiagnostic, reportTempoFallback } from './diagnostics.js'
+import { createMetadata, createSectionMark, mergeSectionMarks } from './scoreMetadata.js'
+
+// Ticks per quarter note: divisible by the usual note lengths and by 3, 5 and 7 for tuplets
+const TICKS_PER_QUARTER = 6720
+const TICKS_PER_WHOLE = TICKS_PER_QUARTER * 4
+
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B']
+const LETTER_FIFTHS = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 }
+
+// Key signature offset of each mode from the major key on the same tonic
+const MODES = {
+  maj: { offset: 0, name: 'major' },
+  ion: { offset: 0, name: 'major' },
+  min: { offset: -3, name: 'minor' },
+  aeo: { offset: -3, name: 'minor' },
+  mix: { offset: -1, name: 'mixolydian' },
+  dor: { offset: -2, name: 'dorian' },
+  phr: { offset: -4, name: 'phrygian' },
+  lyd: { offset: 1, name: 'lydian' },
+  loc: { offset: -5, name: 'locrian' }
+}
+
+const DYNAMICS = ['ppp', 'pp', 'p', 'mp', 'mf', 'f', 'ff', 'fff', 'sfz']
+
+const keyAlter = (letter, fifths) => {
+  if (fifths > 0) return SHARP_ORDER.slice(0, fifths).includes(letter) ? 1 : 0
+  if (fifths < 0) return [...SHARP_ORDER].reverse().slice(0, -fifths).includes(letter) ? -1 : 0
+  return 0
+}
+
+export class AbcParser {
+  constructor() {
+    this.parsedScore = null
+    this.diagnostics = []
+  }
+
+  /**
+   * Record a place where the parser had to guess
+   */
+  report(severity, code, message, location) {
+    reportDiagnostic(this.diagnostics, severity, code, message, location)
+  }
+
+  /**
+   * Parse an ABC file (.abc)
+   * @param {File} file
+   * @returns {Promise<Object>} ParsedScore
+   */
+  async parse(file) {
+    if (!file.name.toLowerCase().endsWith('.abc')) {
+      throw new Error('Unsupported file format. Please use .abc files.')
+    }
+    return this.parseText(await file.text())
+  }
+
+  /**
+   * Parse ABC text, e.g. pasted by the user
+   * @param {string} text
+   * @returns {Object} ParsedScore
+   */
+  parseText(text) {
+    this.diagnostics = []
+    const tune = this.readTune(text)
+    const voiceMeasures = tune.voices.map(voice => this.layoutVoice(voice, tune))
+    const measures = this.mergeVoices(voiceMeasures)
+
+    if (measures.length === 0 || measures.every(m => m.notes.length === 0)) {
+      throw new Error('Invalid ABC tune: no notes found')
+    }
+
+    reportTempoFallback(this.diagnostics, measures)
+    applyTempoMap(measures)
+
+    this.parsedScore = {
+      measures,
+      notes: measures.flatMap(m => m.notes),
+      keySignature: measures[0].keySignature,
+      timeSignature: measures[0].timeSignature,
+      tempo: measures[0].tempo,
+      tempoMap: extractTempoMap(measures),
+      meterMap: extractMeterMap(measures),
+      keyMap: extractKeyMap(measures),
+      chords: [],
+      metadata: createMetadata({
+        title: tune.title,
+        movementTitle: tune.subtitle,
+        creators: tune.creators
+      }),
+      sectionMarks: measures.flatMap(m => m.sectionMarks),
+      parts: tune.voices.map((voice, index) => {
+        const notes = voiceMeasures[index].flatMap(m => m.notes)
+        return {
+          id: voice.partId,
+          name: voice.name,
+          measureCount: voiceMeasures[index].length,
+          staves: [1],
+          notes
+        }
+      }),
+      performance: buildPerformanceTimeline(measures),
+      diagnostics: this.diagnostics
+    }
+
+    return this.parsedScore
+  }
+
+  /**
+   * Split the first tune into header fields and per-voice element lists
+   * @returns {Object} { title, subtitle, creators, meter, unitLength, tempo, key, voices }
+   */
+  readTune(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n')
+    const tune = {
+      title: null,
+      subtitle: null,
+      creators: [],
+      meter: null,
+      unitLength: null,
+      tempo: null,
+      key: null,
+      voices: []
+    }
+
+    let started = false
+    let inBody = false
+    let currentVoice = null
+
+    const getVoice = (id) => {
+      let voice = tune.voices.find(v => v.id === id)
+      if (!voice) {
+        voice = { id, partId: `P${tune.voices.length + 1}`, name: `Voice ${id}`, elements: [] }
+        tune.voices.push(voice)
+      }
+      return voice
+    }
+
+    const selectVoice = (value) => {
+      const voiceId = value.trim().split(/\s+/)[0] || '1'
+      currentVoice = getVoice(voiceId)
+      const voiceName = value.match(/(?:name|nm)="([^"]*)"/)
+      if (voiceName) currentVoice.name = voiceName[1]
+      return currentVoice.elements
+    }
+
+    for (const rawLine of lines) {
+      const line = rawLine.replace(/(^|[^\\])%.*$/, '$1').trimEnd()
+
+      if (/^X:/.test(line)) {
+        if (started) break
+        started = true
+        continue
+      }
+      if (!started && rawLine.trim() === '') continue
+      started = true
+      // Only a truly blank line ends the tune; a comment line is just skipped
+      if (inBody && rawLine.trim() === '') break
+      if (line.trim() === '') continue
+
+      const field = line.match(/^([A-Za-z]):\s*(.*)$/)
+      if (field) {
+        const [, name, value] = field
+        if (name === 'V') {
+          selectVoice(value)
+        } else if (!inBody) {
+          this.applyHeaderField(tune, name, value)
+          if (name === 'K') {
+            // Music before the first V: in the body belongs to the first voice
+            inBody = true
+            currentVoice = tune.voices[0] || null
+          }
+        } else if (['K', 'M', 'L', 'Q', 'P'].includes(name)) {
+          (currentVoice || getVoice('1')).elements.push({ type: 'field', name, value })
+        }
+        continue
+      }
+
+      if (!inBody) continue
+      const voice = currentVoice || getVoice('1')
+      this.tokenize(line, voice.elements, selectVoice)
+    }
+
+    if (!tune.key) {
+      throw new Error('Invalid ABC tune: missing K: field')
+    }
+    if ((text.match(/^X:/gm) || []).length > 1) {
+      this.report('info', 'extra-tunes', 'File holds several tunes; only the first one is read',
+        { fallback: 'first tune' })
+    }
+    if (!tune.meter) {
+      this.report('warning', 'missing-time', 'No M: field; measures are assumed to be 4/4',
+        { fallback: '4/4' })
+    }
+    if (tune.voices.length === 0) getVoice('1')
+
+    return tune
+  }
+
+  /**
+   * Store a header field on the tune
+   */
+  applyHeaderField(tune, name, value) {
+    if (name === 'T' && !tune.title) tune.title = value.trim()
+    else if (name === 'T' && !tune.subtitle) tune.subtitle = value.trim()
+    else if (name === 'C') tune.creators.push({ type: 'composer', name: value })
+    else if (name === 'Z') tune.creators.push({ type: 'transcriber', name: value.replace(/^abc-transcription\s*/i, '') })
+    else if (name === 'M') tune.meter = this.parseMeter(value)
+    else if (name === 'L') tune.unitLength = this.parseFraction(value)
+    else if (name === 'Q') tune.tempo = value
+    else if (name === 'K') tune.key = this.parseKey(value)
+  }
+
+  /**
+   * Turn one line of music into elements: notes, rests, chords, bars,
+   * tuplet marks, inline fields and decorations
+   * @param {string} line
+   * @param {Object[]} elements - the current voice's element list
+   * @param {Function} [selectVoice] - switches voice on an inline [V:x]
+   *   field and returns that voice's element list
+   */
+  tokenize(line, elements, selectVoice = null) {
+    let i = 0
+    let decorations = []
+    let lastNote = null
+    let broken = null
+    let grace = false
+
+    const pushNote = (element) => {
+      element.decorations = decorations
+      decorations = []
+      // Broken rhythm (A>B, A<B) shifts length from one note to the next
+      if (broken && lastNote && !grace) {
+        const shift = 1 / (2 ** broken.count)
+        lastNote.multiplier *= broken.direction === '>' ? 2 - shift : shift
+        element.multiplier *= broken.direction === '>' ? shift : 2 - shift
+        broken = null
+      }
+      if (grace) element.grace = true
+      elements.push(element)
+      if (!grace) lastNote = element
+    }
+
+    while (i < line.length) {
+      const rest = line.slice(i)
+      const ch = line[i]
+
+      if (ch === '"') {
+        // Chord symbols are skipped; annotations ("^Trio") may name a section
+        const end = line.indexOf('"', i + 1)
+        const text = line.slice(i + 1, end === -1 ? line.length : end)
+        if (/^[\^_<>@]/.test(text)) elements.push({ type: 'annotation', text: text.slice(1) })
+        i = end === -1 ? line.length : end + 1
+        continue
+      }
+
+      if (ch === '!' || (ch === '+' && /^\+[^+\s]+\+/.test(rest))) {
+        const end = line.indexOf(ch, i + 1)
+        if (end === -1) break
+        decorations.push(line.slice(i + 1, end))
+        i = end + 1
+        continue
+      }
+
+      const shortcut = { '.': 'staccato', H: 'fermata', L: 'accent', S: 'segno', O: 'coda', T: 'trill', '~': 'roll' }[ch]
+      if (shortcut) {
+        decorations.push(shortcut)
+        i++
+        continue
+      }
+
+      if (ch === '{') {
+        grace = true
+        i++
+        continue
+      }
+      if (ch === '}') {
+        grace = false
+        i++
+        continue
+      }
+
+      const inlineField = rest.match(/^\[([KLMQV]):([^\]]*)\]/)
+      if (inlineField) {
+        if (inlineField[1] === 'V' && selectVoice) {
+          elements = selectVoice(inlineField[2])
+          lastNote = null
+          broken = null
+        } else {
+          elements.push({ type: 'field', name: inlineField[1], value: inlineField[2] })
+        }
+        i += inlineField[0].length
+        continue
+      }
+
+      const ending = rest.match(/^\[(\d+(?:[,-]\d+)*)/)
+      if (ending) {
+        elements.push({ type: 'ending', numbers: this.parseEndingNumbers(ending[1]) })
+        i += ending[0].length
+        continue
+      }
+
+      const bar = rest.match(/^(:*\[?\|+\]?:*|:{2,})(\s*\d+(?:[,-]\d+)*)?/)
+      if (bar && (bar[1].includes('|') || bar[1].startsWith('::'))) {
+        const text = bar[1]
+        elements.push({
+          type: 'bar',
+          repeatBackward: text.startsWith(':'),
+          repeatForward: text.endsWith(':'),
+          double: /\|\||\|\]|\[\|/.test(text)
+        })
+        if (bar[2]) {
+          elements.push({ type: 'ending', numbers: this.parseEndingNumbers(bar[2].trim()) })
+        }
+        i += bar[0].length
+        lastNote = null
+        continue
+      }
+
+      const tuplet = rest.match(/^\((\d+)(?::(\d*))?(?::(\d*))?/)
+      if (tuplet) {
+        elements.push({
+          type: 'tuplet',
+          p: parseInt(tuplet[1]),
+          q: parseInt(tuplet[2]) || null,
+          r: parseInt(tuplet[3]) || null
+        })
+        i += tuplet[0].length
+        continue
+      }
+
+      if (ch === '(') {
+        decorations.push('slurStart')
+        i++
+        continue
+      }
+      if (ch === ')') {
+        if (lastNote) lastNote.slurEnd = true
+        i++
+        continue
+      }
+      if (ch === '-') {
+        if (lastNote) lastNote.tie = true
+        i++
+        continue
+      }
+
+      const brokenMatch = rest.match(/^(>+|<+)/)
+      if (brokenMatch) {
+        broken = { direction: brokenMatch[1][0], count: brokenMatch[1].length }
+        i += brokenMatch[0].length
+        continue
+      }
+
+      if (ch === '[') {
+        const end = line.indexOf(']', i)
+        if (end === -1) break
+        const chordNotes = []
+        const inner = line.slice(i + 1, end)
+        const notePattern = /(\^\^|\^|__|_|=)?([A-Ga-g])([',]*)(\d*\/*\d*)(-?)/g
+        let match
+        while ((match = notePattern.exec(inner))) {
+          chordNotes.push(this.readNote(match))
+        }
+        const lengthMatch = line.slice(end + 1).match(/^(\d*\/*\d*)/)
+        i = end + 1 + lengthMatch[0].length
+        if (chordNotes.length === 0) continue
+        pushNote({
+          type: 'chord',
+          notes: chordNotes,
+          multiplier: this.parseLength(lengthMatch[0]) * chordNotes[0].multiplier,
+          tie: chordNotes.some(n => n.tie)
+        })
+        continue
+      }
+
+      const note = rest.match(/^(\^\^|\^|__|_|=)?([A-Ga-g])([',]*)(\d*\/*\d*)/)
+      if (note) {
+        pushNote({ type: 'note', ...this.readNote(note) })
+        i += note[0].length
+        continue
+      }
+
+      const restMatch = rest.match(/^([zx])(\d*\/*\d*)/)
+      if (restMatch) {
+        pushNote({ type: 'rest', multiplier: this.parseLength(restMatch[2]) })
+        i += restMatch[0].length
+        continue
+      }
+
+      const multiRest = rest.match(/^Z(\d*)/)
+      if (multiRest) {
+        elements.push({ type: 'multiRest', measures: parseInt(multiRest[1]) || 1 })
+        i += multiRest[0].length
+        continue
+      }
+
+      i++
+    }
+  }
+
+  /**
+   * Read a note match: accidental, letter, octave marks and length
+   */
+  readNote(match) {
+    const [, accidental, letter, octaveMarks, length, tie] = match
+    const upper = letter.toUpperCase()
+    let octave = letter === upper ? 4 : 5
+    for (const mark of octaveMarks || '') {
+      octave += mark === "'" ? 1 : -1
+    }
+
+    const alter = accidental === undefined
+      ? null
+      : { '^^': 2, '^': 1, '=': 0, _: -1, __: -2 }[accidental]
+
+    return { letter: upper, octave, alter, multiplier: this.parseLength(length), tie: tie === '-' }
+  }
+
+  /**
+   * Note length multiplier: "2", "/", "//", "/4", "3/2"
+   */
+  parseLength(text) {
+    if (!text) return 1
+    const match = text.match(/^(\d*)(\/*)(\d*)$/)
+    if (!match) return 1
+    const numerator = parseInt(match[1]) || 1
+    if (!match[2]) return numerator
+    const denominator = parseInt(match[3]) || 2 ** match[2].length
+    return numerator / denominator
+  }
+
+  parseFraction(text) {
+    const match = text.trim().match(/^(\d+)\/(\d+)/)
+    return match ? parseInt(match[1]) / parseInt(match[2]) : null
+  }
+
+  parseEndingNumbers(text) {
+    const numbers = []
+    text.split(',').forEach(part => {
+      const [from, to] = part.split('-').map(n => parseInt(n))
+      for (let n = from; n <= (to || from); n++) numbers.push(n)
+    })
+    return numbers
+  }
+
+  /**
+   * Parse an M: field; "none" gives a free meter measured by content
+   */
+  parseMeter(value) {
+    const text = value.trim()
+    if (text === 'C') return { beats: 4, beatType: 4 }
+    if (text === 'C|') return { beats: 2, beatType: 2 }
+    const match = text.match(/^([\d+]+)\/(\d+)/)
+    if (!match) {
+      if (!/^none$/i.test(text)) {
+        this.report('warning', 'unknown-meter', `Unrecognised meter "${text}"; treated as free meter`,
+          { fallback: 'measure length from content' })
+      }
+      return { beats: 4, beatType: 4, free: true }
+    }
+    const beats = match[1].split('+').reduce((sum, n) => sum + (parseInt(n) || 0), 0) || 4
+    return { beats, beatType: parseInt(match[2]) || 4 }
+  }
+
+  /**
+   * Parse a K: field into a key signature
+   * @returns {Object} { fifths, mode }
+   */
+  parseKey(value) {
+    const text = value.trim()
+    const match = text.match(/^([A-G])([#b]?)\s*([A-Za-z]*)/)
+    if (!match || /^none/i.test(text)) {
+      if (!/^(none|HP|Hp)?(\s|$)/.test(text)) {
+        this.report('warning', 'unknown-key', `Unrecognised key "${text}"`, { fallback: 'C major' })
+      }
+      return { fifths: 0, mode: 'major' }
+    }
+
+    const [, letter, accidental, modeText] = match
+    const modeKey = modeText.toLowerCase() === 'm' ? 'min' : modeText.toLowerCase().slice(0, 3)
+    const mode = MODES[modeKey] || MODES.maj
+    const fifths = LETTER_FIFTHS[letter] + (accidental === '#' ? 7 : accidental === 'b' ? -7 : 0) + mode.offset
+
+    return { fifths: Math.max(-7, Math.min(7, fifths)), mode: mode.name }
+  }
+
+  /**
+   * Convert a Q: field to quarter-note BPM
+   */
+  parseTempo(value, unitLength) {
+    const text = value.replace(/"[^"]*"/g, '').trim()
+    const withBeat = text.match(/((?:\d+\/\d+\s*)+)=\s*(\d+)/)
+    if (withBeat) {
+      const beat = withBeat[1].trim().split(/\s+/).reduce((sum, part) => sum + this.parseFraction(part), 0)
+      return parseInt(withBeat[2]) * beat * 4
+    }
+    const plain = text.match(/^(\d+)$/)
+    if (!plain) {
+      this.report('warning', 'unknown-tempo', `Unrecognised tempo "${value.trim()}"`, { fallback: 'previous tempo' })
+    }
+    return plain ? parseInt(plain[1]) * unitLength * 4 : null
+  }
+
+  /**
+   * Lay out the elements of one voice into measures with exact onsets
+   * @returns {Object[]} measures of the voice
+   */
+  layoutVoice(voice, tune) {
+    const partId = voice.partId
+    let meter = tune.meter || { beats: 4, beatType: 4 }
+    // Default unit length is an eighth, or a sixteenth in meters below 3/4
+    let unitLength = tune.unitLength || (meter.beats / meter.beatType < 0.75 ? 1 / 16 : 1 / 8)
+    let key = tune.key
+    const initialTempo = tune.tempo ? this.parseTempo(tune.tempo, unitLength) : null
+
+    const measures = []
+    // Open ties by letter and octave: the tied note keeps its accidental
+    // even where the bar's accidental has lapsed
+    const ties = new Map()
+    let current = null
+    let pendingNavigation = {}
+    let openEnding = false
+    let tuplet = null
+    let barAccidentals = new Map()
+
+    const startMeasure = () => {
+      current = {
+        notes: [],
+        position: 0,
+        navigation: { ...pendingNavigation },
+        timeSignature: meter,
+        keySignature: { fifths: key.fifths, mode: key.mode },
+        tempoEvents: measures.length === 0 && initialTempo ? [{ beat: 0, bpm: initialTempo }] : [],
+        sectionMarks: [],
+        hasContent: false
+      }
+      pendingNavigation = {}
+    }
+
+    const closeMeasure = (bar = {}) => {
+      const target = current?.hasContent ? current : measures[measures.length - 1]
+      if (target) {
+        if (bar.repeatBackward) {
+          target.navigation.repeatBackward = true
+          target.navigation.repeatTimes = 2
+        }
+        if (openEnding && (bar.repeatBackward || bar.double || bar.repeatForward)) {
+          target.navigation.endingStop = true
+          openEnding = false
+        }
+      }
+      if (current?.hasContent) {
+        measures.push(current)
+      }
+      current = null
+      barAccidentals = new Map()
+    }
+
+    const ensureMeasure = () => {
+      if (!current) startMeasure()
+      return current
+    }
+
+    const toTicks = multiplier => Math.round(unitLength * multiplier * TICKS_PER_WHOLE)
+
+    const applyTuplet = ticks => {
+      if (!tuplet) return ticks
+      const scaled = Math.round(ticks * tuplet.q / tuplet.p)
+      tuplet.remaining--
+      if (tuplet.remaining <= 0) tuplet = null
+      return scaled
+    }
+
+    const resolvePitch = (note) => {
+      const barKey = `${note.letter}${note.octave}`
+      let alter
+      if (note.alter !== null) {
+        alter = note.alter
+        barAccidentals.set(barKey, alter)
+      } else {
+        alter = barAccidentals.has(barKey) ? barAccidentals.get(barKey) : keyAlter(note.letter, key.fifths)
+      }
+      const accidental = { '-2': 'bb', '-1': 'b', 0: '', 1: '#', 2: '##' }[alter] ?? ''
+      return `${note.letter}${accidental}${note.octave}`
+    }
+
+    const marksOf = (decorations = []) => {
+      const marks = {}
+      const articulations = []
+      decorations.forEach(decoration => {
+        if (decoration === 'fermata') marks.fermata = true
+        else if (decoration === 'breath') marks.breathMark = true
+        else if (decoration === 'slurStart') marks.slurStart = true
+        else if (decoration === 'staccato' || decoration === 'tenuto') articulations.push(decoration)
+        else if (decoration === 'accent' || decoration === '>') articulations.push('accent')
+        else if (DYNAMICS.includes(decoration)) marks.dynamics = decoration
+        else if (decoration === 'crescendo(' || decoration === '<(') marks.hairpinStart = 'crescendo'
+        else if (decoration === 'diminuendo(' || decoration === '>(') marks.hairpinStart = 'diminuendo'
+        else if (['crescendo)', '<)', 'diminuendo)', '>)'].includes(decoration)) marks.hairpinEnd = true
+      })
+      if (articulations.length > 0) {
+        marks.articulations = articulations
+        if (articulations.includes('staccato')) marks.staccato = true
+        if (articulations.includes('accent')) marks.accent = true
+      }
+      return marks
+    }
+
+    const applyNavigation = (measure, decorations = []) => {
+      decorations.forEach(decoration => {
+        const name = decoration.toLowerCase()
+        if (name === 'segno') measure.navigation.segno = 'segno'
+        else if (name === 'coda') measure.navigation.coda = 'coda'
+        else if (name === 'fine') measure.navigation.fine = true
+        else if (name === 'dacoda') measure.navigation.toCoda = 'coda'
+        else if (name.startsWith('d.c.')) measure.navigation.daCapo = true
+        else if (name.startsWith('d.s.')) measure.navigation.dalSegno = 'segno'
+      })
+    }
+
+    const tieKey = note => `${note.letter}${note.octave}`
+
+    // A tie ends on the very next note; one not followed by its pitch is dropped
+    const closeDanglingTies = (notes) => {
+      ties.forEach((tie, key) => {
+        const continued = notes.some(note => tieKey(note) === key && (note.alter === null || note.alter === tie.alter))
+        if (continued) return
+        ties.delete(key)
+        this.report('warning', 'dangling-tie', `Tie on ${tie.note.pitch} is not followed by the same pitch; it is ignored`,
+          { measure: String(measures.length + 1), fallback: 'untied' })
+      })
+    }
+
+    const addNote = (measure, note, onset, ticks, element, extra = {}) => {
+      const openTie = element.grace ? null : ties.get(tieKey(note))
+
+      // Continuation of a tied note: extend the sustained note instead
+      if (openTie) {
+        openTie.ticks += ticks
+        const sustained = openTie.note
+        sustained.duration = openTie.ticks / TICKS_PER_QUARTER
+        sustained.durationFraction = toFraction(openTie.ticks, TICKS_PER_QUARTER)
+        sustained.tied = true
+        Object.assign(sustained, extra)
+        if (element.slurEnd) sustained.slurEnd = true
+        if (!note.tie && !element.tie) ties.delete(tieKey(note))
+        return
+      }
+
+      const pitch = resolvePitch(note)
+
+      const created = {
+        pitch,
+        duration: ticks / TICKS_PER_QUARTER,
+        measureNumber: 0,
+        beat: onset / TICKS_PER_QUARTER,
+        beatFraction: toFraction(onset, TICKS_PER_QUARTER),
+        durationFraction: toFraction(ticks, TICKS_PER_QUARTER),
+        voice: 1,
+        staff: 1,
+        partId,
+        dynamics: null,
+        ...extra
+      }
+      if (element.grace) created.grace = true
+      if (element.slurEnd) created.slurEnd = true
+
+      if ((note.tie || element.tie) && !element.grace) {
+        ties.set(tieKey(note), { note: created, ticks, alter: barAccidentals.get(tieKey(note)) ?? keyAlter(note.letter, key.fifths) })
+      }
+      measure.notes.push(created)
+    }
+
+    voice.elements.forEach(element => {
+      if (element.type === 'field') {
+        if (element.name === 'M') meter = this.parseMeter(element.value)
+        else if (element.name === 'L') unitLength = this.parseFraction(element.value) || unitLength
+        else if (element.name === 'K') key = this.parseKey(element.value)
+        else if (element.name === 'Q') {
+          const bpm = this.parseTempo(element.value, unitLength)
+          if (bpm) ensureMeasure().tempoEvents.push({ beat: current.position / TICKS_PER_QUARTER, bpm })
+        } else if (element.name === 'P') {
+          // A P: field in the body labels the part that starts here
+          const mark = createSectionMark('rehearsal', element.value, ensureMeasure().position / TICKS_PER_QUARTER)
+          if (mark) current.sectionMarks.push(mark)
+        }
+        if (current && !current.hasContent && !['Q', 'P'].includes(element.name)) {
+          current.timeSignature = meter
+          current.keySignature = { fifths: key.fifths, mode: key.mode }
+        }
+        return
+      }
+
+      if (element.type === 'annotation') {
+        const mark = createSectionMark('words', element.text, ensureMeasure().position / TICKS_PER_QUARTER)
+        if (mark) current.sectionMarks.push(mark)
+        return
+      }
+
+      if (element.type === 'bar') {
+        closeMeasure(element)
+        if (element.repeatForward) pendingNavigation.repeatForward = true
+        return
+      }
+
+      if (element.type === 'ending') {
+        if (openEnding) {
+          const previous = current?.hasContent ? current : measures[measures.length - 1]
+          if (previous) previous.navigation.endingStop = true
+        }
+        const measure = ensureMeasure()
+        measure.navigation.endingStart = element.numbers
+        openEnding = true
+        return
+      }
+
+      if (element.type === 'tuplet') {
+        const compound = meter.beats % 3 === 0 && meter.beats > 3
+        const defaultQ = { 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 }[element.p] || (compound ? 3 : 2)
+        tuplet = { p: element.p, q: element.q || defaultQ, remaining: element.r || element.p }
+        return
+      }
+
+      if (element.type === 'multiRest') {
+        const length = Math.round(meter.beats * TICKS_PER_WHOLE / meter.beatType)
+        for (let n = 0; n < element.measures; n++) {
+          const measure = ensureMeasure()
+          measure.notes.push({
+            pitch: null,
+            isRest: true,
+            duration: length / TICKS_PER_QUARTER,
+            measureNumber: 0,
+            beat: 0,
+            beatFraction: toFraction(0, 1),
+            durationFraction: toFraction(length, TICKS_PER_QUARTER),
+            voice: 1,
+            staff: 1,
+            partId
+          })
+          measure.position = length
+          measure.hasContent = true
+          if (n < element.measures - 1) closeMeasure()
+        }
+        return
+      }
+
+      const measure = ensureMeasure()
+      applyNavigation(measure, element.decorations)
+      const marks = marksOf(element.decorations)
+      const onset = measure.position
+      const ticks = element.grace ? 0 : applyTuplet(toTicks(element.multiplier))
+      if (!element.grace) {
+        closeDanglingTies(element.type === 'chord' ? element.notes : element.type === 'rest' ? [] : [element])
+      }
+
+      if (element.type === 'rest') {
+        measure.notes.push({
+          pitch: null,
+          isRest: true,
+          duration: ticks / TICKS_PER_QUARTER,
+          measureNumber: 0,
+          beat: onset / TICKS_PER_QUARTER,
+          beatFraction: toFraction(onset, TICKS_PER_QUARTER),
+          durationFraction: toFraction(ticks, TICKS_PER_QUARTER),
+          voice: 1,
+          staff: 1,
+          partId,
+          ...marks
+        })
+      } else if (element.type === 'chord') {
+        element.notes.forEach(note => addNote(measure, note, onset, ticks, element, marks))
+      } else {
+        addNote(measure, element, onset, ticks, element, marks)
+      }
+
+      measure.position += ticks
+      measure.hasContent = true
+    })
+
+    closeMeasure()
+    if (openEnding && measures.length > 0) {
+      measures[measures.length - 1].navigation.endingStop = true
+    }
+
+    return measures.map((measure, index) => {
+      measure.notes.forEach(note => { note.measureNumber = index + 1 })
+      return {
+        number: index + 1,
+        partId,
+        notes: measure.notes,
+        contentLength: measure.position / TICKS_PER_QUARTER,
+        navigation: Object.keys(measure.navigation).length > 0 ? measure.navigation : null,
+        timeSignature: measure.timeSignature,
+        keySignature: measure.keySignature,
+        tempoEvents: measure.tempoEvents,
+        sectionMarks: measure.sectionMarks
+      }
+    })
+  }
+
+  /**
+   * Merge the voices into a shared measure grid, measure by measure.
+   * A short first measure is a pickup and lasts only as long as its content;
+   * measures in free meter always do.
+   */
+  mergeVoices(voiceMeasures) {
+    const measureCount = Math.max(0, ...voiceMeasures.map(m => m.length))
+    const measures = []
+    let currentBeat = 0
+    let hasPickup = false
+
+    for (let index = 0; index < measureCount; index++) {
+      const voiceMeasuresAtIndex = voiceMeasures.map(m => m[index]).filter(Boolean)
+      const first = voiceMeasuresAtIndex[0]
+      const timeSignature = { beats: first.timeSignature.beats, beatType: first.timeSignature.beatType }
+      const nominalLength = timeSignature.beats * 4 / timeSignature.beatType
+      const contentLength = Math.max(0, ...voiceMeasuresAtIndex.map(m => m.contentLength))
+
+      const isPickup = index === 0 && contentLength > 0 && contentLength < nominalLength
+      if (isPickup) hasPickup = true
+      const length = isPickup || first.timeSignature.free ? contentLength : nominalLength
+
+      measures.push({
+        number: index + 1,
+        label: String(hasPickup ? index : index + 1),
+        notes: voiceMeasuresAtIndex.flatMap(m => m.notes),
+        partIds: voiceMeasuresAtIndex.map(m => m.partId),
+        navigation: voiceMeasuresAtIndex.find(m => m.navigation)?.navigation || null,
+        timeSignature,
+        keySignature: first.keySignature,
+        // Every voice carries the tempo marks; keep one per position
+        tempoEvents: [...new Map(voiceMeasuresAtIndex.flatMap(m => m.tempoEvents).map(e => [e.beat, e])).values()],
+        chords: [],
+        sectionMarks: mergeSectionMarks(voiceMeasuresAtIndex.flatMap(m => m.sectionMarks))
+          .map(mark => ({ ...mark, measureNumber: index + 1 })),
+        startBeat: currentBeat,
+        endBeat: currentBeat + length
+      })
+
+      currentBeat += length
+    }
+
+    return measures
+  }
+
+  /**
+   * Get the parsed score
+   */
+  getParsedScore() {
+    return this.parsedScore
+  }
+}
+
+export default AbcParser
@@ -1,13 +1,26 @@
 /**
  * Audio Decoder - Perception Layer
- * Decodes MP3 files using Web Audio API
+ * Decodes MP3 files using Web Audio API and prepares the analysis buffer:
+ * all channels mixed to mono (or the side signal), resampled to a fixed
+ * analysis rate and loudness-normalized.
  */
 
 export class AudioDecoder {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.analysisSampleRate=22050] - rate every feature is computed at
+   * @param {'mid'|'side'} [options.mixdown='mid'] - mid = average of all channels;
+   *   side = (L - R) / 2, which keeps panned instruments and drops centred ones
+   * @param {number} [options.targetRms=0.1] - loudness target (RMS of the non-silent audio, -20 dBFS)
+   */
+  constructor(options = {}) {
     this.audioContext = null
     this.audioBuffer = null
+    this.analysisBuffer = null
     this.waveform = null
+    this.analysisSampleRate = options.analysisSampleRate || 22050
+    this.mixdown = options.mixdown || 'mid'
+    this.targetRms = options.targetRms || 0.1
   }
 
   /**
@@ -21,26 +34,190 @@ export class AudioDecoder {
   }
 
   /**
-   * Decode an audio file (MP3)
+   * Decode an audio file (MP3). The AudioBuffer is kept for playback;
+   * the analysis buffer is built from it right away unless the caller
+   * builds it elsewhere (the feature worker) and hands it back with
+   * setAnalysisBuffer.
    * @param {File} file 
+   * @param {Object} [options] - { analysis: false } skips the analysis buffer
    * @returns {Promise<AudioBuffer>}
    */
-  async decode(file) {
+  async decode(file, { analysis = true } = {}) {
     this.initContext()
     
     const arrayBuffer = await file.arrayBuffer()
     
     try {
       this.audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer)
-      this.waveform = this.audioBuffer.getChannelData(0)
-      return this.audioBuffer
     } catch (error) {
       throw new Error('Failed to decode audio file: ' + error.message)
     }
+
+    this.analysisBuffer = null
+    this.waveform = null
+    if (analysis) {
+      this.setAnalysisBuffer(this.createAnalysisBuffer(this.audioBuffer))
+    }
+    return this.audioBuffer
+  }
+
+  /**
+   * Use an analysis buffer built elsewhere (e.g. in the feature worker)
+   * @param {AnalysisBuffer} analysisBuffer
+   */
+  setAnalysisBuffer(analysisBuffer) {
+    this.analysisBuffer = analysisBuffer
+    this.waveform = analysisBuffer.samples
+  }
+
+  /**
+   * Build the buffer all features are computed from
+   * @param {AudioBuffer} audioBuffer - or any object with numberOfChannels, sampleRate and getChannelData()
+   * @param {Object} [options] - { sampleRate, mixdown, targetRms }, defaulting to the decoder settings
+   * @returns {AnalysisBuffer}
+   */
+  createAnalysisBuffer(audioBuffer, options = {}) {
+    const sampleRate = options.sampleRate || this.analysisSampleRate
+    const requestedMixdown = options.mixdown || this.mixdown
+    const targetRms = options.targetRms || this.targetRms
+
+    // The side signal needs two channels; mono files fall back to mid
+    const mixdown = audioBuffer.numberOfChannels >= 2 ? requestedMixdown : 'mid'
+    const mixed = this.mixChannels(audioBuffer, mixdown)
+    const resampled = this.resample(mixed, audioBuffer.sampleRate, sampleRate)
+    const gain = this.normalizeLoudness(resampled, sampleRate, targetRms)
+
+    return {
+      samples: resampled,
+      sampleRate,
+      duration: resampled.length / sampleRate,
+      sourceSampleRate: audioBuffer.sampleRate,
+      channelCount: audioBuffer.numberOfChannels,
+      mixdown,
+      gain
+    }
   }
 
   /**
-   * Get the waveform data (first channel)
+   * Mix all channels to one signal
+   * @param {'mid'|'side'} mixdown - side uses the first two channels
+   * @returns {Float32Array}
+   */
+  mixChannels(audioBuffer, mixdown = 'mid') {
+    const channelCount = audioBuffer.numberOfChannels
+    const length = audioBuffer.getChannelData(0).length
+    const mixed = new Float32Array(length)
+
+    if (mixdown === 'side') {
+      const left = audioBuffer.getChannelData(0)
+      const right = audioBuffer.getChannelData(1)
+      for (let i = 0; i < length; i++) {
+        mixed[i] = (left[i] - right[i]) / 2
+      }
+      return mixed
+    }
+
+    for (let channel = 0; channel < channelCount; channel++) {
+      const data = audioBuffer.getChannelData(channel)
+      for (let i = 0; i < length; i++) {
+        mixed[i] += data[i] / channelCount
+      }
+    }
+    return mixed
+  }
+
+  /**
+   * Resample with a Hann-windowed sinc filter. When downsampling the
+   * cutoff moves to the new Nyquist frequency so nothing aliases.
+   * The kernel is tabulated once, so long recordings stay fast.
+   * @param {Float32Array} samples
+   * @param {number} fromRate
+   * @param {number} toRate
+   * @param {number} [halfWidth=8] - filter zero crossings on each side
+   * @returns {Float32Array}
+   */
+  resample(samples, fromRate, toRate, halfWidth = 8) {
+    if (fromRate === toRate) return samples
+
+    const ratio = toRate / fromRate
+    const cutoff = Math.min(1, ratio)
+    const taps = Math.ceil(halfWidth / cutoff)
+    const resolution = 256
+    const kernel = new Float32Array((taps + 1) * resolution + 1)
+    for (let k = 0; k < kernel.length; k++) {
+      const x = k / resolution
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x)
+      kernel[k] = sinc * (0.5 + 0.5 * Math.cos(Math.PI * x / (taps + 1)))
+    }
+
+    const output = new Float32Array(Math.floor(samples.length * ratio))
+    for (let i = 0; i < output.length; i++) {
+      const center = i / ratio
+      const first = Math.max(0, Math.ceil(center - taps))
+      const last = Math.min(samples.length - 1, Math.floor(center + taps))
+      let sum = 0
+      let weightSum = 0
+
+      for (let j = first; j <= last; j++) {
+        const weight = kernel[Math.round(Math.abs(j - center) * resolution)]
+        sum += samples[j] * weight
+        weightSum += weight
+      }
+      output[i] = weightSum ? sum / weightSum : 0
+    }
+
+    return output
+  }
+
+  /**
+   * Scale the signal in place so its non-silent part reaches the target RMS.
+   * Loudness is measured over 400 ms blocks; blocks below -60 dBFS are
+   * ignored. The gain never pushes the peak past -0.1 dBFS.
+   * @returns {number} the gain applied
+   */
+  normalizeLoudness(samples, sampleRate, targetRms = this.targetRms) {
+    const blockSize = Math.max(1, Math.round(sampleRate * 0.4))
+    const silence = 0.001
+    let energy = 0
+    let counted = 0
+    let peak = 0
+
+    for (let start = 0; start < samples.length; start += blockSize) {
+      const end = Math.min(start + blockSize, samples.length)
+      let blockEnergy = 0
+      for (let i = start; i < end; i++) {
+        blockEnergy += samples[i] * samples[i]
+        peak = Math.max(peak, Math.abs(samples[i]))
+      }
+      if (Math.sqrt(blockEnergy / (end - start)) >= silence) {
+        energy += blockEnergy
+        counted += end - start
+      }
+    }
+
+    if (counted === 0 || peak === 0) return 1
+
+    const rms = Math.sqrt(energy / counted)
+    const gain = Math.min(targetRms / rms, 0.989 / peak)
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] *= gain
+    }
+    return gain
+  }
+
+  /**
+   * Get the analysis buffer built by decode()
+   * @returns {AnalysisBuffer}
+   */
+  getAnalysisBuffer() {
+    if (!this.analysisBuffer) {
+      throw new Error('No audio loaded. Call decode() first.')
+    }
+    return this.analysisBuffer
+  }
+
+  /**
+   * Get the waveform data (mono mixdown at the analysis rate)
    * @returns {Float32Array}
    */
   getWaveform() {
@@ -62,7 +239,7 @@ export class AudioDecoder {
   }
 
   /**
-   * Get the sample rate
+   * Get the sample rate of the decoded file
    * @returns {number}
    */
   getSampleRate() {
@@ -89,28 +266,38 @@ export class AudioDecoder {
   }
 
   /**
-   * Process audio in chunks for large files
+   * Process the analysis waveform in chunks for large files. Between
+   * chunks the event loop gets a turn, so progress can render and a
+   * cancelled signal stops the work.
    * @param {number} chunkDuration - Duration of each chunk in seconds
    * @param {Function} processor - Callback function for each chunk
+   * @param {Object} [options]
+   * @param {number} [options.overlap=0] - extra samples past the chunk end (for windows that straddle it)
+   * @param {AbortSignal} [options.signal] - rejects with an AbortError once aborted
    */
-  async processInChunks(chunkDuration = 30, processor) {
-    if (!this.audioBuffer) {
+  async processInChunks(chunkDuration = 30, processor, { overlap = 0, signal = null } = {}) {
+    if (!this.analysisBuffer) {
       throw new Error('No audio loaded. Call decode() first.')
     }
 
-    const sampleRate = this.audioBuffer.sampleRate
-    const chunkSamples = Math.floor(chunkDuration * sampleRate)
-    const totalSamples = this.audioBuffer.length
+    const sampleRate = this.analysisBuffer.sampleRate
+    const chunkSamples = Math.round(chunkDuration * sampleRate)
+    const totalSamples = this.waveform.length
     const results = []
 
     for (let start = 0; start < totalSamples; start += chunkSamples) {
+      throwIfAborted(signal)
+
       const end = Math.min(start + chunkSamples, totalSamples)
-      const chunkData = this.waveform.slice(start, end)
+      const chunkData = this.waveform.slice(start, Math.min(end + overlap, totalSamples))
       
       const result = await processor(chunkData, start / sampleRate, end / sampleRate)
       results.push(result)
+
+      await new Promise(resolve => setTimeout(resolve, 0))
     }
 
+    throwIfAborted(signal)
     return results
   }
 
@@ -122,9 +309,49 @@ export class AudioDecoder {
       this.audioContext.close()
     }
     this.audioBuffer = null
+    this.analysisBuffer = null
     this.waveform = null
     this.audioContext = null
   }
 }
 
+/**
+ * Stop when the signal was aborted, the way fetch() does
+ * @param {AbortSignal|null} signal
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new DOMException('Audio analysis was cancelled', 'AbortError')
+  }
+}
+
+/**
+ * Peak level per column, for drawing a waveform overview
+ * @param {Float32Array} samples
+ * @param {number} [columns=1000]
+ * @returns {Float32Array} 0-1 per column, scaled to the loudest column
+ */
+export function computePeaks(samples, columns = 1000) {
+  const peaks = new Float32Array(columns)
+  if (!samples?.length) return peaks
+
+  const step = samples.length / columns
+  let max = 0
+  for (let c = 0; c < columns; c++) {
+    const end = Math.min(samples.length, Math.floor((c + 1) * step))
+    let peak = 0
+    for (let i = Math.floor(c * step); i < end; i++) {
+      const value = Math.abs(samples[i])
+      if (value > peak) peak = value
+    }
+    peaks[c] = peak
+    if (peak > max) max = peak
+  }
+
+  if (max > 0) {
+    for (let c = 0; c < columns; c++) peaks[c] /= max
+  }
+  return peaks
+}
+
 export default AudioDecoder
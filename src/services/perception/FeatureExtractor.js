@@ -1,24 +1,69 @@
 /**
  * Feature Extractor - Perception Layer
- * Extracts audio features using Meyda.js
+ * Extracts audio features using Meyda.js from the analysis buffer
+ * (mono mixdown at the analysis rate) built by AudioDecoder
  */
 
 import Meyda from 'meyda'
+import { AudioDecoder, throwIfAborted } from './AudioDecoder.js'
+import { estimateKey } from './keyEstimation.js'
+
+// Per-frame Meyda series, and the ones whose frames are vectors
+const MEYDA_SERIES = ['rms', 'spectralCentroid', 'zcr', 'mfcc', 'chroma', 'timestamps']
+const MEYDA_VECTORS = ['mfcc', 'chroma']
 
 export class FeatureExtractor {
   constructor() {
-    this.bufferSize = 2048
-    this.hopSize = 1024
+    // 1024 samples at the 22050 Hz analysis rate: a 46 ms window
+    this.bufferSize = 1024
+    this.hopSize = 512
+    // Onsets need finer time steps: 256 samples = 11.6 ms
+    this.onsetHopSize = 256
+    // Key estimation needs finer pitch resolution: 4096 samples = 5.4 Hz bins
+    this.keyBufferSize = 4096
+    this.decoder = null
+    this.analysisCache = new WeakMap()
+  }
+
+  /**
+   * Analysis buffer for the input. A decoded AudioBuffer is mixed down and
+   * resampled first (once per buffer).
+   * @param {AnalysisBuffer|AudioBuffer} input
+   * @returns {AnalysisBuffer}
+   */
+  toAnalysisBuffer(input) {
+    if (input?.samples) return input
+
+    if (!this.analysisCache.has(input)) {
+      this.decoder = this.decoder || new AudioDecoder()
+      this.analysisCache.set(input, this.decoder.createAnalysisBuffer(input))
+    }
+    return this.analysisCache.get(input)
   }
 
   /**
-   * Extract Meyda features from audio buffer
-   * @param {AudioBuffer} audioBuffer 
+   * Point Meyda at the analysis rate and window size (its spectral
+   * features depend on both)
+   */
+  configureMeyda(sampleRate, bufferSize = this.bufferSize) {
+    if (Meyda.sampleRate !== sampleRate || Meyda.bufferSize !== bufferSize) {
+      // Meyda rebuilds its mel and chroma filter banks only when the band
+      // count changes; drop them so they are built for this window
+      Meyda.melFilterBank = undefined
+      Meyda.chromaFilterBank = undefined
+    }
+    Meyda.sampleRate = sampleRate
+    Meyda.bufferSize = bufferSize
+  }
+
+  /**
+   * Extract Meyda features from the analysis buffer
+   * @param {AnalysisBuffer} analysisBuffer 
    * @returns {Object} MeydaFeatures
    */
-  extractMeyda(audioBuffer) {
-    const channelData = audioBuffer.getChannelData(0)
-    const sampleRate = audioBuffer.sampleRate
+  extractMeyda(analysisBuffer) {
+    const { samples: channelData, sampleRate } = this.toAnalysisBuffer(analysisBuffer)
+    this.configureMeyda(sampleRate)
     
     const features = {
       rms: [],
@@ -56,13 +101,59 @@ export class FeatureExtractor {
     return features
   }
 
+  /**
+   * Every audio feature the app uses: Meyda features chunk by chunk (with
+   * progress, cancellable between chunks), then rhythm and key over the
+   * whole buffer. Runs in the feature worker; works on the main thread too.
+   * @param {AnalysisBuffer} analysisBuffer
+   * @param {Object} [options]
+   * @param {number} [options.beatsPerBar=4]
+   * @param {number} [options.chunkDuration=30] - seconds of audio per chunk
+   * @param {Function} [options.onProgress] - (stage, fraction) with fraction 0-1 over all stages
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Object>} MeydaFeatures plus { onsets, beats, key }
+   */
+  async extractAll(analysisBuffer, { beatsPerBar = 4, chunkDuration = 30, onProgress = () => {}, signal = null } = {}) {
+    const buffer = this.toAnalysisBuffer(analysisBuffer)
+    const { sampleRate, duration } = buffer
+    const decoder = new AudioDecoder()
+    decoder.setAnalysisBuffer(buffer)
+
+    // Whole hops per chunk, so the frames match a single pass over the buffer
+    const chunkSamples = Math.max(1, Math.round(chunkDuration * sampleRate / this.hopSize)) * this.hopSize
+    const features = Object.fromEntries(MEYDA_SERIES.map(name => [name, []]))
+
+    onProgress('features', 0)
+    await decoder.processInChunks(chunkSamples / sampleRate, (samples, startTime, endTime) => {
+      const chunk = this.extractMeyda({ samples, sampleRate, duration: samples.length / sampleRate })
+      chunk.timestamps = chunk.timestamps.map(time => time + startTime)
+      MEYDA_SERIES.forEach(name => {
+        for (const value of chunk[name]) features[name].push(value)
+      })
+      onProgress('features', 0.7 * endTime / duration)
+    }, { overlap: this.bufferSize, signal })
+
+    onProgress('rhythm', 0.7)
+    const rhythm = this.extractRhythm(buffer, { beatsPerBar })
+    throwIfAborted(signal)
+
+    onProgress('key', 0.9)
+    const keyChroma = this.extractKeyChroma(buffer)
+    const key = estimateKey(keyChroma, keyChroma.frameRate)
+    throwIfAborted(signal)
+
+    onProgress('done', 1)
+    return { ...features, ...rhythm, key }
+  }
+
   /**
    * Extract Chroma features for DTW alignment
-   * @param {AudioBuffer} audioBuffer 
+   * @param {AnalysisBuffer} analysisBuffer 
    * @returns {number[][]} Chroma features
    */
-  extractChroma(audioBuffer) {
-    const channelData = audioBuffer.getChannelData(0)
+  extractChroma(analysisBuffer) {
+    const { samples: channelData, sampleRate } = this.toAnalysisBuffer(analysisBuffer)
+    this.configureMeyda(sampleRate)
     const chromaFeatures = []
 
     for (let i = 0; i < channelData.length - this.bufferSize; i += this.hopSize) {
@@ -81,13 +172,38 @@ export class FeatureExtractor {
     return chromaFeatures
   }
 
+  /**
+   * Chroma for key estimation. At the 1024-sample window a low note spreads
+   * over three or four pitch classes; a 4096-sample window keeps it in one.
+   * @param {AnalysisBuffer} analysisBuffer
+   * @returns {{ chroma: number[][], rms: number[], frameRate: number }}
+   */
+  extractKeyChroma(analysisBuffer) {
+    const { samples, sampleRate } = this.toAnalysisBuffer(analysisBuffer)
+    const bufferSize = this.keyBufferSize
+    const hopSize = bufferSize / 2
+    this.configureMeyda(sampleRate, bufferSize)
+
+    const chroma = []
+    const rms = []
+    for (let i = 0; i + bufferSize <= samples.length; i += hopSize) {
+      const extracted = Meyda.extract(['chroma', 'rms'], samples.slice(i, i + bufferSize))
+      chroma.push(extracted?.chroma || new Array(12).fill(0))
+      rms.push(extracted?.rms || 0)
+    }
+
+    this.configureMeyda(sampleRate)
+    return { chroma, rms, frameRate: sampleRate / hopSize }
+  }
+
   /**
    * Extract MFCC features
-   * @param {AudioBuffer} audioBuffer 
+   * @param {AnalysisBuffer} analysisBuffer 
    * @returns {number[][]} MFCC features
    */
-  extractMFCC(audioBuffer) {
-    const channelData = audioBuffer.getChannelData(0)
+  extractMFCC(analysisBuffer) {
+    const { samples: channelData, sampleRate } = this.toAnalysisBuffer(analysisBuffer)
+    this.configureMeyda(sampleRate)
     const mfccFeatures = []
 
     for (let i = 0; i < channelData.length - this.bufferSize; i += this.hopSize) {
@@ -107,29 +223,261 @@ export class FeatureExtractor {
   }
 
   /**
-   * Calculate onset density (rhythm tension indicator)
-   * @param {number[]} rmsValues 
-   * @returns {number[]}
+   * Onsets and beats of the recording
+   * @param {AnalysisBuffer} analysisBuffer
+   * @param {Object} [options]
+   * @param {number} [options.beatsPerBar=4] - meter used to rank downbeat candidates
+   * @returns {{ onsets: OnsetFeatures, beats: BeatFeatures }}
    */
-  calculateOnsetDensity(rmsValues) {
-    const onsets = []
-    const threshold = 0.02
-    
-    for (let i = 1; i < rmsValues.length; i++) {
-      const diff = rmsValues[i] - rmsValues[i - 1]
-      onsets.push(diff > threshold ? 1 : 0)
+  extractRhythm(analysisBuffer, { beatsPerBar = 4 } = {}) {
+    const { envelope, bassEnvelope, frameRate, frameOffset } = this.computeOnsetEnvelope(analysisBuffer)
+    const onsets = this.detectOnsets(envelope, frameRate, frameOffset)
+    const beats = this.trackBeats(envelope, frameRate, frameOffset)
+    beats.downbeats = this.findDownbeatCandidates(beats.times, bassEnvelope, frameRate, frameOffset, beatsPerBar)
+
+    return { onsets, beats }
+  }
+
+  /**
+   * Onset strength envelope: half-wave rectified spectral flux of the
+   * log-compressed magnitude spectrum. The same flux below 200 Hz is kept
+   * separately (bass onsets mark downbeats more often than not).
+   * @param {AnalysisBuffer} analysisBuffer
+   * @returns {{ envelope: Float32Array, bassEnvelope: Float32Array, frameRate: number, frameOffset: number }}
+   *   frame i is centred at frameOffset + i / frameRate seconds
+   */
+  computeOnsetEnvelope(analysisBuffer) {
+    const { samples, sampleRate } = this.toAnalysisBuffer(analysisBuffer)
+    this.configureMeyda(sampleRate)
+
+    const hopSize = this.onsetHopSize
+    const frameCount = Math.max(0, Math.floor((samples.length - this.bufferSize) / hopSize) + 1)
+    const bassBins = Math.max(1, Math.round(200 * this.bufferSize / sampleRate))
+    const envelope = new Float32Array(frameCount)
+    const bassEnvelope = new Float32Array(frameCount)
+    let previous = null
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const start = frame * hopSize
+      const spectrum = Meyda.extract('amplitudeSpectrum', samples.slice(start, start + this.bufferSize))
+      if (!spectrum) continue
+
+      const compressed = spectrum.map(magnitude => Math.log1p(100 * magnitude))
+      if (previous) {
+        let flux = 0
+        let bassFlux = 0
+        for (let bin = 1; bin < compressed.length; bin++) {
+          const rise = compressed[bin] - previous[bin]
+          if (rise > 0) {
+            flux += rise
+            if (bin <= bassBins) bassFlux += rise
+          }
+        }
+        envelope[frame] = flux
+        bassEnvelope[frame] = bassFlux
+      }
+      previous = compressed
     }
 
-    // Calculate density in windows
-    const windowSize = 10
-    const density = []
-    
-    for (let i = 0; i < onsets.length; i += windowSize) {
-      const window = onsets.slice(i, i + windowSize)
-      const sum = window.reduce((a, b) => a + b, 0)
-      density.push(sum / window.length)
+    return {
+      envelope,
+      bassEnvelope,
+      frameRate: sampleRate / hopSize,
+      frameOffset: this.bufferSize / 2 / sampleRate
     }
+  }
+
+  /**
+   * Pick onsets from the envelope: a frame is an onset when it is the local
+   * maximum (±30 ms), exceeds the local mean (-100/+70 ms) by delta and
+   * lies at least 30 ms after the previous onset.
+   * @param {Float32Array} envelope
+   * @param {number} frameRate
+   * @param {number} [frameOffset=0]
+   * @param {Object} [options] - { delta } relative to the envelope maximum
+   * @returns {OnsetFeatures}
+   */
+  detectOnsets(envelope, frameRate, frameOffset = 0, { delta = 0.05 } = {}) {
+    const frames = count => Math.max(1, Math.round(count * frameRate))
+    const maxWindow = frames(0.03)
+    const preAverage = frames(0.1)
+    const postAverage = frames(0.07)
+    const minGap = frames(0.03)
+    const peak = Math.max(0, ...envelope) || 1
+
+    const times = []
+    const strengths = []
+    let lastOnset = -Infinity
+
+    for (let i = 0; i < envelope.length; i++) {
+      const value = envelope[i] / peak
+      if (value <= 0 || i - lastOnset < minGap) continue
+
+      let isMax = true
+      for (let j = Math.max(0, i - maxWindow); j <= Math.min(envelope.length - 1, i + maxWindow); j++) {
+        if (envelope[j] > envelope[i]) { isMax = false; break }
+      }
+      if (!isMax) continue
+
+      let sum = 0
+      const from = Math.max(0, i - preAverage)
+      const to = Math.min(envelope.length - 1, i + postAverage)
+      for (let j = from; j <= to; j++) sum += envelope[j]
+      const mean = sum / (to - from + 1) / peak
+
+      if (value >= mean + delta) {
+        times.push(frameOffset + i / frameRate)
+        strengths.push(value)
+        lastOnset = i
+      }
+    }
+
+    return { times, strengths }
+  }
 
+  /**
+   * Global tempo from the autocorrelation of the onset envelope, weighted
+   * towards 120 BPM (log-Gaussian, one octave wide) to settle octave errors
+   * @returns {{ bpm: number, period: number }} period in frames
+   */
+  estimateTempo(envelope, frameRate, { minBpm = 40, maxBpm = 220, preferredBpm = 120 } = {}) {
+    const mean = envelope.reduce((a, b) => a + b, 0) / (envelope.length || 1)
+    const centered = Array.from(envelope, v => v - mean)
+    const minLag = Math.max(1, Math.floor(60 * frameRate / maxBpm))
+    const maxLag = Math.min(centered.length - 1, Math.ceil(60 * frameRate / minBpm))
+
+    let best = { bpm: preferredBpm, period: 60 * frameRate / preferredBpm, score: -Infinity }
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      let correlation = 0
+      for (let i = lag; i < centered.length; i++) {
+        correlation += centered[i] * centered[i - lag]
+      }
+      const bpm = 60 * frameRate / lag
+      const weight = Math.exp(-0.5 * Math.log2(bpm / preferredBpm) ** 2)
+      const score = correlation * weight
+      if (score > best.score) best = { bpm, period: lag, score }
+    }
+
+    return { bpm: best.bpm, period: best.period }
+  }
+
+  /**
+   * Dynamic-programming beat tracker (Ellis 2007): beats sit on strong
+   * onsets while successive intervals stay close to the global period.
+   * @param {Float32Array} envelope
+   * @param {number} frameRate
+   * @param {number} [frameOffset=0]
+   * @param {Object} [options] - { tightness } higher keeps the tempo steadier
+   * @returns {BeatFeatures} without downbeats
+   */
+  trackBeats(envelope, frameRate, frameOffset = 0, { tightness = 100 } = {}) {
+    const { bpm, period } = this.estimateTempo(envelope, frameRate)
+    const n = envelope.length
+    if (n === 0) return { times: [], tempo: bpm, tempoCurve: [] }
+
+    // Onset strength in units of its standard deviation
+    const mean = envelope.reduce((a, b) => a + b, 0) / n
+    const std = Math.sqrt(envelope.reduce((a, b) => a + (b - mean) ** 2, 0) / n) || 1
+    const local = Array.from(envelope, v => v / std)
+
+    const score = new Float64Array(n)
+    const backlink = new Int32Array(n).fill(-1)
+    const minStep = Math.max(1, Math.round(period / 2))
+    const maxStep = Math.round(period * 2)
+
+    for (let t = 0; t < n; t++) {
+      let best = -Infinity
+      let bestFrom = -1
+      for (let from = Math.max(0, t - maxStep); from <= t - minStep; from++) {
+        const candidate = score[from] - tightness * Math.log((t - from) / period) ** 2
+        if (candidate > best) {
+          best = candidate
+          bestFrom = from
+        }
+      }
+      score[t] = local[t] + Math.max(0, best)
+      backlink[t] = best > 0 ? bestFrom : -1
+    }
+
+    // Last beat: best score within the final beat period
+    let last = n - 1
+    for (let t = Math.max(0, n - Math.round(period)); t < n; t++) {
+      if (score[t] > score[last]) last = t
+    }
+    const frames = []
+    for (let t = last; t >= 0; t = backlink[t]) frames.unshift(t)
+
+    // Drop beats that only continue the grid into silence at either end
+    const threshold = 0.5 * Math.sqrt(frames.reduce((sum, f) => sum + local[f] ** 2, 0) / (frames.length || 1))
+    while (frames.length && local[frames[0]] < threshold) frames.shift()
+    while (frames.length && local[frames[frames.length - 1]] < threshold) frames.pop()
+
+    const times = frames.map(frame => frameOffset + frame / frameRate)
+    return { times, tempo: bpm, tempoCurve: this.calculateTempoCurve(times) }
+  }
+
+  /**
+   * Local tempo at each beat: median of the surrounding inter-beat intervals
+   * @param {number[]} beatTimes
+   * @param {number} [span=2] - intervals on each side
+   * @returns {Array<{time: number, bpm: number}>}
+   */
+  calculateTempoCurve(beatTimes, span = 2) {
+    const intervals = []
+    for (let i = 1; i < beatTimes.length; i++) {
+      intervals.push(beatTimes[i] - beatTimes[i - 1])
+    }
+
+    return intervals.map((_, i) => {
+      const neighbourhood = intervals.slice(Math.max(0, i - span), i + span + 1).sort((a, b) => a - b)
+      const median = neighbourhood[Math.floor(neighbourhood.length / 2)]
+      return { time: beatTimes[i + 1], bpm: Math.round(600 / median) / 10 }
+    })
+  }
+
+  /**
+   * Rank the possible bar phases: the phase whose beats carry the most
+   * bass onset strength is the most likely downbeat
+   * @returns {Array<{phase: number, score: number, times: number[]}>} best first, scores sum to 1
+   */
+  findDownbeatCandidates(beatTimes, bassEnvelope, frameRate, frameOffset = 0, beatsPerBar = 4) {
+    if (beatTimes.length === 0 || beatsPerBar < 2) return []
+
+    const strengthAt = time => {
+      const frame = Math.round((time - frameOffset) * frameRate)
+      let strength = 0
+      for (let f = Math.max(0, frame - 2); f <= Math.min(bassEnvelope.length - 1, frame + 2); f++) {
+        strength = Math.max(strength, bassEnvelope[f])
+      }
+      return strength
+    }
+
+    const candidates = []
+    for (let phase = 0; phase < beatsPerBar; phase++) {
+      const times = beatTimes.filter((_, i) => i % beatsPerBar === phase)
+      const total = times.reduce((sum, time) => sum + strengthAt(time), 0)
+      candidates.push({ phase, score: times.length ? total / times.length : 0, times })
+    }
+
+    const sum = candidates.reduce((a, c) => a + c.score, 0) || 1
+    return candidates
+      .map(candidate => ({ ...candidate, score: candidate.score / sum }))
+      .sort((a, b) => b.score - a.score)
+  }
+
+  /**
+   * Calculate onset density (rhythm tension indicator)
+   * @param {number[]} onsetTimes - from detectOnsets
+   * @param {number} duration - in seconds
+   * @param {number} [windowSeconds=1]
+   * @returns {number[]} onsets per second in each window
+   */
+  calculateOnsetDensity(onsetTimes, duration, windowSeconds = 1) {
+    const density = new Array(Math.max(1, Math.ceil(duration / windowSeconds))).fill(0)
+    onsetTimes.forEach(time => {
+      const index = Math.min(density.length - 1, Math.floor(time / windowSeconds))
+      density[index] += 1 / windowSeconds
+    })
     return density
   }
 
@@ -208,4 +556,54 @@ export class FeatureExtractor {
   }
 }
 
+/**
+ * Flatten the per-frame Meyda series into typed arrays that can be
+ * transferred between threads (vectors become one frames × dims array)
+ * @param {Object} features - from extractAll
+ * @returns {{ packed: Object, transfer: ArrayBuffer[] }}
+ */
+export function packFeatures(features) {
+  const packed = { ...features }
+  const transfer = []
+
+  MEYDA_SERIES.forEach(name => {
+    const series = features[name] || []
+    if (MEYDA_VECTORS.includes(name)) {
+      const dims = series[0]?.length || 0
+      const data = new Float32Array(series.length * dims)
+      series.forEach((vector, frame) => data.set(vector, frame * dims))
+      packed[name] = { frames: series.length, dims, data }
+      transfer.push(data.buffer)
+    } else {
+      const data = name === 'timestamps' ? Float64Array.from(series) : Float32Array.from(series)
+      packed[name] = data
+      transfer.push(data.buffer)
+    }
+  })
+
+  return { packed, transfer }
+}
+
+/**
+ * Back to the plain-array shape of extractMeyda (what the stores, the
+ * analyzers and the session export expect)
+ * @param {Object} packed - from packFeatures
+ * @returns {Object}
+ */
+export function unpackFeatures(packed) {
+  const features = { ...packed }
+
+  MEYDA_SERIES.forEach(name => {
+    const series = packed[name]
+    if (MEYDA_VECTORS.includes(name)) {
+      const { frames, dims, data } = series
+      features[name] = Array.from({ length: frames }, (_, frame) => Array.from(data.subarray(frame * dims, (frame + 1) * dims)))
+    } else {
+      features[name] = Array.from(series)
+    }
+  })
+
+  return features
+}
+
 export default FeatureExtractor
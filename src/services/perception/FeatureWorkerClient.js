@@ -0,0 +1,117 @@
+/**
+ * Feature Worker Client - Perception Layer
+ * Main-thread side of featureWorker.js: sends the decoded channels to the
+ * worker, relays progress and returns the analysis buffer and features.
+ * An AbortSignal cancels the job (the worker is terminated and rebuilt on
+ * the next call). Without Worker support the same pipeline runs here.
+ */
+
+import { AudioDecoder, throwIfAborted } from './AudioDecoder.js'
+import { FeatureExtractor, unpackFeatures } from './FeatureExtractor.js'
+
+export class FeatureWorkerClient {
+  constructor() {
+    this.worker = null
+    this.nextId = 1
+    this.pending = new Map()
+  }
+
+  /**
+   * Analysis buffer and all features of a decoded recording
+   * @param {AudioBuffer} audioBuffer
+   * @param {Object} [options]
+   * @param {number} [options.beatsPerBar=4]
+   * @param {Function} [options.onProgress] - (stage, fraction 0-1)
+   * @param {AbortSignal} [options.signal] - cancel token; rejects with an AbortError
+   * @param {Object} [options.decoderOptions] - { analysisSampleRate, mixdown, targetRms }
+   * @returns {Promise<{ analysisBuffer: AnalysisBuffer, features: Object }>}
+   */
+  async analyze(audioBuffer, { beatsPerBar = 4, onProgress = () => {}, signal = null, decoderOptions = {} } = {}) {
+    throwIfAborted(signal)
+
+    if (typeof Worker === 'undefined') {
+      return this.analyzeOnMainThread(audioBuffer, { beatsPerBar, onProgress, signal, decoderOptions })
+    }
+
+    const worker = this.getWorker()
+    const id = this.nextId++
+    // Copies: transferring the AudioBuffer's own data would detach it from playback
+    const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, c) => audioBuffer.getChannelData(c).slice())
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => this.terminate()
+      signal?.addEventListener('abort', onAbort, { once: true })
+
+      this.pending.set(id, {
+        onProgress,
+        resolve: value => { signal?.removeEventListener('abort', onAbort); resolve(value) },
+        reject: error => { signal?.removeEventListener('abort', onAbort); reject(error) }
+      })
+
+      worker.postMessage(
+        { type: 'analyze', id, channels, sampleRate: audioBuffer.sampleRate, options: { ...decoderOptions, beatsPerBar } },
+        channels.map(channel => channel.buffer)
+      )
+    })
+  }
+
+  /**
+   * Same pipeline without a worker (older browsers, tests)
+   */
+  async analyzeOnMainThread(audioBuffer, { beatsPerBar, onProgress, signal, decoderOptions }) {
+    onProgress('buffer', 0)
+    const analysisBuffer = new AudioDecoder(decoderOptions).createAnalysisBuffer(audioBuffer)
+    const features = await new FeatureExtractor().extractAll(analysisBuffer, {
+      beatsPerBar,
+      signal,
+      onProgress: (stage, fraction) => onProgress(stage, 0.1 + 0.9 * fraction)
+    })
+    return { analysisBuffer, features }
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./featureWorker.js', import.meta.url), { type: 'module' })
+      this.worker.onmessage = event => this.handleMessage(event.data)
+      this.worker.onerror = event => {
+        this.rejectAll(new Error('Feature worker failed: ' + (event.message || 'unknown error')))
+        this.terminate()
+      }
+    }
+    return this.worker
+  }
+
+  handleMessage({ type, id, stage, fraction, analysisBuffer, features, message }) {
+    const job = this.pending.get(id)
+    if (!job) return
+
+    if (type === 'progress') {
+      job.onProgress(stage, fraction)
+    } else if (type === 'result') {
+      this.pending.delete(id)
+      job.resolve({ analysisBuffer, features: unpackFeatures(features) })
+    } else if (type === 'error') {
+      this.pending.delete(id)
+      job.reject(new Error(message))
+    }
+  }
+
+  rejectAll(error) {
+    this.pending.forEach(job => job.reject(error))
+    this.pending.clear()
+  }
+
+  /**
+   * Stop the worker and whatever it is computing; pending jobs reject
+   * with an AbortError
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate()
+      this.worker = null
+    }
+    this.rejectAll(new DOMException('Audio analysis was cancelled', 'AbortError'))
+  }
+}
+
+export default FeatureWorkerClient
@@ -0,0 +1,485 @@
+/**
+ * Humdrum **kern Parser - Perception Layer
+ * Parses Humdrum files into the same ParsedScore shape as the MusicXML parser.
+ * Each **kern spine of the exclusive interpretation line is a part (listed
+ * top staff first); spine splits become extra voices of that part.
+ */
+
+import {
+  toFraction,
+  addFractions,
+  applyTempoMap,
+  extractTempoMap,
+  extractMeterMap,
+  extractKeyMap,
+  buildPerformanceTimeline
+} from './scoreTimeline.js'
+import { reportDiagnostic, reportTempoFallback } from './diagnostics.js'
+import { createMetadata, createSectionMark, mergeSectionMarks } from './scoreMetadata.js'
+
+// Ticks per quarter note: divisible by the usual note values and by 3, 5 and 7 for tuplets
+const TICKS_PER_QUARTER = 6720
+
+// Humdrum reference records (!!!COM: ...) mapped to metadata fields
+const REFERENCE_CREATORS = { COM: 'composer', LYR: 'lyricist', ARR: 'arranger', LIB: 'librettist' }
+
+const KEY_FIFTHS = { C: 0, G: 1, D: 2, A: 3, E: 4, B: 5, 'F#': 6, 'C#': 7, F: -1, 'B-': -2, 'E-': -3, 'A-': -4, 'D-': -5, 'G-': -6, 'C-': -7 }
+
+export class KernParser {
+  constructor() {
+    this.parsedScore = null
+    this.diagnostics = []
+  }
+
+  /**
+   * Record a place where the parser had to guess
+   */
+  report(severity, code, message, location) {
+    reportDiagnostic(this.diagnostics, severity, code, message, location)
+  }
+
+  /**
+   * Parse a Humdrum file (.krn)
+   * @param {File} file
+   * @returns {Promise<Object>} ParsedScore
+   */
+  async parse(file) {
+    if (!file.name.toLowerCase().endsWith('.krn')) {
+      throw new Error('Unsupported file format. Please use .krn files.')
+    }
+    return this.parseText(await file.text())
+  }
+
+  /**
+   * Parse Humdrum text
+   * @param {string} text
+   * @returns {Object} ParsedScore
+   */
+  parseText(text) {
+    const allLines = text.split(/\r?\n/)
+    const lines = allLines.filter(line => line.length > 0 && !line.startsWith('!'))
+    const headerIndex = lines.findIndex(line => line.startsWith('**'))
+    if (headerIndex === -1 || !lines[headerIndex].split('\t').includes('**kern')) {
+      throw new Error('Invalid Humdrum file: no **kern spine found')
+    }
+
+    this.diagnostics = []
+    const { measures, parts } = this.readSpines(lines.slice(headerIndex))
+    reportTempoFallback(this.diagnostics, measures)
+    applyTempoMap(measures)
+
+    this.parsedScore = {
+      measures,
+      notes: measures.flatMap(m => m.notes),
+      keySignature: measures[0]?.keySignature || { fifths: 0, mode: 'major' },
+      timeSignature: measures[0]?.timeSignature || { beats: 4, beatType: 4 },
+      tempo: measures[0]?.tempo || 120,
+      tempoMap: extractTempoMap(measures),
+      meterMap: extractMeterMap(measures),
+      keyMap: extractKeyMap(measures),
+      chords: [],
+      metadata: this.readReferenceRecords(allLines),
+      sectionMarks: measures.flatMap(m => m.sectionMarks),
+      parts: parts.map(part => {
+        const notes = measures.flatMap(m => m.notes.filter(n => n.partId === part.id))
+        return {
+          id: part.id,
+          name: part.name,
+          measureCount: measures.filter(m => m.partIds.includes(part.id)).length,
+          staves: [1],
+          notes
+        }
+      }),
+      performance: buildPerformanceTimeline(measures),
+      diagnostics: this.diagnostics
+    }
+
+    return this.parsedScore
+  }
+
+  /**
+   * Walk the spine lines, tracking splits/merges, interpretations and barlines
+   * @param {string[]} lines - starting at the exclusive interpretation line
+   */
+  readSpines(lines) {
+    const header = lines[0].split('\t')
+    const kernCount = header.filter(token => token === '**kern').length
+    let kernIndex = 0
+
+    // Spines are listed bottom staff first; part ids follow score order (top first)
+    let columns = header.map(token => {
+      if (token !== '**kern') return { kern: false }
+      kernIndex++
+      return { kern: true, partId: `P${kernCount - kernIndex + 1}`, voice: 1, position: 0 }
+    })
+    const parts = columns.filter(c => c.kern)
+      .map(c => ({ id: c.partId, name: null }))
+      .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }))
+
+    const context = {
+      timeSignature: { beats: 4, beatType: 4 },
+      keySignature: { fifths: 0, mode: 'major' },
+      ties: new Map(),
+      found: new Set()
+    }
+    const measures = []
+    let current = this.openMeasure(context, null)
+    let pendingNavigation = {}
+    let currentBeat = 0
+
+    const closeMeasure = (barToken) => {
+      const hasContent = current.notes.length > 0 || columns.some(c => c.kern && c.position > 0)
+      if (hasContent) {
+        const content = Math.max(0, ...columns.filter(c => c.kern).map(c => c.position)) / TICKS_PER_QUARTER
+        const nominal = context.timeSignature.beats * 4 / context.timeSignature.beatType
+        // Only an opening pickup may be shorter than the meter
+        const length = measures.length === 0 && content > 0 && content < nominal ? content : nominal
+
+        current.number = measures.length + 1
+        current.label = current.label ?? (measures.length === 0 && length < nominal ? '0' : String(current.number))
+        current.startBeat = currentBeat
+        current.endBeat = currentBeat + length
+        currentBeat = current.endBeat
+        current.notes.sort((a, b) => a.beat - b.beat)
+        current.notes.forEach(note => { note.measureNumber = current.number })
+        current.sectionMarks = mergeSectionMarks(current.sectionMarks)
+          .map(mark => ({ ...mark, measureNumber: current.number }))
+        measures.push(current)
+      }
+
+      if (barToken !== null) {
+        const { label, navigation, forward } = this.readBarline(barToken)
+        const last = measures[measures.length - 1]
+        if (hasContent && last && navigation.repeatBackward) {
+          last.navigation = { ...(last.navigation || {}), ...navigation }
+        }
+        pendingNavigation = forward ? { repeatForward: true } : {}
+        // Interpretations ahead of the first barline belong to the first measure
+        const carried = hasContent ? [] : current.tempoEvents
+        const carriedMarks = hasContent ? [] : current.sectionMarks
+        current = this.openMeasure(context, label)
+        current.tempoEvents = carried
+        current.sectionMarks = carriedMarks
+      }
+      columns.forEach(c => { c.position = 0 })
+    }
+
+    lines.slice(1).forEach(line => {
+      const tokens = line.split('\t')
+
+      if (tokens[0].startsWith('=')) {
+        closeMeasure(tokens[0])
+        if (Object.keys(pendingNavigation).length > 0) current.navigation = { ...pendingNavigation }
+        return
+      }
+
+      if (tokens[0].startsWith('*')) {
+        this.applyInterpretations(tokens, columns, parts, context, current)
+        columns = this.manipulateSpines(tokens, columns)
+        return
+      }
+
+      if (measures.length === 0 && current.notes.length === 0) this.reportMissingInterpretations(context)
+
+      tokens.forEach((token, i) => {
+        const column = columns[i]
+        if (!column?.kern || token === '.') return
+        this.readToken(token, column, context, current)
+      })
+    })
+
+    closeMeasure(null)
+    return { measures, parts }
+  }
+
+  /**
+   * Report the interpretations the music starts without (once, at the first data line)
+   */
+  reportMissingInterpretations(context) {
+    if (!context.found.has('meter')) {
+      this.report('warning', 'missing-time', 'No *M meter before the music; measures are assumed to be 4/4',
+        { fallback: '4/4' })
+    }
+    if (!context.found.has('key')) {
+      this.report('info', 'missing-key', 'No *k[] key signature or key interpretation; the key is assumed to be C major',
+        { fallback: 'C major' })
+    }
+    context.found.add('meter').add('key')
+  }
+
+  /**
+   * Start a measure with the current meter and key
+   */
+  openMeasure(context, label) {
+    return {
+      number: 0,
+      label,
+      notes: [],
+      partIds: [],
+      navigation: null,
+      timeSignature: context.timeSignature,
+      keySignature: context.keySignature,
+      tempoEvents: [],
+      chords: [],
+      sectionMarks: []
+    }
+  }
+
+  /**
+   * Title, creators and rights from the reference records (!!!OTL: title)
+   * @returns {Object} ScoreMetadata
+   */
+  readReferenceRecords(lines) {
+    const records = {}
+    const creators = []
+    lines.forEach(line => {
+      const match = line.match(/^!!!([A-Z]{3})[^:]*:\s*(.*)$/)
+      if (!match) return
+      const [, key, value] = match
+      if (REFERENCE_CREATORS[key]) creators.push({ type: REFERENCE_CREATORS[key], name: value })
+      else if (!records[key]) records[key] = value
+    })
+
+    return createMetadata({
+      title: records.OTL || records.OPT,
+      workTitle: records.OPT,
+      workNumber: records.OPN || records.SCT,
+      movementTitle: records.OMD,
+      movementNumber: records.OMV,
+      creators,
+      rights: records.YEC
+    })
+  }
+
+  /**
+   * Barline token: measure number of the following measure and repeat signs
+   * ("=12", "=:|!", "=!|:", "=:|!|:", "==")
+   */
+  readBarline(token) {
+    const number = token.match(/^=+(\d+)/)?.[1] ?? null
+    const navigation = {}
+    if (/:[|!]/.test(token)) {
+      navigation.repeatBackward = true
+      navigation.repeatTimes = 2
+    }
+    return { label: number, navigation, forward: /[|!]:/.test(token) }
+  }
+
+  /**
+   * Meter (*M3/4), key signature (*k[f#]), key (*G:, *e:), tempo (*MM96)
+   * and instrument names (*I"Violin) on an interpretation line
+   */
+  applyInterpretations(tokens, columns, parts, context, measure) {
+    tokens.forEach((token, i) => {
+      const column = columns[i]
+      if (!column?.kern) return
+
+      const meter = token.match(/^\*M(\d+)\/(\d+)/)
+      if (meter) {
+        context.timeSignature = { beats: parseInt(meter[1]), beatType: parseInt(meter[2]) }
+        context.found.add('meter')
+        if (measure.notes.length === 0) measure.timeSignature = context.timeSignature
+      }
+
+      const keySig = token.match(/^\*k\[([a-g#-]*)\]/)
+      if (keySig) {
+        const sharps = (keySig[1].match(/#/g) || []).length
+        const flats = (keySig[1].match(/-/g) || []).length
+        context.keySignature = { ...context.keySignature, fifths: sharps - flats }
+        context.found.add('key')
+        if (measure.notes.length === 0) measure.keySignature = context.keySignature
+      }
+
+      const key = token.match(/^\*([A-Ga-g])([#-]?):/)
+      if (key) {
+        const minor = key[1] === key[1].toLowerCase()
+        const tonic = key[1].toUpperCase() + key[2]
+        const fifths = (KEY_FIFTHS[tonic] ?? 0) - (minor ? 3 : 0)
+        context.keySignature = { fifths: Math.max(-7, Math.min(7, fifths)), mode: minor ? 'minor' : 'major' }
+        context.found.add('key')
+        if (measure.notes.length === 0) measure.keySignature = context.keySignature
+      }
+
+      const tempo = token.match(/^\*MM(\d+(?:\.\d+)?)/)
+      if (tempo) {
+        const beat = column.position / TICKS_PER_QUARTER
+        if (!measure.tempoEvents.some(e => e.beat === beat)) {
+          measure.tempoEvents.push({ beat, bpm: parseFloat(tempo[1]) })
+        }
+      }
+
+      // Section labels (*>A, *>Trio); expansion lists (*>[A,A,B]) are skipped
+      const label = token.match(/^\*>([^[\]]+)$/)
+      if (label) {
+        const mark = createSectionMark('rehearsal', label[1], column.position / TICKS_PER_QUARTER)
+        if (mark) measure.sectionMarks.push(mark)
+      }
+
+      const name = token.match(/^\*I"(.+)/)
+      const part = parts.find(p => p.id === column.partId)
+      if (name && part && !part.name) part.name = name[1]
+    })
+
+    parts.forEach(part => { part.name = part.name || `Spine ${part.id.slice(1)}` })
+  }
+
+  /**
+   * Apply spine splits (*^), merges (*v), terminations (*-) and additions (*+)
+   * @returns {Object[]} new column layout
+   */
+  manipulateSpines(tokens, columns) {
+    if (!tokens.some(t => ['*^', '*v', '*-', '*+', '*x'].includes(t))) return columns
+
+    const result = []
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i]
+      const column = columns[i] || { kern: false }
+
+      if (token === '*^') {
+        result.push(column)
+        if (column.kern) {
+          const voice = Math.max(...columns.filter(c => c.partId === column.partId).map(c => c.voice),
+            ...result.filter(c => c.partId === column.partId).map(c => c.voice)) + 1
+          result.push({ ...column, voice })
+        } else {
+          result.push({ kern: false })
+        }
+      } else if (token === '*v') {
+        result.push(column)
+        while (tokens[i + 1] === '*v') i++
+      } else if (token === '*-') {
+        continue
+      } else if (token === '*+') {
+        result.push(column, { kern: false })
+      } else if (token === '*x' && tokens[i + 1] === '*x') {
+        result.push(columns[i + 1], column)
+        i++
+      } else {
+        result.push(column)
+      }
+    }
+    return result
+  }
+
+  /**
+   * Read one data token (a note, rest or space-separated chord) of a spine
+   */
+  readToken(token, column, context, measure) {
+    const subtokens = token.split(' ').filter(Boolean)
+    let advance = 0
+
+    subtokens.forEach(sub => {
+      const duration = this.readDuration(sub)
+      if (duration === null) {
+        this.report('warning', 'unreadable-token', `Token "${sub}" has no duration and is left out`,
+          { measure: measure.label, part: column.partId, fallback: 'token skipped' })
+        return
+      }
+      const grace = /[qQ]/.test(sub)
+      const ticks = grace ? 0 : duration
+      advance = Math.max(advance, ticks)
+
+      const partId = column.partId
+      if (!measure.partIds.includes(partId)) measure.partIds.push(partId)
+
+      const base = {
+        duration: ticks / TICKS_PER_QUARTER,
+        measureNumber: 0,
+        beat: column.position / TICKS_PER_QUARTER,
+        beatFraction: toFraction(column.position, TICKS_PER_QUARTER),
+        durationFraction: toFraction(ticks, TICKS_PER_QUARTER),
+        voice: column.voice,
+        staff: 1,
+        partId
+      }
+      const marks = {}
+      if (sub.includes(';')) marks.fermata = true
+      if (sub.includes("'")) marks.staccato = true
+      if (sub.includes('^')) marks.accent = true
+      if (marks.staccato || marks.accent) {
+        marks.articulations = [marks.staccato && 'staccato', marks.accent && 'accent'].filter(Boolean)
+      }
+      if (sub.includes('(')) marks.slurStart = true
+      if (sub.includes(')')) marks.slurEnd = true
+
+      if (/r/.test(sub) && !/[a-gA-G]/.test(sub)) {
+        measure.notes.push({ pitch: null, isRest: true, ...base, ...marks })
+        return
+      }
+
+      const pitch = this.readPitch(sub)
+      if (!pitch) {
+        this.report('warning', 'unreadable-token', `Token "${sub}" has no pitch and is left out`,
+          { measure: measure.label, part: partId, fallback: 'token skipped' })
+        return
+      }
+
+      const tieKey = `${partId}:${column.voice}:${pitch}`
+      const startsTie = sub.includes('[')
+      const continuesTie = sub.includes('_')
+      const endsTie = sub.includes(']')
+      const openTie = (continuesTie || endsTie) ? context.ties.get(tieKey) : null
+
+      if (openTie && !grace) {
+        openTie.durationFraction = addFractions(openTie.durationFraction, base.durationFraction)
+        openTie.duration = openTie.durationFraction.numerator / openTie.durationFraction.denominator
+        openTie.tied = true
+        Object.assign(openTie, marks)
+        if (endsTie) context.ties.delete(tieKey)
+        return
+      }
+
+      const note = { pitch, ...base, dynamics: null, ...marks }
+      if (grace) note.grace = true
+      if (startsTie && !grace) context.ties.set(tieKey, note)
+      measure.notes.push(note)
+    })
+
+    column.position += advance
+  }
+
+  /**
+   * Recip duration in ticks ("4", "8.", "6", "0" breve, "3%2" rational)
+   * @returns {number|null}
+   */
+  readDuration(token) {
+    const match = token.match(/(\d+)(?:%(\d+))?(\.*)/)
+    if (!match) return /[qQ]/.test(token) ? 0 : null
+
+    let quarters
+    if (match[1] === '0') quarters = 8
+    else if (match[1] === '00') quarters = 16
+    else quarters = 4 * (parseInt(match[2]) || 1) / parseInt(match[1])
+
+    const dots = match[3].length
+    return Math.round(quarters * (2 - 1 / (2 ** dots)) * TICKS_PER_QUARTER)
+  }
+
+  /**
+   * Kern pitch: "c" is middle C, each repetition moves an octave
+   * (cc = C5, C = C3, CC = C2); accidentals are always explicit
+   */
+  readPitch(token) {
+    const match = token.match(/([a-g]+|[A-G]+)(#+|-+|n)?/)
+    if (!match) return null
+
+    const letters = match[1]
+    const step = letters[0].toUpperCase()
+    const octave = letters[0] === letters[0].toLowerCase()
+      ? 3 + letters.length
+      : 4 - letters.length
+    const accidental = match[2]?.startsWith('#') ? match[2]
+      : match[2]?.startsWith('-') ? 'b'.repeat(match[2].length)
+        : ''
+    return `${step}${accidental}${octave}`
+  }
+
+  /**
+   * Get the parsed score
+   */
+  getParsedScore() {
+    return this.parsedScore
+  }
+}
+
+export default KernParser
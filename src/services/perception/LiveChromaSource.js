@@ -0,0 +1,176 @@
+/**
+ * Live Chroma Source - Perception Layer
+ * Chroma frames of live audio, as it plays: the microphone, or (for
+ * rehearsing the follower without a performer) a decoded recording
+ * streamed through the speakers in real time.
+ *
+ * Frames carry the audio clock time of their centre, so the consumer can
+ * tell how far behind the sound its reaction is.
+ *
+ * The audio is tapped with a script processor of our own and each window is
+ * handed to Meyda.extract: Meyda's analyzer keeps its node on the shared
+ * Meyda object and offers no way to detach it.
+ */
+
+import Meyda from 'meyda'
+
+export class LiveChromaSource {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.bufferSize=4096] - analysis window; shorter windows smear low notes across pitch classes
+   * @param {number} [options.hopSize=2048] - a power of two that divides bufferSize
+   */
+  constructor(options = {}) {
+    this.bufferSize = options.bufferSize || 4096
+    this.hopSize = options.hopSize || 2048
+    this.audioContext = null
+    this.processor = null
+    this.window = null
+    this.sourceNode = null
+    this.stream = null
+    this.startTime = 0
+    this.frameIndex = 0
+    this.isRunning = false
+  }
+
+  /**
+   * Follow the microphone
+   * @param {Function} onFrame - ({ chroma, rms, time }) per frame
+   */
+  async startMicrophone(onFrame) {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      throw new Error('Microphone input is not supported in this browser')
+    }
+    this.stop()
+
+    // Processing meant for speech removes sustained tones
+    this.stream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+    })
+
+    const context = await this.initContext()
+    this.start(context.createMediaStreamSource(this.stream), onFrame)
+  }
+
+  /**
+   * Stream a decoded recording as if it were played live (audible)
+   * @param {AudioBuffer} audioBuffer
+   * @param {Function} onFrame - ({ chroma, rms, time }) per frame
+   * @param {Object} [options]
+   * @param {number} [options.offset=0] - seconds into the recording
+   * @param {Function} [options.onEnded]
+   */
+  async startBuffer(audioBuffer, onFrame, { offset = 0, onEnded = null } = {}) {
+    this.stop()
+    const context = await this.initContext()
+    const player = context.createBufferSource()
+    player.buffer = audioBuffer
+    player.connect(context.destination)
+    player.onended = () => {
+      if (this.sourceNode === player) onEnded?.()
+    }
+
+    this.start(player, onFrame)
+    player.start(0, offset)
+  }
+
+  async initContext() {
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)()
+    }
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume()
+    }
+    return this.audioContext
+  }
+
+  start(sourceNode, onFrame) {
+    const sampleRate = this.audioContext.sampleRate
+    this.sourceNode = sourceNode
+    this.frameIndex = 0
+    this.startTime = this.audioContext.currentTime
+    this.window = new Float32Array(this.bufferSize)
+
+    // One hop per callback; the window slides by a hop and is analysed once full
+    const processor = this.audioContext.createScriptProcessor(this.hopSize, 1, 1)
+    let filled = 0
+    processor.onaudioprocess = event => {
+      if (this.processor !== processor) return
+      this.window.copyWithin(0, this.hopSize)
+      this.window.set(event.inputBuffer.getChannelData(0), this.bufferSize - this.hopSize)
+      filled = Math.min(this.bufferSize, filled + this.hopSize)
+      if (filled < this.bufferSize) return
+
+      this.configureMeyda(sampleRate)
+      const features = Meyda.extract(['chroma', 'rms'], this.window)
+      const time = this.startTime + (this.frameIndex * this.hopSize + this.bufferSize / 2) / sampleRate
+      this.frameIndex++
+      if (features?.chroma) {
+        onFrame({ chroma: features.chroma, rms: features.rms, time })
+      }
+    }
+
+    sourceNode.connect(processor)
+    // A script processor only runs while connected to the output; it writes silence
+    processor.connect(this.audioContext.destination)
+    this.processor = processor
+    this.isRunning = true
+  }
+
+  /**
+   * Point Meyda at the live window size and sample rate; offline extraction
+   * may have left it set for another window
+   */
+  configureMeyda(sampleRate) {
+    if (Meyda.sampleRate !== sampleRate || Meyda.bufferSize !== this.bufferSize) {
+      Meyda.melFilterBank = undefined
+      Meyda.chromaFilterBank = undefined
+    }
+    Meyda.sampleRate = sampleRate
+    Meyda.bufferSize = this.bufferSize
+  }
+
+  /**
+   * Audio clock, in the same seconds as frame times
+   */
+  get currentTime() {
+    return this.audioContext ? this.audioContext.currentTime : 0
+  }
+
+  stop() {
+    if (this.processor) {
+      this.processor.onaudioprocess = null
+      this.processor.disconnect()
+      this.processor = null
+      this.window = null
+    }
+
+    if (this.sourceNode) {
+      const node = this.sourceNode
+      this.sourceNode = null
+      try {
+        if (node.stop) node.stop()
+      } catch (error) {
+        // Already stopped
+      }
+      node.disconnect()
+    }
+
+    this.stream?.getTracks().forEach(track => track.stop())
+    this.stream = null
+    this.isRunning = false
+  }
+
+  /**
+   * Stop and release the audio context
+   */
+  async close() {
+    this.stop()
+    if (this.audioContext) {
+      await this.audioContext.close()
+      this.audioContext = null
+    }
+  }
+}
+
+export default LiveChromaSource
@@ -0,0 +1,570 @@
+/**
+ * MEI Parser - Perception Layer
+ * Parses MEI (Music Encoding Initiative) files into the same ParsedScore
+ * shape as the MusicXML parser. Every staff is read layer by layer;
+ * staves grouped under a labelled staffGrp (e.g. a piano) form one part.
+ */
+
+import {
+  toFraction,
+  addFractions,
+  applyTempoMap,
+  extractTempoMap,
+  extractMeterMap,
+  extractKeyMap,
+  buildPerformanceTimeline
+} from './scoreTimeline.js'
+import { reportDiagnostic, reportTempoFallback } from './diagnostics.js'
+import { createMetadata, createSectionMark } from './scoreMetadata.js'
+
+// Ticks per quarter note: divisible by the usual note values and by 3, 5 and 7 for tuplets
+const TICKS_PER_QUARTER = 6720
+
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B']
+const ACCIDENTALS = { s: 1, f: -1, ss: 2, x: 2, ff: -2, n: 0 }
+const DURATIONS = { long: 16, breve: 8 }
+
+const keyAlter = (step, fifths) => {
+  if (fifths > 0) return SHARP_ORDER.slice(0, fifths).includes(step) ? 1 : 0
+  if (fifths < 0) return [...SHARP_ORDER].reverse().slice(0, -fifths).includes(step) ? -1 : 0
+  return 0
+}
+
+export class MeiParser {
+  constructor() {
+    this.xmlDoc = null
+    this.parsedScore = null
+    this.diagnostics = []
+  }
+
+  /**
+   * Record a place where the parser had to guess
+   */
+  report(severity, code, message, location) {
+    reportDiagnostic(this.diagnostics, severity, code, message, location)
+  }
+
+  /**
+   * Parse an MEI file (.mei)
+   * @param {File} file
+   * @returns {Promise<Object>} ParsedScore
+   */
+  async parse(file) {
+    if (!file.name.toLowerCase().endsWith('.mei')) {
+      throw new Error('Unsupported file format. Please use .mei files.')
+    }
+
+    this.xmlDoc = new DOMParser().parseFromString(await file.text(), 'text/xml')
+
+    const parseError = this.xmlDoc.querySelector('parsererror')
+    if (parseError) {
+      throw new Error('Invalid MEI file: ' + parseError.textContent)
+    }
+
+    const scoreEl = this.xmlDoc.querySelector('music score')
+    if (!scoreEl) {
+      throw new Error('Invalid MEI file: no <score> element found')
+    }
+
+    this.diagnostics = []
+    const partDefs = this.extractPartDefinitions(scoreEl)
+    const measures = this.extractMeasures(scoreEl, partDefs)
+    reportTempoFallback(this.diagnostics, measures)
+    applyTempoMap(measures)
+
+    this.parsedScore = {
+      measures,
+      notes: measures.flatMap(m => m.notes),
+      keySignature: measures[0]?.keySignature || { fifths: 0, mode: 'major' },
+      timeSignature: measures[0]?.timeSignature || { beats: 4, beatType: 4 },
+      tempo: measures[0]?.tempo || 120,
+      tempoMap: extractTempoMap(measures),
+      meterMap: extractMeterMap(measures),
+      keyMap: extractKeyMap(measures),
+      chords: [],
+      metadata: this.extractMetadata(scoreEl),
+      sectionMarks: measures.flatMap(m => m.sectionMarks),
+      parts: partDefs.map(part => {
+        const notes = measures.flatMap(m => m.notes.filter(n => n.partId === part.id))
+        return {
+          id: part.id,
+          name: part.name,
+          measureCount: measures.filter(m => m.partIds.includes(part.id)).length,
+          staves: part.staves.map((_, i) => i + 1),
+          notes
+        }
+      }),
+      performance: buildPerformanceTimeline(measures),
+      diagnostics: this.diagnostics
+    }
+
+    return this.parsedScore
+  }
+
+  /**
+   * Map staves to parts from the first scoreDef.
+   * @returns {Object[]} [{ id, name, staves: [staff n] }]
+   */
+  extractPartDefinitions(scoreEl) {
+    const rootGroup = scoreEl.querySelector('scoreDef > staffGrp')
+    const parts = []
+    const labelOf = el => el.getAttribute('label') ||
+      Array.from(el.children).find(c => c.tagName === 'label')?.textContent.trim() || null
+
+    const addPart = (name, staffDefs) => {
+      parts.push({
+        id: `P${parts.length + 1}`,
+        name: name || `Staff ${staffDefs[0].getAttribute('n')}`,
+        staves: staffDefs.map(def => def.getAttribute('n'))
+      })
+    }
+
+    const visit = (groupEl) => {
+      Array.from(groupEl.children).forEach(child => {
+        if (child.tagName === 'staffDef') {
+          addPart(labelOf(child), [child])
+        } else if (child.tagName === 'staffGrp') {
+          // A labelled or braced group of staves is one instrument
+          const staffDefs = Array.from(child.querySelectorAll('staffDef'))
+          const isInstrument = labelOf(child) || child.getAttribute('symbol') === 'brace'
+          if (isInstrument && staffDefs.length > 0) {
+            addPart(labelOf(child) || labelOf(staffDefs[0]), staffDefs)
+          } else {
+            visit(child)
+          }
+        }
+      })
+    }
+
+    if (rootGroup) visit(rootGroup)
+
+    // Staves used in the body but never declared
+    scoreEl.querySelectorAll('measure > staff').forEach(staffEl => {
+      const n = staffEl.getAttribute('n') || '1'
+      if (!parts.some(p => p.staves.includes(n))) {
+        this.report('warning', 'undeclared-staff', `Staff ${n} has no <staffDef>`,
+          { part: `P${parts.length + 1}`, fallback: `part "Staff ${n}"` })
+        parts.push({ id: `P${parts.length + 1}`, name: `Staff ${n}`, staves: [n] })
+      }
+    })
+
+    return parts
+  }
+
+  /**
+   * Walk the score in document order, applying scoreDef changes and
+   * reading every measure (including those inside <ending> elements)
+   */
+  extractMeasures(scoreEl, partDefs) {
+    const context = {
+      timeSignature: { beats: 4, beatType: 4 },
+      keySignature: { fifths: 0, mode: 'major' },
+      tempo: null,
+      ties: new Map(),
+      // <tie> control events of the whole score: a tie written in one
+      // measure usually ends on a note in the next
+      tieStarts: new Set(),
+      tieEnds: new Set(),
+      // A right="rptboth" barline also opens a repeat in the next measure
+      repeatForwardPending: false,
+      found: new Set()
+    }
+    scoreEl.querySelectorAll('tie').forEach(tieEl => {
+      context.tieStarts.add((tieEl.getAttribute('startid') || '').replace('#', ''))
+      context.tieEnds.add((tieEl.getAttribute('endid') || '').replace('#', ''))
+    })
+    const measures = []
+    let currentBeat = 0
+
+    const walk = (el, ending = null) => {
+      Array.from(el.children).forEach(child => {
+        const tag = child.tagName
+
+        if (tag === 'scoreDef' || tag === 'staffDef') {
+          this.updateContext(child, context)
+        } else if (tag === 'section' || tag === 'expansion') {
+          walk(child, ending)
+        } else if (tag === 'ending') {
+          const first = measures.length
+          walk(child, child)
+          if (measures.length > first) {
+            const numbers = (child.getAttribute('n') || '1').match(/\d+/g)?.map(Number) || [1]
+            measures[first].navigation = { ...(measures[first].navigation || {}), endingStart: numbers }
+            const last = measures[measures.length - 1]
+            last.navigation = { ...(last.navigation || {}), endingStop: true }
+          }
+        } else if (tag === 'measure') {
+          const measure = this.readMeasure(child, measures.length + 1, partDefs, context)
+          measure.startBeat = currentBeat
+          measure.endBeat = currentBeat + measure.length
+          currentBeat = measure.endBeat
+          delete measure.length
+          measures.push(measure)
+        }
+      })
+    }
+
+    const scoreDef = scoreEl.querySelector('scoreDef')
+    if (scoreDef) this.updateContext(scoreDef, context)
+    scoreDef?.querySelectorAll('staffDef').forEach(def => this.updateContext(def, context))
+
+    if (!context.found.has('meter')) {
+      this.report('warning', 'missing-time', 'No meter in the score definition; measures are assumed to be 4/4',
+        { fallback: '4/4' })
+    }
+    if (!context.found.has('key')) {
+      this.report('info', 'missing-key', 'No key signature in the score definition; the key is assumed to be C major',
+        { fallback: 'C major' })
+    }
+
+    Array.from(scoreEl.children).forEach(child => {
+      if (child.tagName === 'section') walk(child)
+    })
+
+    return measures
+  }
+
+  /**
+   * Apply meter, key and tempo attributes (or child elements) of a scoreDef/staffDef
+   */
+  updateContext(defEl, context) {
+    const meterSig = Array.from(defEl.children).find(c => c.tagName === 'meterSig')
+    const count = defEl.getAttribute('meter.count') || meterSig?.getAttribute('count')
+    const unit = defEl.getAttribute('meter.unit') || meterSig?.getAttribute('unit')
+    if (count && unit) {
+      const beats = count.split('+').reduce((sum, n) => sum + (parseInt(n) || 0), 0) || 4
+      context.timeSignature = { beats, beatType: parseInt(unit) || 4 }
+      context.found.add('meter')
+    }
+
+    const keySig = Array.from(defEl.children).find(c => c.tagName === 'keySig')
+    const sig = defEl.getAttribute('key.sig') || keySig?.getAttribute('sig')
+    if (sig) {
+      const match = sig.match(/^(\d+)([sf]?)$/)
+      const amount = match ? parseInt(match[1]) : 0
+      context.keySignature = {
+        fifths: match?.[2] === 'f' ? -amount : amount,
+        mode: defEl.getAttribute('key.mode') || keySig?.getAttribute('mode') || 'major'
+      }
+      context.found.add('key')
+    }
+
+    const bpm = parseFloat(defEl.getAttribute('midi.bpm'))
+    if (bpm > 0) context.tempo = bpm
+  }
+
+  /**
+   * Read one <measure>: every staff and layer, navigation and tempo marks
+   */
+  readMeasure(measureEl, measureNumber, partDefs, context) {
+    const notes = []
+    const partIds = []
+    let contentLength = 0
+
+    // Fermatas may be given as control events pointing at note ids
+    const fermataIds = new Set(Array.from(measureEl.querySelectorAll('fermata'))
+      .map(el => (el.getAttribute('startid') || '').replace('#', '')))
+
+    Array.from(measureEl.children).filter(c => c.tagName === 'staff').forEach(staffEl => {
+      const staffN = staffEl.getAttribute('n') || '1'
+      const part = partDefs.find(p => p.staves.includes(staffN)) || partDefs[0]
+      const staff = part ? part.staves.indexOf(staffN) + 1 : 1
+      if (part && !partIds.includes(part.id)) partIds.push(part.id)
+
+      Array.from(staffEl.children).filter(c => c.tagName === 'layer').forEach((layerEl, layerIndex) => {
+        const voice = parseInt(layerEl.getAttribute('n')) || layerIndex + 1
+        const state = {
+          position: 0,
+          accidentals: new Map(),
+          measureNumber,
+          measureLabel: measureEl.getAttribute('n') || String(measureNumber),
+          partId: part?.id || 'P1',
+          staff,
+          voice,
+          tieStarts: context.tieStarts,
+          tieEnds: context.tieEnds,
+          fermataIds,
+          context
+        }
+        this.readLayer(layerEl, state, notes, 1)
+        // Whole-measure rests and spaces say nothing about an incomplete measure's length
+        if (!state.wholeMeasure) contentLength = Math.max(contentLength, state.position)
+      })
+    })
+
+    const nominalLength = context.timeSignature.beats * 4 / context.timeSignature.beatType
+    const content = contentLength / TICKS_PER_QUARTER
+    const incomplete = measureEl.getAttribute('metcon') === 'false' && content > 0 && content < nominalLength
+
+    const tempoEvents = []
+    if (measureNumber === 1 && context.tempo) {
+      tempoEvents.push({ beat: 0, bpm: context.tempo })
+    }
+    measureEl.querySelectorAll('tempo[midi\\.bpm]').forEach(tempoEl => {
+      const bpm = parseFloat(tempoEl.getAttribute('midi.bpm'))
+      const tstamp = parseFloat(tempoEl.getAttribute('tstamp')) || 1
+      const beatLength = 4 / context.timeSignature.beatType
+      if (bpm > 0) tempoEvents.push({ beat: (tstamp - 1) * beatLength, bpm })
+    })
+
+    return {
+      number: measureNumber,
+      label: measureEl.getAttribute('n') || String(measureNumber),
+      notes: notes.sort((a, b) => a.beat - b.beat),
+      partIds,
+      navigation: this.extractNavigation(measureEl, context),
+      timeSignature: context.timeSignature,
+      keySignature: context.keySignature,
+      tempoEvents,
+      chords: [],
+      sectionMarks: this.extractSectionMarks(measureEl, measureNumber, context),
+      length: incomplete ? content : nominalLength
+    }
+  }
+
+  /**
+   * Read the events of a layer (recursing into beams, tuplets, chords, grace groups)
+   * @param {number} ratio - tuplet scaling of durations
+   */
+  readLayer(containerEl, state, notes, ratio, grace = false) {
+    Array.from(containerEl.children).forEach(el => {
+      const tag = el.tagName
+
+      if (tag === 'beam' || tag === 'graceGrp' || tag === 'fTrem' || tag === 'bTrem') {
+        this.readLayer(el, state, notes, ratio, grace || tag === 'graceGrp')
+      } else if (tag === 'tuplet') {
+        const num = parseInt(el.getAttribute('num')) || 3
+        const numbase = parseInt(el.getAttribute('numbase')) || 2
+        this.readLayer(el, state, notes, ratio * numbase / num, grace)
+      } else if (tag === 'note' || tag === 'chord') {
+        const isGrace = grace || el.hasAttribute('grace')
+        const ticks = isGrace ? 0 : this.durationTicks(el, ratio, state)
+        const chordNotes = tag === 'chord' ? Array.from(el.querySelectorAll('note')) : [el]
+        chordNotes.forEach(noteEl => this.addNote(noteEl, el, state, notes, ticks, isGrace))
+        state.position += ticks
+      } else if (tag === 'rest' || tag === 'mRest') {
+        const ticks = tag === 'mRest'
+          ? Math.round(state.context.timeSignature.beats * 4 / state.context.timeSignature.beatType * TICKS_PER_QUARTER)
+          : this.durationTicks(el, ratio, state)
+        if (tag === 'mRest') state.wholeMeasure = true
+        notes.push({
+          pitch: null,
+          isRest: true,
+          duration: ticks / TICKS_PER_QUARTER,
+          measureNumber: state.measureNumber,
+          beat: state.position / TICKS_PER_QUARTER,
+          beatFraction: toFraction(state.position, TICKS_PER_QUARTER),
+          durationFraction: toFraction(ticks, TICKS_PER_QUARTER),
+          voice: state.voice,
+          staff: state.staff,
+          partId: state.partId,
+          ...(el.getAttribute('fermata') ? { fermata: true } : {})
+        })
+        state.position += ticks
+      } else if (tag === 'space' || tag === 'mSpace') {
+        if (tag === 'mSpace') state.wholeMeasure = true
+        state.position += tag === 'mSpace'
+          ? Math.round(state.context.timeSignature.beats * 4 / state.context.timeSignature.beatType * TICKS_PER_QUARTER)
+          : this.durationTicks(el, ratio, state)
+      }
+    })
+  }
+
+  /**
+   * Duration in ticks from @dur and @dots (or <dot> children)
+   */
+  durationTicks(el, ratio, state) {
+    const { context } = state
+    const durAttr = el.getAttribute('dur') || el.querySelector('note')?.getAttribute('dur')
+    if (!durAttr) {
+      this.report('warning', 'missing-duration', `<${el.tagName}> without @dur`,
+        { measure: state.measureLabel, part: state.partId, fallback: 'quarter note' })
+    }
+    const quarters = DURATIONS[durAttr] ?? 4 / (parseInt(durAttr) || 4)
+    const dots = parseInt(el.getAttribute('dots')) ||
+      Array.from(el.children).filter(c => c.tagName === 'dot').length
+    const dotted = quarters * (2 - 1 / (2 ** dots))
+    const ticks = Math.round(dotted * ratio * TICKS_PER_QUARTER)
+    return ticks || Math.round(context.timeSignature.beats * 4 / context.timeSignature.beatType * TICKS_PER_QUARTER)
+  }
+
+  /**
+   * Create a note (or extend a tied one) from a <note> element
+   */
+  addNote(noteEl, eventEl, state, notes, ticks, isGrace) {
+    const pitch = this.readPitch(noteEl, state)
+    if (!pitch) {
+      this.report('warning', 'missing-pitch', 'Note without @pname or @oct is left out',
+        { measure: state.measureLabel, part: state.partId, fallback: 'note skipped' })
+      return
+    }
+
+    const id = noteEl.getAttribute('xml:id') || noteEl.getAttribute('id') || ''
+    const tie = noteEl.getAttribute('tie') || eventEl.getAttribute('tie') || ''
+    const startsTie = tie.includes('i') || tie.includes('m') || state.tieStarts.has(id)
+    const endsTie = tie.includes('t') || tie.includes('m') || state.tieEnds.has(id)
+    const tieKey = `${state.partId}:${state.voice}:${pitch}`
+    const durationFraction = toFraction(ticks, TICKS_PER_QUARTER)
+
+    const marks = {}
+    const fermata = noteEl.getAttribute('fermata') || eventEl.getAttribute('fermata') || state.fermataIds.has(id)
+    if (fermata) marks.fermata = true
+    const artic = [noteEl.getAttribute('artic'), eventEl.getAttribute('artic'),
+      ...Array.from(noteEl.querySelectorAll('artic')).map(a => a.getAttribute('artic'))]
+      .filter(Boolean).join(' ').split(/\s+/).filter(Boolean)
+    if (artic.length > 0) {
+      marks.articulations = artic.map(a => ({ stacc: 'staccato', acc: 'accent', ten: 'tenuto' }[a] || a))
+      if (artic.includes('stacc')) marks.staccato = true
+      if (artic.includes('acc')) marks.accent = true
+    }
+
+    const openTie = endsTie ? state.context.ties.get(tieKey) : null
+    if (openTie && !isGrace) {
+      openTie.durationFraction = addFractions(openTie.durationFraction, durationFraction)
+      openTie.duration = openTie.durationFraction.numerator / openTie.durationFraction.denominator
+      openTie.tied = true
+      Object.assign(openTie, marks)
+      if (!startsTie) state.context.ties.delete(tieKey)
+      return
+    }
+
+    const note = {
+      pitch,
+      duration: ticks / TICKS_PER_QUARTER,
+      measureNumber: state.measureNumber,
+      beat: state.position / TICKS_PER_QUARTER,
+      beatFraction: toFraction(state.position, TICKS_PER_QUARTER),
+      durationFraction,
+      voice: state.voice,
+      staff: state.staff,
+      partId: state.partId,
+      dynamics: null,
+      ...marks
+    }
+    if (isGrace) note.grace = true
+    if (startsTie && !isGrace) state.context.ties.set(tieKey, note)
+    notes.push(note)
+  }
+
+  /**
+   * Sounding pitch: gestural accidental, written accidental (held for the
+   * rest of the measure), or the key signature
+   */
+  readPitch(noteEl, state) {
+    const pname = noteEl.getAttribute('pname')
+    const oct = noteEl.getAttribute('oct')
+    if (!pname || oct === null) return null
+
+    const step = pname.toUpperCase()
+    const accidEl = noteEl.querySelector('accid')
+    const gestural = noteEl.getAttribute('accid.ges') || accidEl?.getAttribute('accid.ges')
+    const written = noteEl.getAttribute('accid') || accidEl?.getAttribute('accid')
+    const barKey = `${state.staff}:${step}${oct}`
+
+    let alter
+    if (gestural && ACCIDENTALS[gestural] !== undefined) {
+      alter = ACCIDENTALS[gestural]
+    } else if (written && ACCIDENTALS[written] !== undefined) {
+      alter = ACCIDENTALS[written]
+      state.accidentals.set(barKey, alter)
+    } else if (state.accidentals.has(barKey)) {
+      alter = state.accidentals.get(barKey)
+    } else {
+      alter = keyAlter(step, state.context.keySignature.fifths)
+    }
+
+    const accidental = { '-2': 'bb', '-1': 'b', 0: '', 1: '#', 2: '##' }[alter] ?? ''
+    return `${step}${accidental}${oct}`
+  }
+
+  /**
+   * Rehearsal marks (<reh>) and section words (<dir>Trio</dir>) of a measure
+   */
+  extractSectionMarks(measureEl, measureNumber, context) {
+    const beatLength = 4 / context.timeSignature.beatType
+    return Array.from(measureEl.querySelectorAll('reh, dir'))
+      .map(el => createSectionMark(
+        el.tagName === 'reh' ? 'rehearsal' : 'words',
+        el.textContent,
+        ((parseFloat(el.getAttribute('tstamp')) || 1) - 1) * beatLength))
+      .filter(Boolean)
+      .map(mark => ({ ...mark, measureNumber }))
+  }
+
+  /**
+   * Titles, creators and rights from the MEI header
+   * @returns {Object} ScoreMetadata
+   */
+  extractMetadata(scoreEl) {
+    const head = this.xmlDoc.querySelector('meiHead')
+    const titleStmt = head?.querySelector('fileDesc > titleStmt')
+    const titles = Array.from(titleStmt?.querySelectorAll('title') || [])
+    const mainTitle = titles.find(t => !['subordinate', 'alternative'].includes(t.getAttribute('type'))) || titles[0]
+    const subTitle = titles.find(t => t.getAttribute('type') === 'subordinate')
+
+    const creators = []
+    const roles = ['composer', 'lyricist', 'librettist', 'arranger', 'editor']
+    head?.querySelectorAll(roles.join(', ')).forEach(el => {
+      creators.push({ type: el.tagName, name: el.textContent })
+    })
+    head?.querySelectorAll('persName[role], name[role]').forEach(el => {
+      const role = el.getAttribute('role').toLowerCase()
+      if (!creators.some(c => c.name.trim() === el.textContent.trim())) {
+        creators.push({ type: role, name: el.textContent })
+      }
+    })
+
+    const workEl = head?.querySelector('workList > work, workDesc > work')
+    const mdivEl = scoreEl.closest('mdiv')
+
+    return createMetadata({
+      title: mainTitle?.textContent,
+      workTitle: workEl?.querySelector('title')?.textContent,
+      workNumber: workEl?.querySelector('identifier')?.textContent,
+      movementTitle: subTitle?.textContent || mdivEl?.getAttribute('label'),
+      movementNumber: mdivEl?.getAttribute('n'),
+      creators,
+      rights: head?.querySelector('availability')?.textContent
+    })
+  }
+
+  /**
+   * Repeat barlines and jump marks of a measure
+   * @param {Object} context - running state; carries a double repeat on the
+   *   right barline over to the next measure
+   * @returns {Object|null}
+   */
+  extractNavigation(measureEl, context) {
+    const navigation = {}
+    const left = measureEl.getAttribute('left')
+    const right = measureEl.getAttribute('right')
+
+    if (left === 'rptstart' || left === 'rptboth' || context.repeatForwardPending) navigation.repeatForward = true
+    context.repeatForwardPending = right === 'rptboth'
+    if (right === 'rptend' || right === 'rptboth') {
+      navigation.repeatBackward = true
+      navigation.repeatTimes = 2
+    }
+
+    measureEl.querySelectorAll('dir, repeatMark').forEach(el => {
+      const text = (el.getAttribute('func') || el.textContent || '').trim().toLowerCase()
+      if (text === 'segno') navigation.segno = 'segno'
+      else if (text === 'coda') navigation.coda = 'coda'
+      else if (text === 'fine') navigation.fine = true
+      else if (text.startsWith('d.c.') || text.startsWith('dacapo') || text === 'da capo') navigation.daCapo = true
+      else if (text.startsWith('d.s.') || text.startsWith('dalsegno') || text === 'dal segno') navigation.dalSegno = 'segno'
+      else if (text.includes('to coda')) navigation.toCoda = 'coda'
+    })
+
+    return Object.keys(navigation).length > 0 ? navigation : null
+  }
+
+  /**
+   * Get the parsed score
+   */
+  getParsedScore() {
+    return this.parsedScore
+  }
+}
+
+export default MeiParser
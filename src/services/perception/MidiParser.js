@@ -0,0 +1,518 @@
+/**
+ * MIDI Parser - Perception Layer
+ * Parses Standard MIDI Files (.mid/.midi) into the same ParsedScore shape
+ * as the MusicXML parser, so analysis and mapping work from a MIDI upload
+ */
+
+import {
+  toFraction,
+  applyTempoMap,
+  extractTempoMap,
+  extractMeterMap,
+  extractKeyMap,
+  buildPerformanceTimeline
+} from './scoreTimeline.js'
+import { reportDiagnostic, reportTempoFallback } from './diagnostics.js'
+import { createMetadata, createSectionMark } from './scoreMetadata.js'
+
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B']
+
+// MIDI channel 10 carries General MIDI percussion, which has no pitch
+const PERCUSSION_CHANNEL = 9
+
+// General MIDI percussion key → drum-staff position and instrument name
+const GM_PERCUSSION = {
+  35: ['F', 4, 'Acoustic Bass Drum'],
+  36: ['F', 4, 'Bass Drum'],
+  37: ['C', 5, 'Side Stick'],
+  38: ['C', 5, 'Acoustic Snare'],
+  39: ['C', 5, 'Hand Clap'],
+  40: ['C', 5, 'Electric Snare'],
+  41: ['A', 4, 'Low Floor Tom'],
+  42: ['G', 5, 'Closed Hi-Hat'],
+  43: ['A', 4, 'High Floor Tom'],
+  44: ['D', 4, 'Pedal Hi-Hat'],
+  45: ['B', 4, 'Low Tom'],
+  46: ['G', 5, 'Open Hi-Hat'],
+  47: ['D', 5, 'Low-Mid Tom'],
+  48: ['E', 5, 'Hi-Mid Tom'],
+  49: ['A', 5, 'Crash Cymbal 1'],
+  50: ['F', 5, 'High Tom'],
+  51: ['F', 5, 'Ride Cymbal 1'],
+  53: ['F', 5, 'Ride Bell'],
+  54: ['E', 5, 'Tambourine'],
+  56: ['E', 5, 'Cowbell'],
+  57: ['A', 5, 'Crash Cymbal 2'],
+  59: ['F', 5, 'Ride Cymbal 2']
+}
+
+export class MidiParser {
+  /**
+   * @param {Object} [options]
+   * @param {number[]} [options.subdivisions] - grids tried when quantizing onsets,
+   *   as divisions of a quarter note (4 = sixteenths, 3 = eighth-note triplets)
+   */
+  constructor(options = {}) {
+    this.subdivisions = options.subdivisions || [4, 3]
+    this.parsedScore = null
+    this.diagnostics = []
+  }
+
+  /**
+   * Record a place where the parser had to guess
+   */
+  report(severity, code, message, location) {
+    reportDiagnostic(this.diagnostics, severity, code, message, location)
+  }
+
+  /**
+   * Parse a Standard MIDI File
+   * @param {File} file
+   * @returns {Promise<Object>} ParsedScore
+   */
+  async parse(file) {
+    const fileName = file.name.toLowerCase()
+    if (!fileName.endsWith('.mid') && !fileName.endsWith('.midi')) {
+      throw new Error('Unsupported file format. Please use .mid or .midi files.')
+    }
+
+    this.diagnostics = []
+    const data = new Uint8Array(await file.arrayBuffer())
+    const { format, ticksPerQuarter, tracks } = this.readFile(data)
+
+    const events = this.collectEvents(tracks, ticksPerQuarter)
+    const measures = this.buildMeasures(events)
+    const parts = this.buildParts(events, measures)
+
+    measures.forEach(measure => {
+      measure.notes = parts
+        .flatMap(part => part.notes.filter(n => n.measureNumber === measure.number))
+        .sort((a, b) => a.beat - b.beat)
+      measure.partIds = parts.filter(part => part.notes.some(n => n.measureNumber === measure.number)).map(p => p.id)
+    })
+    reportTempoFallback(this.diagnostics, measures)
+    applyTempoMap(measures)
+
+    this.parsedScore = {
+      measures,
+      notes: measures.flatMap(m => m.notes),
+      keySignature: measures[0]?.keySignature || { fifths: 0, mode: 'major' },
+      timeSignature: measures[0]?.timeSignature || { beats: 4, beatType: 4 },
+      tempo: measures[0]?.tempo || 120,
+      tempoMap: extractTempoMap(measures),
+      meterMap: extractMeterMap(measures),
+      keyMap: extractKeyMap(measures),
+      chords: [],
+      metadata: this.buildMetadata(events, format),
+      sectionMarks: measures.flatMap(m => m.sectionMarks),
+      parts: parts.map(part => ({
+        id: part.id,
+        name: part.name,
+        measureCount: measures.length,
+        staves: [1],
+        instruments: part.instruments,
+        percussion: part.percussion,
+        transpose: null,
+        notes: part.notes
+      })),
+      performance: buildPerformanceTimeline(measures),
+      diagnostics: this.diagnostics
+    }
+
+    return this.parsedScore
+  }
+
+  /**
+   * Read the header and track chunks
+   * @returns {Object} { format, ticksPerQuarter, tracks: [[{ tick, ...event }]] }
+   */
+  readFile(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+    const chunkId = offset => String.fromCharCode(...data.subarray(offset, offset + 4))
+
+    if (data.length < 14 || chunkId(0) !== 'MThd') {
+      throw new Error('Invalid MIDI file: missing MThd header')
+    }
+
+    const headerLength = view.getUint32(4)
+    const format = view.getUint16(8)
+    const trackCount = view.getUint16(10)
+    const division = view.getUint16(12)
+
+    // SMPTE division counts ticks per second; read it as ticks per quarter at 120 BPM
+    let ticksPerQuarter = division
+    if (division & 0x8000) {
+      const framesPerSecond = 256 - (division >> 8)
+      ticksPerQuarter = framesPerSecond * (division & 0xff) / 2
+      this.report('warning', 'smpte-division', 'File is timed in SMPTE frames, not beats; beats are derived from a fixed tempo',
+        { fallback: '120 BPM' })
+    }
+    if (!ticksPerQuarter) {
+      throw new Error('Invalid MIDI file: zero time division')
+    }
+
+    const tracks = []
+    let offset = 8 + headerLength
+    while (offset + 8 <= data.length && tracks.length < trackCount) {
+      const length = view.getUint32(offset + 4)
+      const end = Math.min(data.length, offset + 8 + length)
+      if (chunkId(offset) === 'MTrk') {
+        tracks.push(this.readTrack(data, offset + 8, end))
+      }
+      offset = end
+    }
+
+    if (tracks.length < trackCount) {
+      this.report('warning', 'missing-tracks', `Header announces ${trackCount} tracks but only ${tracks.length} were found`,
+        { fallback: `${tracks.length} tracks` })
+    }
+
+    return { format, ticksPerQuarter, tracks }
+  }
+
+  /**
+   * Decode the events of one MTrk chunk (running status supported)
+   */
+  readTrack(data, start, end) {
+    const events = []
+    let offset = start
+    let tick = 0
+    let runningStatus = 0
+
+    const readVarLength = () => {
+      let value = 0
+      let byte
+      do {
+        byte = data[offset++]
+        value = (value << 7) | (byte & 0x7f)
+      } while (byte & 0x80 && offset < end)
+      return value
+    }
+
+    while (offset < end) {
+      tick += readVarLength()
+      let status = data[offset]
+      if (status & 0x80) {
+        offset++
+      } else {
+        status = runningStatus
+      }
+
+      if (status === 0xff) {
+        const type = data[offset++]
+        const length = readVarLength()
+        const bytes = data.subarray(offset, offset + length)
+        offset += length
+        if (type === 0x2f) break
+        events.push({ tick, meta: type, bytes })
+      } else if (status === 0xf0 || status === 0xf7) {
+        offset += readVarLength()
+      } else {
+        runningStatus = status
+        const type = status & 0xf0
+        const channel = status & 0x0f
+        const data1 = data[offset++]
+        const data2 = type === 0xc0 || type === 0xd0 ? 0 : data[offset++]
+        events.push({ tick, type, channel, data1, data2 })
+      }
+    }
+
+    return events
+  }
+
+  /**
+   * Pair note-on/note-off events and gather tempo, meter, key and name meta events.
+   * Times are converted to quarter notes.
+   */
+  collectEvents(tracks, ticksPerQuarter) {
+    const notes = []
+    const tempos = []
+    const meters = []
+    const keys = []
+    const trackNames = []
+    const texts = []
+    let copyright = null
+    const programs = new Map()
+
+    tracks.forEach((events, trackIndex) => {
+      const open = new Map()
+
+      events.forEach(event => {
+        const time = event.tick / ticksPerQuarter
+
+        if (event.meta === 0x51 && event.bytes.length >= 3) {
+          const microseconds = (event.bytes[0] << 16) | (event.bytes[1] << 8) | event.bytes[2]
+          if (microseconds > 0) tempos.push({ time, bpm: Math.round(60000000 / microseconds * 100) / 100 })
+        } else if (event.meta === 0x58 && event.bytes.length >= 2) {
+          meters.push({ time, beats: event.bytes[0] || 4, beatType: 2 ** event.bytes[1] })
+        } else if (event.meta === 0x59 && event.bytes.length >= 2) {
+          const fifths = event.bytes[0] > 127 ? event.bytes[0] - 256 : event.bytes[0]
+          keys.push({ time, fifths, mode: event.bytes[1] === 1 ? 'minor' : 'major' })
+        } else if ((event.meta === 0x03 || event.meta === 0x04) && !trackNames[trackIndex]) {
+          trackNames[trackIndex] = new TextDecoder().decode(event.bytes).trim() || null
+        } else if (event.meta === 0x06 || event.meta === 0x01) {
+          // Markers are rehearsal marks; plain text events may name a section
+          texts.push({ time, type: event.meta === 0x06 ? 'rehearsal' : 'words', text: new TextDecoder().decode(event.bytes) })
+        } else if (event.meta === 0x02 && !copyright) {
+          copyright = new TextDecoder().decode(event.bytes).trim() || null
+        } else if (event.type === 0xc0) {
+          programs.set(`${trackIndex}:${event.channel}`, event.data1)
+        } else if (event.type === 0x90 || event.type === 0x80) {
+          const key = `${event.channel}:${event.data1}`
+          if (event.type === 0x90 && event.data2 > 0) {
+            if (!open.has(key)) open.set(key, [])
+            open.get(key).push({ time, velocity: event.data2 })
+          } else {
+            const started = open.get(key)?.shift()
+            if (started) {
+              notes.push({
+                track: trackIndex,
+                channel: event.channel,
+                midi: event.data1,
+                start: started.time,
+                end: time,
+                velocity: started.velocity
+              })
+            }
+          }
+        }
+      })
+
+      // Notes still sounding when the track ends
+      const trackEnd = (events[events.length - 1]?.tick || 0) / ticksPerQuarter
+      open.forEach((started, key) => {
+        const [channel, midi] = key.split(':').map(Number)
+        if (started.length > 0) {
+          this.report('warning', 'unterminated-note', 'Note-on without a matching note-off',
+            { part: trackNames[trackIndex] || `Track ${trackIndex + 1}`, fallback: 'held to the end of the track' })
+        }
+        started.forEach(s => notes.push({
+          track: trackIndex, channel, midi, start: s.time, end: Math.max(trackEnd, s.time), velocity: s.velocity
+        }))
+      })
+    })
+
+    const byTime = (a, b) => a.time - b.time
+    return {
+      notes: notes.sort((a, b) => a.start - b.start || a.midi - b.midi),
+      tempos: tempos.sort(byTime),
+      meters: meters.sort(byTime),
+      keys: keys.sort(byTime),
+      texts: texts.sort(byTime),
+      trackNames,
+      copyright,
+      programs
+    }
+  }
+
+  /**
+   * Lay out the measure grid from the time signature events.
+   * A meter change takes effect at the first barline at or after it.
+   */
+  buildMeasures({ notes, tempos, meters, keys, texts }) {
+    const lastTime = Math.max(0, ...notes.map(n => this.quantize(n.end)))
+    const measures = []
+    let startBeat = 0
+    let timeSignature = { beats: 4, beatType: 4 }
+    let keySignature = { fifths: 0, mode: 'major' }
+
+    if (!(meters[0]?.time <= 1e-9)) {
+      this.report('warning', 'missing-time', 'No time signature at the start; bars are laid out in 4/4 until one appears',
+        { measure: 1, fallback: '4/4' })
+    }
+    if (!(keys[0]?.time <= 1e-9)) {
+      this.report('info', 'missing-key', 'No key signature at the start; pitches are spelled in C major',
+        { measure: 1, fallback: 'C major' })
+    }
+
+    while (startBeat < lastTime || measures.length === 0) {
+      const atOrBefore = event => event.time <= startBeat + 1e-9
+      const meter = meters.filter(atOrBefore).at(-1)
+      if (meter) timeSignature = { beats: meter.beats, beatType: meter.beatType }
+      const key = keys.filter(atOrBefore).at(-1)
+      if (key) keySignature = { fifths: key.fifths, mode: key.mode }
+
+      const length = timeSignature.beats * 4 / timeSignature.beatType
+      const endBeat = startBeat + length
+      const number = measures.length + 1
+
+      measures.push({
+        number,
+        label: String(number),
+        notes: [],
+        partIds: [],
+        navigation: null,
+        timeSignature,
+        keySignature,
+        tempoEvents: tempos
+          .filter(t => t.time >= startBeat - 1e-9 && t.time < endBeat - 1e-9)
+          .map(t => ({ beat: Math.max(0, this.quantize(t.time) - startBeat), bpm: t.bpm })),
+        chords: [],
+        sectionMarks: texts
+          .filter(t => t.time >= startBeat - 1e-9 && t.time < endBeat - 1e-9)
+          .map(t => createSectionMark(t.type, t.text, Math.max(0, this.quantize(t.time) - startBeat)))
+          .filter(Boolean)
+          .map(mark => ({ ...mark, measureNumber: number })),
+        startBeat,
+        endBeat
+      })
+
+      startBeat = endBeat
+    }
+
+    return measures
+  }
+
+  /**
+   * Title and rights from meta events. The first track's name is the title
+   * in single-track files and when it is a conductor track without notes.
+   */
+  buildMetadata({ notes, trackNames, copyright }, format) {
+    const conductorOnly = !notes.some(n => n.track === 0)
+    return createMetadata({
+      title: format === 0 || conductorOnly ? trackNames[0] : null,
+      rights: copyright
+    })
+  }
+
+  /**
+   * Map each track/channel pair to a part (format 0 files split by channel)
+   * and turn their notes into quantized Note objects
+   */
+  buildParts({ notes, trackNames, programs }, measures) {
+    const groups = new Map()
+    notes.forEach(note => {
+      const key = `${note.track}:${note.channel}`
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(note)
+    })
+
+    const channelsPerTrack = {}
+    groups.forEach((_, key) => {
+      const track = key.split(':')[0]
+      channelsPerTrack[track] = (channelsPerTrack[track] || 0) + 1
+    })
+
+    const ordered = [...groups.entries()].sort(([a], [b]) => {
+      const [trackA, channelA] = a.split(':').map(Number)
+      const [trackB, channelB] = b.split(':').map(Number)
+      return trackA - trackB || channelA - channelB
+    })
+
+    return ordered.map(([key, groupNotes], index) => {
+      const [track, channel] = key.split(':').map(Number)
+      const id = `P${index + 1}`
+      const trackName = trackNames[track] || `Track ${track + 1}`
+      const program = programs.get(key)
+      const percussion = channel === PERCUSSION_CHANNEL
+      const name = channelsPerTrack[track] > 1
+        ? `${trackName} (Ch. ${channel + 1})`
+        : trackNames[track] || (percussion ? 'Percussion' : program !== undefined ? `Program ${program + 1}` : trackName)
+
+      return {
+        id,
+        name,
+        percussion,
+        instruments: percussion ? this.percussionInstruments(groupNotes) : [],
+        notes: groupNotes
+          .map(note => this.toNote(note, measures, id, percussion))
+          .filter(Boolean)
+      }
+    })
+  }
+
+  /**
+   * Drum instruments played in a percussion part, in key order
+   * @returns {Object[]} [{ id, name, midiUnpitched }] (midiUnpitched is 1-based, as in MusicXML)
+   */
+  percussionInstruments(midiNotes) {
+    return [...new Set(midiNotes.map(n => n.midi))]
+      .sort((a, b) => a - b)
+      .map(midi => ({ id: `gm-${midi}`, name: GM_PERCUSSION[midi]?.[2] || `Percussion ${midi}`, midiUnpitched: midi + 1 }))
+  }
+
+  /**
+   * Convert a paired MIDI note to a Note on the measure grid.
+   * Percussion keys become unpitched notes (drum-staff position + instrument).
+   */
+  toNote(midiNote, measures, partId, percussion = false) {
+    const onset = this.quantize(midiNote.start)
+    const grid = this.bestSubdivision(midiNote.start)
+    const end = Math.max(this.quantize(midiNote.end), onset + 1 / grid)
+
+    const measure = measures.find(m => onset >= m.startBeat - 1e-9 && onset < m.endBeat - 1e-9) ||
+      measures[measures.length - 1]
+    if (!measure) return null
+
+    // Rounded to the common grid so triplet positions compare equal
+    const denominator = this.subdivisions.reduce((product, sub) => product * sub, 1)
+    const beat = Math.round((onset - measure.startBeat) * denominator) / denominator
+    const duration = Math.round((end - onset) * denominator) / denominator
+
+    // More than a 64th note off the grid: played rather than sequenced timing
+    if (Math.abs(onset - midiNote.start) > 1 / 16) {
+      this.report('info', 'quantized-onsets', 'Onsets off the sixteenth/triplet grid were snapped to it',
+        { measure: measure.label, part: partId, fallback: 'nearest grid position' })
+    }
+
+    const [displayStep, displayOctave] = GM_PERCUSSION[midiNote.midi] || ['B', 4]
+    return {
+      pitch: percussion ? null : this.midiToPitch(midiNote.midi, measure.keySignature),
+      ...(percussion && {
+        unpitched: { displayStep, displayOctave, instrument: `gm-${midiNote.midi}` },
+        percussion: true
+      }),
+      duration,
+      measureNumber: measure.number,
+      beat,
+      beatFraction: toFraction(Math.round(beat * denominator), denominator),
+      durationFraction: toFraction(Math.round(duration * denominator), denominator),
+      voice: 1,
+      staff: 1,
+      partId,
+      dynamics: null
+    }
+  }
+
+  /**
+   * Snap a time (quarter notes) to the closest point on the best-fitting grid
+   */
+  quantize(time) {
+    const grid = this.bestSubdivision(time)
+    return Math.round(time * grid) / grid
+  }
+
+  /**
+   * Subdivision whose grid lies closest to the time (first one wins ties)
+   */
+  bestSubdivision(time) {
+    let best = this.subdivisions[0]
+    let bestError = Infinity
+    this.subdivisions.forEach(sub => {
+      const error = Math.abs(time * sub - Math.round(time * sub)) / sub
+      if (error < bestError - 1e-9) {
+        best = sub
+        bestError = error
+      }
+    })
+    return best
+  }
+
+  /**
+   * Spell a MIDI note number, using flats in flat keys (60 = C4)
+   */
+  midiToPitch(midi, keySignature = { fifths: 0 }) {
+    const names = keySignature.fifths < 0 ? FLAT_NAMES : SHARP_NAMES
+    return `${names[midi % 12]}${Math.floor(midi / 12) - 1}`
+  }
+
+  /**
+   * Get the parsed score
+   */
+  getParsedScore() {
+    return this.parsedScore
+  }
+}
+
+export default MidiParser
@@ -4,11 +4,86 @@
  */
 
 import JSZip from 'jszip'
+import {
+  toFraction,
+  addFractions,
+  applyTempoMap,
+  extractTempoMap,
+  extractMeterMap,
+  extractKeyMap,
+  buildPerformanceTimeline
+} from './scoreTimeline.js'
+import { reportDiagnostic, reportTempoFallback } from './diagnostics.js'
+import { createMetadata, createSectionMark, mergeSectionMarks } from './scoreMetadata.js'
+
+// Chord spelling helpers (pitch classes relative to the root)
+const STEPS = ['C', 'D', 'E', 'F', 'G', 'A', 'B']
+const STEP_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B']
+
+const CHORD_KINDS = {
+  major: { intervals: [0, 4, 7], suffix: '' },
+  minor: { intervals: [0, 3, 7], suffix: 'm' },
+  augmented: { intervals: [0, 4, 8], suffix: '+' },
+  diminished: { intervals: [0, 3, 6], suffix: 'dim' },
+  dominant: { intervals: [0, 4, 7, 10], suffix: '7' },
+  'major-seventh': { intervals: [0, 4, 7, 11], suffix: 'maj7' },
+  'minor-seventh': { intervals: [0, 3, 7, 10], suffix: 'm7' },
+  'diminished-seventh': { intervals: [0, 3, 6, 9], suffix: 'dim7' },
+  'augmented-seventh': { intervals: [0, 4, 8, 10], suffix: '+7' },
+  'half-diminished': { intervals: [0, 3, 6, 10], suffix: 'm7b5' },
+  'major-minor': { intervals: [0, 3, 7, 11], suffix: 'm(maj7)' },
+  'major-sixth': { intervals: [0, 4, 7, 9], suffix: '6' },
+  'minor-sixth': { intervals: [0, 3, 7, 9], suffix: 'm6' },
+  'dominant-ninth': { intervals: [0, 4, 7, 10, 2], suffix: '9' },
+  'major-ninth': { intervals: [0, 4, 7, 11, 2], suffix: 'maj9' },
+  'minor-ninth': { intervals: [0, 3, 7, 10, 2], suffix: 'm9' },
+  'dominant-11th': { intervals: [0, 4, 7, 10, 2, 5], suffix: '11' },
+  'major-11th': { intervals: [0, 4, 7, 11, 2, 5], suffix: 'maj11' },
+  'minor-11th': { intervals: [0, 3, 7, 10, 2, 5], suffix: 'm11' },
+  'dominant-13th': { intervals: [0, 4, 7, 10, 2, 9], suffix: '13' },
+  'major-13th': { intervals: [0, 4, 7, 11, 2, 9], suffix: 'maj13' },
+  'minor-13th': { intervals: [0, 3, 7, 10, 2, 9], suffix: 'm13' },
+  'suspended-second': { intervals: [0, 2, 7], suffix: 'sus2' },
+  'suspended-fourth': { intervals: [0, 5, 7], suffix: 'sus4' },
+  power: { intervals: [0, 7], suffix: '5' },
+  pedal: { intervals: [0], suffix: 'ped' },
+  none: { intervals: [], suffix: 'N.C.' }
+}
+
+// Semitones above the root of chord-symbol degrees (7 is the minor seventh)
+const DEGREE_SEMITONES = { 1: 0, 2: 2, 3: 4, 4: 5, 5: 7, 6: 9, 7: 10, 9: 2, 11: 5, 13: 9 }
+
+const ALTER_ACCIDENTALS = { '-2': 'bb', '-1': 'b', 0: '', 1: '#', 2: '##' }
+
+const pitchClassOf = (step, alter = 0) => ((STEP_PITCH_CLASSES[step] + alter) % 12 + 12) % 12
+
+const spell = (step, alter = 0) => `${step}${ALTER_ACCIDENTALS[alter] ?? ''}`
+
+// Alteration a key signature applies to a step
+const keyAlter = (step, fifths = 0) => {
+  if (fifths > 0) return SHARP_ORDER.slice(0, fifths).includes(step) ? 1 : 0
+  if (fifths < 0) return [...SHARP_ORDER].reverse().slice(0, -fifths).includes(step) ? -1 : 0
+  return 0
+}
 
 export class MusicXMLParser {
   constructor() {
     this.xmlDoc = null
     this.parsedScore = null
+    this.partTimelines = null
+    this.diagnostics = []
+  }
+
+  /**
+   * Record a place where the parser had to guess
+   * @param {'error'|'warning'|'info'} severity
+   * @param {string} code
+   * @param {string} message
+   * @param {Object} [location] - { measure, part, fallback }
+   */
+  report(severity, code, message, location) {
+    reportDiagnostic(this.diagnostics, severity, code, message, location)
   }
 
   /**
@@ -36,13 +111,29 @@ export class MusicXMLParser {
       throw new Error('Invalid MusicXML file: ' + parseError.textContent)
     }
 
+    this.partTimelines = null
+    this.diagnostics = []
+
+    const measures = this.extractMeasures()
+    if (measures.length === 0) {
+      this.report('error', 'no-measures', 'The score contains no measures', { fallback: 'empty score' })
+    }
+
     this.parsedScore = {
-      measures: this.extractMeasures(),
-      notes: this.extractNotes(),
-      keySignature: this.extractKeySignature(),
-      timeSignature: this.extractTimeSignature(),
-      tempo: this.extractTempo(),
-      parts: this.extractParts()
+      measures,
+      notes: this.extractNotes(measures),
+      keySignature: measures[0]?.keySignature || this.extractKeySignature(),
+      timeSignature: measures[0]?.timeSignature || this.extractTimeSignature(),
+      tempo: measures[0]?.tempo || this.extractTempo(),
+      tempoMap: extractTempoMap(measures),
+      meterMap: extractMeterMap(measures),
+      keyMap: extractKeyMap(measures),
+      chords: measures.flatMap(m => m.chords),
+      metadata: this.extractMetadata(),
+      sectionMarks: measures.flatMap(m => m.sectionMarks),
+      parts: this.extractParts(),
+      performance: buildPerformanceTimeline(measures),
+      diagnostics: this.diagnostics
     }
 
     return this.parsedScore
@@ -77,148 +168,1060 @@ export class MusicXMLParser {
   }
 
   /**
-   * Extract all measures from the score
+   * Extract all measures from the score as a shared measure grid.
+   * Each <part> carries its own measure timeline; the timelines are
+   * merged by position so measure N holds the notes of every part.
+   * Beat positions are counted in quarter notes.
    */
   extractMeasures() {
+    this.partTimelines = this.extractPartTimelines()
+    const measureCount = Math.max(0, ...this.partTimelines.map(p => p.measures.length))
+
+    this.partTimelines.forEach(part => {
+      if (part.measures.length < measureCount) {
+        this.report('warning', 'measure-count-mismatch',
+          `Part has ${part.measures.length} of ${measureCount} measures; the missing measures are left empty`,
+          { measure: part.measures.at(-1)?.label ?? null, part: part.id, fallback: 'empty measures' })
+      }
+    })
+
     const measures = []
-    const measureElements = this.xmlDoc.querySelectorAll('measure')
-    
     let currentBeat = 0
-    const timeSignature = this.extractTimeSignature()
-    const beatsPerMeasure = timeSignature.beats
 
-    measureElements.forEach((measureEl, index) => {
-      const measureNumber = parseInt(measureEl.getAttribute('number')) || index + 1
-      const notes = this.extractNotesFromMeasure(measureEl, measureNumber)
-      
+    for (let index = 0; index < measureCount; index++) {
+      const partMeasures = this.partTimelines
+        .map(part => part.measures[index])
+        .filter(Boolean)
+
+      // Meter comes from the first part, key from the first pitched part;
+      // tempo marks may sit in any part
+      const timeSignature = partMeasures[0].timeSignature
+      const keySignature = (partMeasures.find(pm => !pm.percussion) || partMeasures[0]).keySignature
+      const tempoEvents = this.mergeTempoEvents(partMeasures.flatMap(pm => pm.tempoEvents))
+      const nominalLength = timeSignature.beats * 4 / timeSignature.beatType
+
+      // Pickup and other implicit measures last only as long as their content
+      const contentLength = Math.max(0, ...partMeasures.map(pm => pm.contentLength || 0))
+      const isShort = partMeasures[0].implicit && contentLength > 0 && contentLength < nominalLength
+      const length = isShort ? contentLength : nominalLength
+
+      partMeasures.forEach(pm => {
+        if (pm.contentLength > nominalLength) {
+          this.report('warning', 'measure-overflow',
+            `Notes run past the ${timeSignature.beats}/${timeSignature.beatType} time signature`,
+            { measure: pm.label, part: pm.partId, fallback: 'meter length kept; extra notes overlap the next measure' })
+        }
+      })
+
       measures.push({
-        number: measureNumber,
-        notes: notes,
+        number: index + 1,
+        label: partMeasures[0]?.label || String(index + 1),
+        notes: partMeasures.flatMap(pm => pm.notes),
+        partIds: partMeasures.map(pm => pm.partId),
+        navigation: partMeasures.find(pm => pm.navigation)?.navigation || null,
+        timeSignature,
+        keySignature,
+        tempoEvents,
+        chords: this.mergeChordEvents(partMeasures.flatMap(pm => pm.chords), index + 1, length),
+        sectionMarks: mergeSectionMarks(partMeasures.flatMap(pm => pm.sectionMarks))
+          .map(mark => ({ ...mark, measureNumber: index + 1 })),
         startBeat: currentBeat,
-        endBeat: currentBeat + beatsPerMeasure
+        endBeat: currentBeat + length
       })
-      
-      currentBeat += beatsPerMeasure
-    })
+
+      currentBeat += length
+    }
+
+    reportTempoFallback(this.diagnostics, measures)
+    applyTempoMap(measures)
 
     return measures
   }
 
   /**
-   * Extract notes from a specific measure element
+   * Build one measure timeline per <part> element
+   * @returns {Object[]} [{ id, measures: [{ number, label, partId, notes, ... }] }]
+   */
+  extractPartTimelines() {
+    const partElements = Array.from(this.xmlDoc.querySelectorAll('part'))
+
+    return partElements.map((partEl, partIndex) => {
+      const partId = partEl.getAttribute('id') || `P${partIndex + 1}`
+      const measureElements = partEl.querySelectorAll('measure')
+      const percussion = partEl.querySelector('unpitched') !== null ||
+        Array.from(partEl.querySelectorAll('clef sign')).some(el => el.textContent.trim() === 'percussion')
+
+      // Attributes carry over from measure to measure until changed;
+      // open ties also continue across barlines
+      const context = {
+        divisions: 1,
+        timeSignature: { beats: 4, beatType: 4 },
+        keySignature: { fifths: 0, mode: 'major' },
+        writtenKey: { fifths: 0, mode: 'major' },
+        transpose: null,
+        percussion,
+        ties: new Map(),
+        found: new Set()
+      }
+
+      const measures = Array.from(measureElements).map((measureEl, index) => {
+        // Measures are numbered by grid position; the written number
+        // (which may be 0 for a pickup or non-numeric) is kept as label
+        const measureNumber = index + 1
+        this.updateMeasureContext(measureEl, context)
+        if (index === 0) this.reportMissingAttributes(context, measureEl, partId)
+        const notes = this.extractNotesFromMeasure(measureEl, measureNumber, partId, context)
+
+        return {
+          number: measureNumber,
+          label: measureEl.getAttribute('number') || String(measureNumber),
+          partId,
+          notes,
+          percussion,
+          implicit: measureEl.getAttribute('implicit') === 'yes',
+          contentLength: context.measureLength,
+          navigation: this.extractNavigation(measureEl),
+          timeSignature: context.timeSignature,
+          keySignature: context.keySignature,
+          tempoEvents: this.extractTempoEvents(measureEl, context.divisions),
+          chords: this.extractChordEvents(measureEl, context, partId),
+          sectionMarks: this.extractSectionMarks(measureEl, context.divisions)
+        }
+      })
+
+      context.ties.forEach(note => {
+        this.report('info', 'open-tie', 'Tie starts but never ends; the note keeps its written length',
+          { measure: measures[note.measureNumber - 1]?.label, part: partId, fallback: 'untied note' })
+      })
+
+      return { id: partId, measures, percussion, transpose: context.transpose }
+    })
+  }
+
+  /**
+   * Report the attributes a part starts without (divisions, meter, key)
+   */
+  reportMissingAttributes(context, measureEl, partId) {
+    const location = { measure: measureEl.getAttribute('number'), part: partId }
+    if (!context.found.has('divisions')) {
+      this.report('warning', 'missing-divisions', 'No <divisions>; durations are read as quarter notes',
+        { ...location, fallback: '1 division per quarter' })
+    }
+    if (!context.found.has('time')) {
+      this.report('warning', 'missing-time', 'No time signature; measures are assumed to be 4/4',
+        { ...location, fallback: '4/4' })
+    }
+    // Percussion parts have no key to miss
+    if (!context.found.has('key') && !context.percussion) {
+      this.report('info', 'missing-key', 'No key signature; the key is assumed to be C major',
+        { ...location, fallback: 'C major' })
+    }
+  }
+
+  /**
+   * Apply the <attributes> of a measure (divisions, time, key, transpose) to the running context
+   */
+  updateMeasureContext(measureEl, context) {
+    const attributesEl = measureEl.querySelector('attributes')
+    if (!attributesEl) return
+
+    const divisions = parseInt(attributesEl.querySelector('divisions')?.textContent)
+    if (divisions > 0) {
+      context.divisions = divisions
+      context.found.add('divisions')
+    }
+
+    const timeEl = attributesEl.querySelector('time')
+    if (timeEl && timeEl.querySelector('beats')) {
+      context.timeSignature = this.parseTimeElement(timeEl)
+      context.found.add('time')
+    }
+
+    const transposeEl = attributesEl.querySelector('transpose')
+    if (transposeEl) {
+      context.transpose = this.parseTranspose(transposeEl)
+    }
+
+    // Transposing parts are written in their own key; analysis uses concert pitch
+    const keyEl = attributesEl.querySelector('key')
+    if (keyEl && keyEl.querySelector('fifths')) {
+      context.writtenKey = this.parseKeyElement(keyEl)
+      context.found.add('key')
+    }
+    if (keyEl || transposeEl) {
+      context.keySignature = this.toConcertKey(context.writtenKey, context.transpose)
+    }
+  }
+
+  /**
+   * Collect tempo marks of a measure with their offset (quarter notes)
+   * @returns {Object[]} [{ beat, bpm, source }]
+   */
+  extractTempoEvents(measureEl, divisions) {
+    const events = []
+
+    this.walkMeasure(measureEl).forEach(({ element, position }) => {
+      const tag = element.tagName
+      if (tag !== 'direction' && tag !== 'sound') return
+
+      const soundEl = tag === 'sound' ? element : element.querySelector('sound[tempo]')
+      const soundTempo = parseFloat(soundEl?.getAttribute('tempo'))
+      const metronomeBpm = tag === 'direction' ? this.parseMetronome(element.querySelector('metronome')) : null
+      const beat = position / divisions
+
+      if (soundTempo > 0) {
+        events.push({ beat, bpm: soundTempo, source: 'sound' })
+      } else if (metronomeBpm) {
+        events.push({ beat, bpm: metronomeBpm, source: 'metronome' })
+      }
+    })
+
+    return events
+  }
+
+  /**
+   * Collect rehearsal marks and section words (<words>Trio</words>) of a measure
+   * with their offset (quarter notes)
+   * @returns {Object[]} [{ type, text, section, beat }]
+   */
+  extractSectionMarks(measureEl, divisions) {
+    const marks = []
+
+    this.walkMeasure(measureEl).forEach(({ element, position }) => {
+      if (element.tagName !== 'direction') return
+      element.querySelectorAll('direction-type > rehearsal, direction-type > words').forEach(textEl => {
+        const mark = createSectionMark(textEl.tagName === 'rehearsal' ? 'rehearsal' : 'words', textEl.textContent, position / divisions)
+        if (mark) marks.push(mark)
+      })
+    })
+
+    return marks
+  }
+
+  /**
+   * Work and movement titles, creators and rights. Credits on the first
+   * page stand in for a missing title or composer; untyped credits are read
+   * by layout (largest centred text is the title, the next centred one the
+   * subtitle, right-justified text the composer).
+   * @returns {Object} ScoreMetadata
+   */
+  extractMetadata() {
+    const root = this.xmlDoc.documentElement
+    const childText = (parent, tag) => Array.from(parent?.children || []).find(c => c.tagName === tag)?.textContent || null
+    const workEl = Array.from(root.children).find(c => c.tagName === 'work')
+    const identificationEl = Array.from(root.children).find(c => c.tagName === 'identification')
+
+    const creators = Array.from(identificationEl?.querySelectorAll('creator') || [])
+      .map(el => ({ type: el.getAttribute('type') || 'composer', name: el.textContent }))
+
+    const credits = Array.from(root.children)
+      .filter(c => c.tagName === 'credit')
+      .filter(el => (el.getAttribute('page') || '1') === '1')
+      .map(el => {
+        const wordsEls = Array.from(el.querySelectorAll('credit-words'))
+        return {
+          type: el.querySelector('credit-type')?.textContent || null,
+          text: wordsEls.map(w => w.textContent.trim()).join(' '),
+          justify: wordsEls[0]?.getAttribute('justify') || wordsEls[0]?.getAttribute('halign') || null,
+          fontSize: parseFloat(wordsEls[0]?.getAttribute('font-size')) || 0
+        }
+      })
+      .filter(credit => credit.text)
+
+    if (!credits.some(c => c.type)) {
+      const centred = credits.filter(c => c.justify === 'center').sort((a, b) => b.fontSize - a.fontSize)
+      if (centred[0]) centred[0].type = 'title'
+      if (centred[1]) centred[1].type = 'subtitle'
+      const right = credits.find(c => c.justify === 'right')
+      if (right) right.type = 'composer'
+    }
+    const creditOf = type => credits.find(c => c.type === type)?.text || null
+
+    if (creators.length === 0 && creditOf('composer')) {
+      creators.push({ type: 'composer', name: creditOf('composer') })
+    }
+
+    return createMetadata({
+      workTitle: childText(workEl, 'work-title'),
+      workNumber: childText(workEl, 'work-number'),
+      movementTitle: childText(root, 'movement-title') || creditOf('subtitle'),
+      movementNumber: childText(root, 'movement-number'),
+      title: childText(workEl, 'work-title') || childText(root, 'movement-title') || creditOf('title'),
+      creators,
+      rights: identificationEl?.querySelector('rights')?.textContent
+    })
+  }
+
+  /**
+   * Merge tempo marks coming from several parts, one per position
+   * (an explicit <sound tempo> wins over a metronome mark)
+   */
+  mergeTempoEvents(events) {
+    const byBeat = new Map()
+    events.forEach(event => {
+      const existing = byBeat.get(event.beat)
+      if (!existing || (existing.source !== 'sound' && event.source === 'sound')) {
+        byBeat.set(event.beat, event)
+      }
+    })
+    return Array.from(byBeat.values()).sort((a, b) => a.beat - b.beat)
+  }
+
+  /**
+   * Collect chord symbols (<harmony>) and figured bass (<figured-bass>) of a measure.
+   * Figured bass is realised against the bass note it stands above.
+   * @returns {Object[]} Chord events with their offset (quarter notes)
+   */
+  extractChordEvents(measureEl, context, partId) {
+    const events = []
+    const divisions = context.divisions
+    let pendingFigures = null
+
+    this.walkMeasure(measureEl).forEach(({ element, position }) => {
+      const tag = element.tagName
+
+      if (tag === 'harmony') {
+        const chord = this.parseHarmony(element)
+        if (chord) {
+          events.push({ ...chord, beat: position / divisions, partId })
+        }
+      } else if (tag === 'figured-bass') {
+        pendingFigures = { figures: this.parseFigures(element), beat: position / divisions }
+      } else if (tag === 'note') {
+        const isChord = element.querySelector('chord') !== null
+        const isGrace = element.querySelector('grace') !== null
+        if (isChord || isGrace) return
+
+        const bassPitch = this.parsePitch(element, context.transpose)
+        if (pendingFigures && bassPitch) {
+          const chord = this.realiseFiguredBass(pendingFigures.figures, bassPitch, context.keySignature)
+          events.push({ ...chord, beat: pendingFigures.beat, partId })
+        }
+        pendingFigures = null
+      }
+    })
+
+    return events
+  }
+
+  /**
+   * Parse a <harmony> element: root, kind, bass and degree alterations
+   * @returns {Object|null}
+   */
+  parseHarmony(harmonyEl) {
+    const kindEl = harmonyEl.querySelector('kind')
+    const kind = kindEl?.textContent.trim() || 'major'
+    const rootStep = harmonyEl.querySelector('root > root-step')?.textContent.trim()
+    if (!rootStep && kind !== 'none') return null
+
+    const rootAlter = parseInt(harmonyEl.querySelector('root > root-alter')?.textContent) || 0
+    const bassStep = harmonyEl.querySelector('bass > bass-step')?.textContent.trim() || null
+    const bassAlter = parseInt(harmonyEl.querySelector('bass > bass-alter')?.textContent) || 0
+
+    const degrees = Array.from(harmonyEl.querySelectorAll('degree')).map(degreeEl => ({
+      value: parseInt(degreeEl.querySelector('degree-value')?.textContent) || 0,
+      alter: parseInt(degreeEl.querySelector('degree-alter')?.textContent) || 0,
+      type: degreeEl.querySelector('degree-type')?.textContent.trim() || 'add'
+    })).filter(d => d.value > 0)
+
+    if (kind === 'none' || !rootStep) {
+      return { root: null, kind: 'none', bass: null, degrees: [], pitchClasses: [], symbol: 'N.C.', source: 'harmony' }
+    }
+
+    const root = spell(rootStep, rootAlter)
+    const bass = bassStep ? spell(bassStep, bassAlter) : null
+    const rootPc = pitchClassOf(rootStep, rootAlter)
+    const intervals = this.applyDegrees(CHORD_KINDS[kind]?.intervals || CHORD_KINDS.major.intervals, degrees)
+    const pitchClasses = intervals.map(i => (rootPc + i) % 12)
+    if (bass) {
+      const bassPc = pitchClassOf(bassStep, bassAlter)
+      if (!pitchClasses.includes(bassPc)) pitchClasses.push(bassPc)
+    }
+
+    const suffix = kindEl?.getAttribute('text') ?? CHORD_KINDS[kind]?.suffix ?? ''
+    const degreeText = degrees.map(d => {
+      const accidental = ALTER_ACCIDENTALS[d.alter] ?? ''
+      if (d.type === 'subtract') return `no${d.value}`
+      return d.type === 'add' && !d.alter ? `add${d.value}` : `${accidental}${d.value}`
+    }).join('')
+
+    return {
+      root,
+      kind,
+      bass,
+      inversion: parseInt(harmonyEl.querySelector('inversion')?.textContent) || 0,
+      degrees,
+      pitchClasses,
+      symbol: `${root}${suffix}${degreeText}${bass ? `/${bass}` : ''}`,
+      source: 'harmony'
+    }
+  }
+
+  /**
+   * Apply <degree> additions, alterations and subtractions to chord intervals
+   */
+  applyDegrees(intervals, degrees) {
+    const result = [...intervals]
+    degrees.forEach(degree => {
+      const base = DEGREE_SEMITONES[degree.value] ?? 0
+      // Alterations and subtractions of the third/fifth/seventh also match their altered forms
+      const candidates = degree.value === 3 ? [3, 4] : degree.value === 5 ? [6, 7, 8] : degree.value === 7 ? [10, 11] : [base]
+      const existing = result.findIndex(i => candidates.includes(i))
+
+      if (degree.type === 'subtract') {
+        if (existing >= 0) result.splice(existing, 1)
+      } else if (degree.type === 'alter' && existing >= 0) {
+        result[existing] = (base + degree.alter + 12) % 12
+      } else {
+        const interval = (base + degree.alter + 12) % 12
+        if (!result.includes(interval)) result.push(interval)
+      }
+    })
+    return result
+  }
+
+  /**
+   * Parse the figures of a <figured-bass> element
+   * @returns {Object[]} [{ number, prefix }] - number is null for an accidental alone
+   */
+  parseFigures(figuredBassEl) {
+    return Array.from(figuredBassEl.querySelectorAll('figure')).map(figureEl => ({
+      number: parseInt(figureEl.querySelector('figure-number')?.textContent) || null,
+      prefix: figureEl.querySelector('prefix')?.textContent.trim() || null
+    }))
+  }
+
+  /**
+   * Derive the chord implied by figured bass above a bass note.
+   * Chord tones are diatonic to the key unless a figure alters them.
+   */
+  realiseFiguredBass(figures, bassPitch, keySignature = { fifths: 0 }) {
+    const bassStep = bassPitch.charAt(0)
+    const bassAccidental = bassPitch.slice(1).replace(/-?\d+$/, '')
+    const bassAlter = { '#': 1, '##': 2, b: -1, bb: -2 }[bassAccidental] || 0
+    const bassIndex = STEPS.indexOf(bassStep)
+    const fifths = keySignature?.fifths || 0
+
+    // Inversion from the figure set: steps from the bass up to the root
+    const numbers = figures.map(f => f.number || 3).filter(n => n !== 8)
+    const has = n => numbers.includes(n)
+    let rootOffset = 0 // root position (5/3, 7)
+    if (has(6) && has(5)) rootOffset = 5 // 6/5: bass is the third
+    else if (has(4) && has(3)) rootOffset = 3 // 4/3: bass is the fifth
+    else if (has(2)) rootOffset = 1 // 4/2: bass is the seventh
+    else if (has(6) && has(4)) rootOffset = 3 // 6/4: second inversion
+    else if (has(6)) rootOffset = 5 // 6: first inversion
+    const seventh = has(7) || (has(6) && has(5)) || (has(4) && has(3)) || has(2)
+
+    // Accidentals on a figure alter the note that many steps above the bass
+    const alterations = new Map()
+    figures.forEach(figure => {
+      const change = { sharp: 1, flat: -1, natural: 0, 'double-sharp': 2, 'flat-flat': -2 }[figure.prefix]
+      if (change === undefined) return
+      const step = STEPS[(bassIndex + (figure.number || 3) - 1) % 7]
+      alterations.set(step, figure.prefix === 'natural' ? 0 : keyAlter(step, fifths) + change)
+    })
+
+    const alterOf = step => (step === bassStep ? bassAlter : alterations.get(step) ?? keyAlter(step, fifths))
+    const rootIndex = (bassIndex + rootOffset) % 7
+    const toneSteps = [0, 2, 4, ...(seventh ? [6] : [])].map(i => STEPS[(rootIndex + i) % 7])
+    const pitchClasses = toneSteps.map(step => pitchClassOf(step, alterOf(step)))
+
+    const rootStep = toneSteps[0]
+    const rootPc = pitchClasses[0]
+    const intervals = pitchClasses.map(pc => (pc - rootPc + 12) % 12).join(',')
+    const kind = {
+      '0,4,7': 'major', '0,3,7': 'minor', '0,3,6': 'diminished', '0,4,8': 'augmented',
+      '0,4,7,10': 'dominant', '0,4,7,11': 'major-seventh', '0,3,7,10': 'minor-seventh',
+      '0,3,6,10': 'half-diminished', '0,3,6,9': 'diminished-seventh'
+    }[intervals] || 'major'
+
+    const root = spell(rootStep, alterOf(rootStep))
+    const bass = spell(bassStep, bassAlter)
+
+    return {
+      root,
+      kind,
+      bass: bass === root ? null : bass,
+      inversion: { 0: 0, 5: 1, 3: 2, 1: 3 }[rootOffset],
+      degrees: [],
+      figures,
+      pitchClasses,
+      symbol: `${root}${CHORD_KINDS[kind].suffix}${bass === root ? '' : `/${bass}`}`,
+      source: 'figured-bass'
+    }
+  }
+
+  /**
+   * Merge chord events of all parts into the chord track of one grid measure.
+   * One chord per position (chord symbols win over figured bass); each chord
+   * lasts until the next one or the end of the measure.
+   */
+  mergeChordEvents(events, measureNumber, length) {
+    const byBeat = new Map()
+    events.forEach(event => {
+      const existing = byBeat.get(event.beat)
+      if (!existing || (existing.source !== 'harmony' && event.source === 'harmony')) {
+        byBeat.set(event.beat, event)
+      }
+    })
+
+    const chords = Array.from(byBeat.values()).sort((a, b) => a.beat - b.beat)
+    return chords.map((chord, i) => ({
+      ...chord,
+      measureNumber,
+      duration: Math.max(0, (chords[i + 1]?.beat ?? length) - chord.beat)
+    }))
+  }
+
+  /**
+   * Extract repeat barlines, volta brackets and D.C./D.S. jumps of a measure
+   * @returns {Object|null} Navigation marks, or null when the measure has none
+   */
+  extractNavigation(measureEl) {
+    const navigation = {}
+
+    measureEl.querySelectorAll('barline').forEach(barlineEl => {
+      const repeatEl = barlineEl.querySelector('repeat')
+      const direction = repeatEl?.getAttribute('direction')
+      if (direction === 'forward') {
+        navigation.repeatForward = true
+      } else if (direction === 'backward') {
+        navigation.repeatBackward = true
+        navigation.repeatTimes = parseInt(repeatEl.getAttribute('times')) || 2
+      }
+
+      const endingEl = barlineEl.querySelector('ending')
+      if (endingEl) {
+        const numbers = (endingEl.getAttribute('number') || '')
+          .split(/[\s,]+/)
+          .map(n => parseInt(n))
+          .filter(n => !isNaN(n))
+        if (endingEl.getAttribute('type') === 'start') {
+          navigation.endingStart = numbers.length ? numbers : [1]
+        } else {
+          // 'stop' and 'discontinue' both close the bracket
+          navigation.endingStop = true
+        }
+      }
+    })
+
+    measureEl.querySelectorAll('sound').forEach(soundEl => {
+      if (soundEl.getAttribute('dacapo') === 'yes') navigation.daCapo = true
+      if (soundEl.hasAttribute('dalsegno')) navigation.dalSegno = soundEl.getAttribute('dalsegno') || 'segno'
+      if (soundEl.hasAttribute('segno')) navigation.segno = soundEl.getAttribute('segno') || 'segno'
+      if (soundEl.hasAttribute('tocoda')) navigation.toCoda = soundEl.getAttribute('tocoda') || 'coda'
+      if (soundEl.hasAttribute('coda')) navigation.coda = soundEl.getAttribute('coda') || 'coda'
+      if (soundEl.hasAttribute('fine')) navigation.fine = true
+    })
+
+    if (!navigation.segno && measureEl.querySelector('direction-type > segno')) {
+      navigation.segno = 'segno'
+    }
+
+    return Object.keys(navigation).length > 0 ? navigation : null
+  }
+
+  /**
+   * Walk the children of a <measure> along the <backup>/<forward> cursor.
+   * Positions are in divisions: a note sits at its onset (chord notes share
+   * the onset of the first chord note, grace notes take no time), a
+   * direction, harmony or sound at the cursor plus its <offset>. A <backup>
+   * past the measure start is clamped there and passed to onUnderflow.
+   * @param {Element} measureEl
+   * @param {Function} [onUnderflow] - called with the offending <backup>
+   * @returns {Array<{ element: Element, position: number, ticks: number }>}
+   *   every child but <backup>, ticks being its <duration>
+   */
+  walkMeasure(measureEl, onUnderflow = null) {
+    const steps = []
+    let position = 0
+    let chordPosition = 0
+
+    Array.from(measureEl.children).forEach(element => {
+      const tag = element.tagName
+      const ticks = parseInt(element.querySelector('duration')?.textContent) || 0
+
+      if (tag === 'backup') {
+        if (ticks > position) onUnderflow?.(element)
+        position = Math.max(0, position - ticks)
+      } else if (tag === 'forward') {
+        steps.push({ element, position, ticks })
+        position += ticks
+      } else if (tag === 'note') {
+        const isChord = element.querySelector('chord') !== null
+        const isGrace = element.querySelector('grace') !== null
+        if (!isChord) {
+          chordPosition = position
+          if (!isGrace) position += ticks
+        }
+        steps.push({ element, position: chordPosition, ticks })
+      } else {
+        const offset = parseInt(element.querySelector('offset')?.textContent) || 0
+        steps.push({ element, position: Math.max(0, position + offset), ticks })
+      }
+    })
+
+    return steps
+  }
+
+  /**
+   * Extract notes from a specific measure element.
+   * Onsets follow the <backup>/<forward> cursor so every voice lines up,
+   * chord notes share the onset of the first chord note, tied notes are merged
+   * into one sustained note and grace notes take no time. Rests are kept as
+   * events with isRest set and pitch null.
+   * @param {Element} measureEl 
+   * @param {number} measureNumber 
+   * @param {string|null} partId 
+   * @param {Object} [context] - { divisions, ties } running state of the part
+   * @returns {Note[]}
    */
-  extractNotesFromMeasure(measureEl, measureNumber) {
+  extractNotesFromMeasure(measureEl, measureNumber, partId = null, context = null) {
     const notes = []
-    const noteElements = measureEl.querySelectorAll('note')
-    let currentBeat = 0
+    const divisions = context?.divisions || this.getDocumentDivisions()
+    const ties = context?.ties || new Map()
+    const location = { measure: measureEl.getAttribute('number') || String(measureNumber), part: partId }
+
+    // Positions are counted in divisions (integers) to stay exact
+    let measureLength = 0
+    const directions = []
+    const steps = this.walkMeasure(measureEl, () => {
+      this.report('warning', 'backup-underflow', '<backup> moves before the start of the measure',
+        { ...location, fallback: 'clamped to the measure start' })
+    })
+
+    steps.forEach(({ element, position, ticks }) => {
+      const tag = element.tagName
 
-    noteElements.forEach(noteEl => {
-      // Skip rest notes for now (they don't have pitch)
+      if (tag === 'direction') {
+        const direction = this.parseDirection(element)
+        if (direction) {
+          directions.push({ ...direction, beat: position / divisions })
+        }
+        return
+      }
+      if (tag === 'forward') {
+        measureLength = Math.max(measureLength, position + ticks)
+        return
+      }
+      if (tag !== 'note') return
+
+      const noteEl = element
       const isRest = noteEl.querySelector('rest') !== null
       const isChord = noteEl.querySelector('chord') !== null
-      
-      if (!isChord) {
-        const duration = this.parseDuration(noteEl)
-        
-        if (!isRest) {
-          const pitch = this.parsePitch(noteEl)
-          const dynamics = this.parseDynamics(noteEl)
-          const voice = parseInt(noteEl.querySelector('voice')?.textContent) || 1
-
-          notes.push({
-            pitch: pitch,
-            duration: duration,
-            measureNumber: measureNumber,
-            beat: currentBeat,
-            voice: voice,
-            dynamics: dynamics
-          })
-        }
-        
-        currentBeat += duration
-      } else {
-        // Chord note - same beat as previous
-        const pitch = this.parsePitch(noteEl)
-        const duration = this.parseDuration(noteEl)
-        const voice = parseInt(noteEl.querySelector('voice')?.textContent) || 1
+      const isGrace = noteEl.querySelector('grace') !== null
+      const voice = parseInt(noteEl.querySelector('voice')?.textContent) || 1
+      const staff = parseInt(noteEl.querySelector('staff')?.textContent) || 1
+
+      const onsetTicks = position
+      const durationTicks = isGrace ? 0 : ticks
+
+      if (!isGrace && !(ticks > 0)) {
+        this.report('warning', 'missing-duration', 'Note or rest without a usable <duration>; it takes no time',
+          { ...location, fallback: 'duration 0' })
+      }
+
+      measureLength = Math.max(measureLength, onsetTicks + durationTicks)
+
+      const marks = this.parseNotations(noteEl)
+      const durationFraction = toFraction(durationTicks, divisions)
+      // Every event of a percussion part is flagged, rests included
+      const partFlags = context?.percussion ? { percussion: true } : {}
 
+      if (isRest) {
         notes.push({
-          pitch: pitch,
-          duration: duration,
+          pitch: null,
+          isRest: true,
+          duration: durationTicks / divisions,
           measureNumber: measureNumber,
-          beat: currentBeat - duration,
-          voice: voice
+          beat: onsetTicks / divisions,
+          beatFraction: toFraction(onsetTicks, divisions),
+          durationFraction,
+          voice: voice,
+          staff: staff,
+          partId: partId,
+          ...partFlags,
+          ...marks
         })
+        return
+      }
+
+      // Unpitched (percussion) notes have no pitch, only a staff position and an instrument
+      const unpitched = this.parseUnpitched(noteEl)
+      const transpose = context?.transpose || null
+      const pitch = unpitched ? null : this.parsePitch(noteEl, transpose)
+      if (!unpitched) this.checkPitch(noteEl, location)
+      const tieTypes = this.parseTies(noteEl)
+      const sound = unpitched
+        ? `${unpitched.displayStep}${unpitched.displayOctave}/${unpitched.instrument}`
+        : pitch
+      const tieKey = `${voice}:${staff}:${sound}`
+
+      // Continuation of a tied note: extend the sustained note instead
+      const openTie = tieTypes.includes('stop') ? ties.get(tieKey) : null
+      if (openTie && !isGrace) {
+        openTie.durationFraction = addFractions(openTie.durationFraction, durationFraction)
+        openTie.duration = openTie.durationFraction.numerator / openTie.durationFraction.denominator
+        openTie.tied = true
+        // Marks at the end of the tie (fermata, slur end, breath) belong to the sustained note
+        Object.assign(openTie, marks)
+        if (!tieTypes.includes('start')) {
+          ties.delete(tieKey)
+        }
+        return
+      }
+
+      const beatFraction = toFraction(onsetTicks, divisions)
+      const note = {
+        pitch: pitch,
+        duration: durationTicks / divisions,
+        measureNumber: measureNumber,
+        beat: onsetTicks / divisions,
+        beatFraction,
+        durationFraction,
+        voice: voice,
+        staff: staff,
+        partId: partId,
+        dynamics: isChord ? null : this.parseDynamics(noteEl),
+        ...partFlags,
+        ...marks
+      }
+
+      if (unpitched) {
+        note.unpitched = unpitched
+      } else if (transpose && pitch) {
+        note.writtenPitch = this.parsePitch(noteEl)
+      }
+
+      if (isGrace) {
+        note.grace = true
+      }
+
+      const tuplet = this.parseTimeModification(noteEl)
+      if (tuplet) {
+        note.tuplet = tuplet
+      }
+
+      const lyrics = this.parseLyrics(noteEl)
+      if (lyrics.length > 0) {
+        note.lyrics = lyrics
+      }
+
+      if (tieTypes.includes('start') && !isGrace) {
+        ties.set(tieKey, note)
       }
+
+      notes.push(note)
     })
 
+    this.attachDirections(notes, directions)
+
+    if (context) {
+      context.measureLength = measureLength / divisions
+    }
+
     return notes
   }
 
+  /**
+   * Parse articulations, fermatas, slurs and breath marks of a note
+   * @returns {Object} Only the marks present on the note
+   */
+  parseNotations(noteEl) {
+    const marks = {}
+    const notationsEls = noteEl.querySelectorAll('notations')
+    if (notationsEls.length === 0) return marks
+
+    const articulationTypes = ['staccato', 'staccatissimo', 'spiccato', 'accent', 'strong-accent', 'tenuto', 'detached-legato']
+    const articulations = []
+
+    notationsEls.forEach(notationsEl => {
+      if (notationsEl.querySelector('fermata')) {
+        marks.fermata = true
+      }
+
+      notationsEl.querySelectorAll('slur').forEach(slurEl => {
+        const type = slurEl.getAttribute('type')
+        if (type === 'start') marks.slurStart = true
+        if (type === 'stop') marks.slurEnd = true
+      })
+
+      const articulationsEl = notationsEl.querySelector('articulations')
+      if (articulationsEl) {
+        articulationTypes.forEach(type => {
+          if (articulationsEl.querySelector(type)) articulations.push(type)
+        })
+        if (articulationsEl.querySelector('breath-mark, caesura')) {
+          marks.breathMark = true
+        }
+      }
+    })
+
+    if (articulations.length > 0) {
+      marks.articulations = articulations
+      if (articulations.some(a => a === 'staccato' || a === 'staccatissimo' || a === 'spiccato')) {
+        marks.staccato = true
+      }
+      if (articulations.some(a => a === 'accent' || a === 'strong-accent')) {
+        marks.accent = true
+      }
+    }
+
+    return marks
+  }
+
+  /**
+   * Parse the <lyric> syllables of a note, one entry per verse.
+   * Elided syllables ("me‿and") are joined into one entry; humming and
+   * laughing lyrics carry no text and are skipped.
+   * @returns {Object[]} [{ verse, text, syllabic, extend, endLine }] sorted by verse
+   */
+  parseLyrics(noteEl) {
+    return Array.from(noteEl.children)
+      .filter(el => el.tagName === 'lyric')
+      .map((lyricEl, index) => {
+        const texts = Array.from(lyricEl.getElementsByTagName('text')).map(el => el.textContent)
+        if (texts.length === 0) return null
+
+        const syllabics = Array.from(lyricEl.getElementsByTagName('syllabic')).map(el => el.textContent.trim())
+        const startsWord = !['middle', 'end'].includes(syllabics[0])
+        const continuesWord = ['begin', 'middle'].includes(syllabics[syllabics.length - 1])
+
+        return {
+          verse: parseInt(lyricEl.getAttribute('number')) || index + 1,
+          text: texts.join(' '),
+          syllabic: startsWord
+            ? (continuesWord ? 'begin' : 'single')
+            : (continuesWord ? 'middle' : 'end'),
+          extend: lyricEl.getElementsByTagName('extend').length > 0,
+          endLine: lyricEl.querySelector('end-line, end-paragraph') !== null
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.verse - b.verse)
+  }
+
+  /**
+   * Parse dynamics and hairpins of a <direction> element
+   * @returns {Object|null} { staff, dynamics, hairpin }
+   */
+  parseDirection(directionEl) {
+    const dynamics = this.parseDynamics(directionEl)
+    const wedgeType = directionEl.querySelector('wedge')?.getAttribute('type') || null
+    if (!dynamics && !wedgeType) return null
+
+    return {
+      staff: parseInt(directionEl.querySelector('staff')?.textContent) || null,
+      dynamics,
+      hairpin: wedgeType
+    }
+  }
+
+  /**
+   * Attach direction-level dynamics and hairpins to the first note
+   * sounding at or after the direction (same staff when one is given)
+   */
+  attachDirections(notes, directions) {
+    directions.forEach(direction => {
+      const target = notes
+        .filter(n => !n.isRest && n.beat >= direction.beat &&
+          (!direction.staff || n.staff === direction.staff))
+        .reduce((best, n) => (!best || n.beat < best.beat ? n : best), null)
+      if (!target) return
+
+      if (direction.dynamics) {
+        target.dynamics = direction.dynamics
+      }
+      if (direction.hairpin === 'crescendo' || direction.hairpin === 'diminuendo') {
+        target.hairpinStart = direction.hairpin
+      } else if (direction.hairpin === 'stop') {
+        target.hairpinEnd = true
+      }
+    })
+  }
+
+  /**
+   * Tie types of a note ('start' / 'stop'); <tie> is preferred over <tied>
+   * @returns {string[]}
+   */
+  parseTies(noteEl) {
+    let tieEls = Array.from(noteEl.querySelectorAll('tie'))
+    if (tieEls.length === 0) {
+      tieEls = Array.from(noteEl.querySelectorAll('notations tied'))
+    }
+    return tieEls
+      .map(el => el.getAttribute('type'))
+      .map(type => (type === 'continue' ? null : type))
+      .filter(Boolean)
+  }
+
+  /**
+   * Parse tuplet ratio from <time-modification>
+   * @returns {Object|null} { actualNotes, normalNotes, normalType }
+   */
+  parseTimeModification(noteEl) {
+    const modificationEl = noteEl.querySelector('time-modification')
+    if (!modificationEl) return null
+
+    const actualNotes = parseInt(modificationEl.querySelector('actual-notes')?.textContent)
+    const normalNotes = parseInt(modificationEl.querySelector('normal-notes')?.textContent)
+    if (!actualNotes || !normalNotes) return null
+
+    return {
+      actualNotes,
+      normalNotes,
+      normalType: modificationEl.querySelector('normal-type')?.textContent || null
+    }
+  }
+
   /**
    * Extract all notes from the entire score
+   * @param {Measure[]} [measures] - Shared measure grid, extracted if omitted
    */
-  extractNotes() {
+  extractNotes(measures = this.parsedScore?.measures || this.extractMeasures()) {
     const allNotes = []
-    this.parsedScore?.measures?.forEach(measure => {
+    measures.forEach(measure => {
       allNotes.push(...measure.notes)
-    }) 
-    
-    // If measures not yet parsed, extract directly
-    if (allNotes.length === 0) {
-      const measureElements = this.xmlDoc.querySelectorAll('measure')
-      measureElements.forEach((measureEl, index) => {
-        const measureNumber = parseInt(measureEl.getAttribute('number')) || index + 1
-        const notes = this.extractNotesFromMeasure(measureEl, measureNumber)
-        allNotes.push(...notes)
-      })
-    }
-    
+    })
     return allNotes
   }
 
   /**
    * Parse pitch from note element
+   * @param {Element} noteEl
+   * @param {Object|null} [transpose] - part transposition; the result is then concert pitch
    */
-  parsePitch(noteEl) {
+  parsePitch(noteEl, transpose = null) {
     const pitchEl = noteEl.querySelector('pitch')
     if (!pitchEl) return null
 
-    const step = pitchEl.querySelector('step')?.textContent || 'C'
-    const octave = pitchEl.querySelector('octave')?.textContent || '4'
-    const alter = parseInt(pitchEl.querySelector('alter')?.textContent) || 0
+    let step = pitchEl.querySelector('step')?.textContent || 'C'
+    // Octave 0 is a real octave (A0, B0); only a missing value defaults
+    let octave = parseInt(pitchEl.querySelector('octave')?.textContent)
+    if (Number.isNaN(octave)) octave = 4
+    let alter = parseInt(pitchEl.querySelector('alter')?.textContent) || 0
 
-    let accidental = ''
-    if (alter === 1) accidental = '#'
-    else if (alter === -1) accidental = 'b'
-    else if (alter === 2) accidental = '##'
-    else if (alter === -2) accidental = 'bb'
+    if (transpose) {
+      ({ step, octave, alter } = this.transposePitch({ step, octave, alter }, transpose))
+    }
 
+    const accidental = alter > 0 ? '#'.repeat(alter) : 'b'.repeat(-alter)
     return `${step}${accidental}${octave}`
   }
 
   /**
-   * Parse duration from note element (in beats)
+   * Parse a <transpose> element (written pitch + transpose = concert pitch)
+   * @returns {Object|null} { diatonic, chromatic, octaveChange }, null when it changes nothing
+   */
+  parseTranspose(transposeEl) {
+    const read = tag => parseInt(transposeEl.querySelector(tag)?.textContent) || 0
+    const transpose = {
+      diatonic: read('diatonic'),
+      chromatic: read('chromatic'),
+      octaveChange: read('octave-change')
+    }
+    return transpose.chromatic === 0 && transpose.octaveChange === 0 ? null : transpose
+  }
+
+  /**
+   * Move a written pitch to concert pitch, keeping the spelling the
+   * diatonic steps imply (written D for a B♭ clarinet sounds C)
+   */
+  transposePitch({ step, octave, alter }, transpose) {
+    const fromIndex = STEPS.indexOf(step)
+    const index = fromIndex + transpose.diatonic
+    const stepIndex = ((index % 7) + 7) % 7
+    const octaveShift = Math.floor(index / 7)
+    const letterSemitones = STEP_PITCH_CLASSES[STEPS[stepIndex]] + 12 * octaveShift - STEP_PITCH_CLASSES[step]
+
+    return {
+      step: STEPS[stepIndex],
+      octave: octave + octaveShift + transpose.octaveChange,
+      alter: alter + transpose.chromatic - letterSemitones
+    }
+  }
+
+  /**
+   * Concert key of a transposing part's written key signature
+   */
+  toConcertKey(keySignature, transpose) {
+    if (!transpose) return keySignature
+
+    // Each semitone of transposition moves the key by 7 fifths (mod 12)
+    let shift = ((transpose.chromatic * 7) % 12 + 12) % 12
+    if (shift > 6) shift -= 12
+    let fifths = keySignature.fifths + shift
+    if (fifths > 7) fifths -= 12
+    if (fifths < -7) fifths += 12
+
+    return { ...keySignature, fifths }
+  }
+
+  /**
+   * Parse an <unpitched> note: staff position and percussion instrument
+   * @returns {Object|null} { displayStep, displayOctave, instrument }
+   */
+  parseUnpitched(noteEl) {
+    const unpitchedEl = noteEl.querySelector('unpitched')
+    if (!unpitchedEl) return null
+
+    // Without a display position the note sits on the middle line
+    const displayOctave = parseInt(unpitchedEl.querySelector('display-octave')?.textContent)
+    return {
+      displayStep: unpitchedEl.querySelector('display-step')?.textContent.trim() || 'B',
+      displayOctave: Number.isNaN(displayOctave) ? 4 : displayOctave,
+      instrument: noteEl.querySelector('instrument')?.getAttribute('id') || null
+    }
+  }
+
+  /**
+   * Report notes whose pitch is missing or incomplete
    */
-  parseDuration(noteEl) {
+  checkPitch(noteEl, location) {
+    const pitchEl = noteEl.querySelector('pitch')
+    if (!pitchEl) {
+      this.report('warning', 'missing-pitch', 'Note without <pitch>; it is kept without a pitch',
+        { ...location, fallback: 'no pitch' })
+      return
+    }
+
+    const step = pitchEl.querySelector('step')?.textContent
+    const octave = pitchEl.querySelector('octave')?.textContent
+    if (!step || !octave) {
+      this.report('warning', 'incomplete-pitch', 'Pitch without <step> or <octave>; the missing part is guessed',
+        { ...location, fallback: `${step || 'C'}${octave || '4'}` })
+    }
+  }
+
+  /**
+   * Parse duration from note element (in quarter notes)
+   * @param {Element} noteEl 
+   * @param {number} [divisions] - divisions of the note's part
+   */
+  parseDuration(noteEl, divisions = this.getDocumentDivisions()) {
     const durationEl = noteEl.querySelector('duration')
-    const divisionsEl = this.xmlDoc.querySelector('divisions')
-    
     const duration = parseInt(durationEl?.textContent) || 1
-    const divisions = parseInt(divisionsEl?.textContent) || 1
     
     return duration / divisions
   }
 
   /**
-   * Parse dynamics from note element
+   * First <divisions> in the document, for callers without part context
+   */
+  getDocumentDivisions() {
+    return parseInt(this.xmlDoc.querySelector('divisions')?.textContent) || 1
+  }
+
+  /**
+   * Parse dynamics from a note or direction element
    */
   parseDynamics(noteEl) {
     const dynamicsEl = noteEl.querySelector('dynamics')
     if (!dynamicsEl) return null
     
     // Check for common dynamics markings
-    const dynamicsTypes = ['ppp', 'pp', 'p', 'mp', 'mf', 'f', 'ff', 'fff']
+    const dynamicsTypes = ['ppp', 'pp', 'p', 'mp', 'mf', 'f', 'ff', 'fff', 'fp', 'sf', 'sfz', 'rfz']
     for (const type of dynamicsTypes) {
       if (dynamicsEl.querySelector(type)) {
         return type
@@ -236,6 +1239,13 @@ export class MusicXMLParser {
       return { fifths: 0, mode: 'major' }
     }
 
+    return this.parseKeyElement(keyEl)
+  }
+
+  /**
+   * Parse a <key> element
+   */
+  parseKeyElement(keyEl) {
     const fifths = parseInt(keyEl.querySelector('fifths')?.textContent) || 0
     const mode = keyEl.querySelector('mode')?.textContent || 'major'
 
@@ -251,14 +1261,22 @@ export class MusicXMLParser {
       return { beats: 4, beatType: 4 }
     }
 
-    const beats = parseInt(timeEl.querySelector('beats')?.textContent) || 4
+    return this.parseTimeElement(timeEl)
+  }
+
+  /**
+   * Parse a <time> element; composite meters such as 3+2 are summed
+   */
+  parseTimeElement(timeEl) {
+    const beatsText = timeEl.querySelector('beats')?.textContent || '4'
+    const beats = beatsText.split('+').reduce((sum, part) => sum + (parseInt(part) || 0), 0) || 4
     const beatType = parseInt(timeEl.querySelector('beat-type')?.textContent) || 4
 
     return { beats, beatType }
   }
 
   /**
-   * Extract tempo (BPM)
+   * Extract tempo (quarter-note BPM)
    */
   extractTempo() {
     // Try to find tempo from sound element
@@ -268,35 +1286,93 @@ export class MusicXMLParser {
     }
 
     // Try metronome marking
-    const metronomeEl = this.xmlDoc.querySelector('metronome')
-    if (metronomeEl) {
-      const perMinute = metronomeEl.querySelector('per-minute')?.textContent
-      if (perMinute) {
-        return parseFloat(perMinute) || 120
-      }
+    const metronomeBpm = this.parseMetronome(this.xmlDoc.querySelector('metronome'))
+    if (metronomeBpm) {
+      return metronomeBpm
     }
 
     return 120 // Default tempo
   }
 
   /**
-   * Extract parts information
+   * Convert a <metronome> mark to quarter-note BPM
+   * @returns {number|null}
+   */
+  parseMetronome(metronomeEl) {
+    const perMinute = parseFloat(metronomeEl?.querySelector('per-minute')?.textContent)
+    if (!perMinute) return null
+
+    const unitQuarters = {
+      whole: 4, half: 2, quarter: 1, eighth: 0.5, '16th': 0.25, '32nd': 0.125
+    }
+    const unit = metronomeEl.querySelector('beat-unit')?.textContent || 'quarter'
+    const dotted = metronomeEl.querySelector('beat-unit-dot') !== null
+
+    return perMinute * (unitQuarters[unit] || 1) * (dotted ? 1.5 : 1)
+  }
+
+  /**
+   * Extract parts information with per-part note streams
    */
   extractParts() {
     const parts = []
     const partListEl = this.xmlDoc.querySelector('part-list')
+    const timelines = this.partTimelines || this.extractPartTimelines()
     
     if (partListEl) {
       const scorePartEls = partListEl.querySelectorAll('score-part')
       scorePartEls.forEach(partEl => {
         parts.push({
           id: partEl.getAttribute('id'),
-          name: partEl.querySelector('part-name')?.textContent || 'Unknown'
+          name: partEl.querySelector('part-name')?.textContent || 'Unknown',
+          instruments: this.parseScoreInstruments(partEl)
         })
       })
     }
 
-    return parts
+    // Parts present in the body but missing from <part-list>
+    timelines.forEach(timeline => {
+      if (!parts.some(p => p.id === timeline.id)) {
+        parts.push({ id: timeline.id, name: 'Unknown', instruments: [] })
+      }
+    })
+
+    parts.filter(part => part.name === 'Unknown').forEach(part => {
+      this.report('info', 'missing-part-name', 'Part has no name', { part: part.id, fallback: 'Unknown' })
+    })
+
+    return parts.map(part => {
+      const timeline = timelines.find(t => t.id === part.id)
+      const notes = timeline ? timeline.measures.flatMap(m => m.notes) : []
+      const staves = [...new Set(notes.map(n => n.staff))].sort((a, b) => a - b)
+
+      return {
+        ...part,
+        measureCount: timeline?.measures.length || 0,
+        staves,
+        percussion: timeline?.percussion || false,
+        transpose: timeline?.transpose || null,
+        notes
+      }
+    })
+  }
+
+  /**
+   * Instruments declared in a <score-part>, with their General MIDI
+   * percussion key when one is given
+   * @returns {Object[]} [{ id, name, midiUnpitched }]
+   */
+  parseScoreInstruments(scorePartEl) {
+    return Array.from(scorePartEl.querySelectorAll('score-instrument')).map(instrumentEl => {
+      const id = instrumentEl.getAttribute('id')
+      const midiEl = Array.from(scorePartEl.querySelectorAll('midi-instrument'))
+        .find(el => el.getAttribute('id') === id)
+      return {
+        id,
+        name: instrumentEl.querySelector('instrument-name')?.textContent || null,
+        midiUnpitched: parseInt(midiEl?.querySelector('midi-unpitched')?.textContent) || null
+      }
+    })
   }
 
   /**
@@ -0,0 +1,114 @@
+/**
+ * Parser Diagnostics - Perception Layer
+ * Every parser reports the places where it had to guess (missing tempo,
+ * meter, key, durations, pitches...) instead of silently using a default.
+ * The list travels with the ParsedScore as `diagnostics`.
+ */
+
+import { keyName } from './keyEstimation.js'
+
+export const SEVERITIES = ['error', 'warning', 'info']
+
+/**
+ * Record a diagnostic. Repeats of the same problem in the same part are
+ * folded into one entry (first measure kept, occurrences counted).
+ * @param {Object[]} diagnostics - list to append to
+ * @param {'error'|'warning'|'info'} severity
+ * @param {string} code - stable identifier, e.g. 'missing-duration'
+ * @param {string} message
+ * @param {Object} [location] - { measure, part, fallback }
+ */
+export function reportDiagnostic(diagnostics, severity, code, message, { measure = null, part = null, fallback = null } = {}) {
+  const existing = diagnostics.find(d => d.code === code && d.part === part)
+  if (existing) {
+    existing.count++
+    return existing
+  }
+
+  const diagnostic = {
+    severity,
+    code,
+    message,
+    measure: measure === null ? null : String(measure),
+    part,
+    fallback: fallback === null ? null : String(fallback),
+    count: 1
+  }
+  diagnostics.push(diagnostic)
+  return diagnostic
+}
+
+/**
+ * Report how the opening tempo was obtained. Call before applyTempoMap,
+ * while measures still carry their tempoEvents.
+ * @param {Object[]} diagnostics
+ * @param {Object[]} measures
+ */
+export function reportTempoFallback(diagnostics, measures) {
+  const firstIndex = measures.findIndex(m => m.tempoEvents?.length > 0)
+  if (firstIndex === -1) {
+    if (measures.length > 0) {
+      reportDiagnostic(diagnostics, 'warning', 'missing-tempo',
+        'No tempo marking in the score; timing and playback assume a default tempo',
+        { measure: measures[0].label, fallback: '120 BPM' })
+    }
+    return
+  }
+
+  const first = measures[firstIndex].tempoEvents[0]
+  if (firstIndex > 0 || first.beat > 0) {
+    reportDiagnostic(diagnostics, 'info', 'late-tempo',
+      `First tempo marking appears in measure ${measures[firstIndex].label}; earlier music uses it too`,
+      { measure: measures[0].label, fallback: `${first.bpm} BPM` })
+  }
+}
+
+/**
+ * Cross-check the score's key signature against the key heard in the
+ * recording. Skipped when the audio estimate is too uncertain to argue with.
+ * A relative major/minor mix-up is only informational: many scores leave
+ * out <mode> and default to major.
+ * @param {Object[]} diagnostics
+ * @param {KeySignature} keySignature - ParsedScore.keySignature
+ * @param {KeyEstimate|null} audioKey - from estimateKey
+ * @param {string|number|null} [measure] - where the score key applies
+ */
+export function reportKeyDisagreement(diagnostics, keySignature, audioKey, measure = null, minConfidence = 0.4) {
+  if (!keySignature || !audioKey || audioKey.confidence < minConfidence) return
+
+  const heard = audioKey.key
+  const scoreMode = ['major', 'minor'].includes(keySignature.mode) ? keySignature.mode : null
+  const written = keyName(keySignature.fifths, scoreMode || 'major')
+
+  if (heard.fifths === keySignature.fifths) {
+    if (scoreMode && heard.mode !== scoreMode) {
+      reportDiagnostic(diagnostics, 'info', 'audio-mode-mismatch',
+        `The recording sounds in ${heard.name}, the relative ${heard.mode} of the score's ${written}`,
+        { measure, fallback: written })
+    }
+    return
+  }
+
+  reportDiagnostic(diagnostics, 'warning', 'audio-key-mismatch',
+    `The recording sounds in ${heard.name} (${Math.round(audioKey.confidence * 100)}% confidence) but the score is in ${written}; the recording may be transposed or the key signature wrong`,
+    { measure, fallback: written })
+}
+
+/**
+ * Most severe first, then in score order
+ */
+export function sortDiagnostics(diagnostics) {
+  return [...diagnostics].sort((a, b) =>
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+    (parseInt(a.measure) || 0) - (parseInt(b.measure) || 0))
+}
+
+/**
+ * Count diagnostics per severity
+ * @returns {Object} { error, warning, info }
+ */
+export function summarizeDiagnostics(diagnostics = []) {
+  const summary = { error: 0, warning: 0, info: 0 }
+  diagnostics.forEach(d => { summary[d.severity] = (summary[d.severity] || 0) + 1 })
+  return summary
+}
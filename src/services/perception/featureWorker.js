@@ -0,0 +1,49 @@
+/**
+ * Feature Worker - Perception Layer
+ * Builds the analysis buffer and extracts every audio feature off the main
+ * thread, so a long recording does not freeze the UI.
+ *
+ * Messages in:  { type: 'analyze', id, channels: Float32Array[], sampleRate, options }
+ *   options - { beatsPerBar, chunkDuration, mixdown, analysisSampleRate, targetRms }
+ * Messages out: { type: 'progress', id, stage, fraction }
+ *               { type: 'result', id, analysisBuffer, features } - typed arrays transferred
+ *               { type: 'error', id, message }
+ *
+ * Cancelling is done by the client terminating the worker.
+ */
+
+import { AudioDecoder } from './AudioDecoder.js'
+import { FeatureExtractor, packFeatures } from './FeatureExtractor.js'
+
+self.onmessage = async (event) => {
+  const { type, id, channels, sampleRate, options = {} } = event.data
+  if (type !== 'analyze') return
+
+  const progress = (stage, fraction) => self.postMessage({ type: 'progress', id, stage, fraction })
+
+  try {
+    progress('buffer', 0)
+    const decoder = new AudioDecoder(options)
+    const analysisBuffer = decoder.createAnalysisBuffer({
+      numberOfChannels: channels.length,
+      sampleRate,
+      getChannelData: channel => channels[channel]
+    })
+
+    // The analysis buffer takes the first 10%, the features the rest
+    const extractor = new FeatureExtractor()
+    const features = await extractor.extractAll(analysisBuffer, {
+      beatsPerBar: options.beatsPerBar,
+      chunkDuration: options.chunkDuration,
+      onProgress: (stage, fraction) => progress(stage, 0.1 + 0.9 * fraction)
+    })
+
+    const { packed, transfer } = packFeatures(features)
+    self.postMessage(
+      { type: 'result', id, analysisBuffer, features: packed },
+      [analysisBuffer.samples.buffer, ...transfer]
+    )
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message })
+  }
+}
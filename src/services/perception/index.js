@@ -3,5 +3,10 @@
  */
 
 export { MusicXMLParser } from './MusicXMLParser.js'
+export { MidiParser } from './MidiParser.js'
+export { AbcParser } from './AbcParser.js'
+export { MeiParser } from './MeiParser.js'
+export { KernParser } from './KernParser.js'
 export { AudioDecoder } from './AudioDecoder.js'
 export { FeatureExtractor } from './FeatureExtractor.js'
+export { LiveChromaSource } from './LiveChromaSource.js'
@@ -0,0 +1,130 @@
+/**
+ * Key Estimation - Perception Layer
+ * Key and mode of a recording from its chroma: the averaged pitch-class
+ * profile is correlated with the Krumhansl-Kessler major/minor profiles
+ * in all 24 keys, over the whole recording and over sliding windows.
+ * Works without a score, and cross-checks the score's key signature.
+ */
+
+// Krumhansl-Kessler probe-tone profiles, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88]
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+
+// Key names by number of fifths (-6..6), spelled as in a key signature
+const MAJOR_NAMES = { '-6': 'Gb', '-5': 'Db', '-4': 'Ab', '-3': 'Eb', '-2': 'Bb', '-1': 'F', 0: 'C', 1: 'G', 2: 'D', 3: 'A', 4: 'E', 5: 'B', 6: 'F#' }
+const MINOR_NAMES = { '-6': 'Eb', '-5': 'Bb', '-4': 'F', '-3': 'C', '-2': 'G', '-1': 'D', 0: 'A', 1: 'E', 2: 'B', 3: 'F#', 4: 'C#', 5: 'G#', 6: 'D#' }
+
+/**
+ * Key signature of a tonic pitch class and mode
+ * @param {number} tonic - pitch class, 0 = C (Meyda chroma order)
+ * @param {'major'|'minor'} mode
+ * @returns {{ tonic: number, mode: string, fifths: number, name: string }}
+ */
+export function keyFromTonic(tonic, mode) {
+  const majorTonic = mode === 'minor' ? (tonic + 3) % 12 : tonic
+  let fifths = (majorTonic * 7) % 12
+  if (fifths > 6) fifths -= 12
+  return { tonic, mode, fifths, name: keyName(fifths, mode) }
+}
+
+/**
+ * Readable key name, e.g. "Eb major", "F# minor"
+ * @param {number} fifths
+ * @param {string} [mode='major']
+ */
+export function keyName(fifths = 0, mode = 'major') {
+  const names = mode === 'minor' ? MINOR_NAMES : MAJOR_NAMES
+  return `${names[fifths] ?? names[0]} ${mode === 'minor' ? 'minor' : 'major'}`
+}
+
+/**
+ * Correlation of a pitch-class profile with all 24 keys, best first
+ * @param {number[]} profile - 12 values, C first
+ * @returns {Array<{ tonic: number, mode: string, correlation: number }>}
+ */
+export function correlateKeys(profile) {
+  const scores = []
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = profile.map((_, pc) => profile[(pc + tonic) % 12])
+    scores.push({ tonic, mode: 'major', correlation: pearson(rotated, MAJOR_PROFILE) })
+    scores.push({ tonic, mode: 'minor', correlation: pearson(rotated, MINOR_PROFILE) })
+  }
+  return scores.sort((a, b) => b.correlation - a.correlation)
+}
+
+/**
+ * Estimate the key of a recording
+ * @param {Object} features - { chroma, rms } frames from FeatureExtractor.extractMeyda
+ *   (or { chroma } from extractChroma); rms weights loud frames over near-silence
+ * @param {number} frameRate - frames per second
+ * @param {Object} [options]
+ * @param {number} [options.windowSeconds=10] - window of the key-over-time curve
+ * @param {number} [options.hopSeconds=2]
+ * @returns {KeyEstimate}
+ */
+export function estimateKey({ chroma = [], rms = null }, frameRate, { windowSeconds = 10, hopSeconds = 2 } = {}) {
+  if (chroma.length === 0) return null
+
+  const profileOf = (start, end) => {
+    const profile = new Array(12).fill(0)
+    for (let f = start; f < end; f++) {
+      const weight = rms ? rms[f] || 0 : 1
+      for (let pc = 0; pc < 12; pc++) profile[pc] += (chroma[f][pc] || 0) * weight
+    }
+    return profile
+  }
+
+  const global = describeEstimate(correlateKeys(profileOf(0, chroma.length)))
+
+  const windowFrames = Math.max(1, Math.round(windowSeconds * frameRate))
+  const hopFrames = Math.max(1, Math.round(hopSeconds * frameRate))
+  const curve = []
+  for (let start = 0; start < chroma.length; start += hopFrames) {
+    const end = Math.min(chroma.length, start + windowFrames)
+    const estimate = describeEstimate(correlateKeys(profileOf(start, end)))
+    curve.push({ time: (start + end) / 2 / frameRate, ...estimate.key, correlation: estimate.correlation, confidence: estimate.confidence })
+    if (end === chroma.length) break
+  }
+
+  // Share of the recording that agrees with the global key
+  const stability = curve.filter(point => point.tonic === global.key.tonic && point.mode === global.key.mode).length / curve.length
+
+  return {
+    key: global.key,
+    correlation: global.correlation,
+    confidence: Math.round(Math.min(1, global.confidence * (0.5 + 0.5 * stability)) * 100) / 100,
+    alternative: global.alternative,
+    stability: Math.round(stability * 100) / 100,
+    curve
+  }
+}
+
+/**
+ * Best key with a confidence from its correlation and its margin over the
+ * runner-up (relative major/minor are often close)
+ */
+function describeEstimate(scores) {
+  const [best, second] = scores
+  const margin = best.correlation - second.correlation
+  return {
+    key: keyFromTonic(best.tonic, best.mode),
+    correlation: Math.round(best.correlation * 1000) / 1000,
+    confidence: Math.max(0, Math.min(1, best.correlation)) * Math.min(1, 0.4 + margin * 6),
+    alternative: keyFromTonic(second.tonic, second.mode)
+  }
+}
+
+function pearson(a, b) {
+  const n = a.length
+  const meanA = a.reduce((s, v) => s + v, 0) / n
+  const meanB = b.reduce((s, v) => s + v, 0) / n
+  let cov = 0
+  let varA = 0
+  let varB = 0
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - meanA) * (b[i] - meanB)
+    varA += (a[i] - meanA) ** 2
+    varB += (b[i] - meanB) ** 2
+  }
+  return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0
+}
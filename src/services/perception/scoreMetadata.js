@@ -0,0 +1,100 @@
+/**
+ * Score Metadata - Perception Layer
+ * Shared shape for titles/creators and for section marks (rehearsal marks
+ * and textual section labels such as "Trio" or "Development"), so every
+ * parser reports them the same way.
+ */
+
+// Textual labels that name a formal section, with their canonical name
+const SECTION_WORDS = [
+  [/^(intro|introduction|introduzione|einleitung)\b/i, 'introduction'],
+  [/^(exposition|exposé)\b/i, 'exposition'],
+  [/^(development|durchführung|durchfuhrung|sviluppo)\b/i, 'development'],
+  [/^(recapitulation|reprise|ripresa)\b/i, 'recapitulation'],
+  [/^codetta\b/i, 'codetta'],
+  [/^coda\b/i, 'coda'],
+  [/^trio\b/i, 'trio'],
+  [/^(minuet|menuet|menuetto|minuetto)\b/i, 'minuet'],
+  [/^scherzo\b/i, 'scherzo'],
+  [/^(theme|thema|tema)\b/i, 'theme'],
+  [/^(var\.|variation|variatio)/i, 'variation'],
+  [/^episode\b/i, 'episode'],
+  [/^interlude\b/i, 'interlude'],
+  [/^pre-?chorus\b/i, 'pre_chorus'],
+  [/^(chorus|refrain)\b/i, 'chorus'],
+  [/^verse\b/i, 'verse'],
+  [/^bridge\b/i, 'bridge'],
+  [/^outro\b/i, 'outro'],
+  [/^(part|section|teil)\s+[A-Z0-9]+\b/i, 'section']
+]
+
+/**
+ * Canonical section name of a text label
+ * @param {string} text
+ * @returns {string|null} e.g. 'trio', 'development'; null when the text names no section
+ */
+export function classifySectionText(text) {
+  const trimmed = (text || '').trim()
+  const match = SECTION_WORDS.find(([pattern]) => pattern.test(trimmed))
+  return match ? match[1] : null
+}
+
+/**
+ * Build a section mark. Rehearsal marks are always kept; words only
+ * when they name a section.
+ * @param {'rehearsal'|'words'} type
+ * @param {string} text
+ * @param {number} beat - offset in the measure (quarter notes)
+ * @returns {Object|null} { type, text, section, beat }
+ */
+export function createSectionMark(type, text, beat = 0) {
+  const trimmed = (text || '').replace(/\s+/g, ' ').trim()
+  if (!trimmed) return null
+
+  const section = classifySectionText(trimmed)
+  if (type !== 'rehearsal' && !section) return null
+
+  return { type, text: trimmed, section, beat }
+}
+
+/**
+ * One mark per text and position, when several parts carry the same mark
+ */
+export function mergeSectionMarks(marks) {
+  const seen = new Set()
+  return marks.filter(mark => {
+    const key = `${mark.type}:${mark.text}:${mark.beat}`
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+/**
+ * Normalize metadata fields into the ParsedScore shape
+ * @param {Object} fields - { workTitle, workNumber, movementTitle, movementNumber, creators, rights, title }
+ * @returns {Object} ScoreMetadata
+ */
+export function createMetadata(fields = {}) {
+  const clean = value => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : value) || null
+  const creators = (fields.creators || [])
+    .map(creator => ({ type: clean(creator.type) || 'composer', name: clean(creator.name) }))
+    .filter(creator => creator.name)
+  const creatorOf = type => creators.find(c => c.type.toLowerCase() === type)?.name || null
+
+  const workTitle = clean(fields.workTitle)
+  const movementTitle = clean(fields.movementTitle)
+
+  return {
+    title: clean(fields.title) || workTitle || movementTitle,
+    workTitle,
+    workNumber: clean(fields.workNumber),
+    movementTitle,
+    movementNumber: clean(fields.movementNumber),
+    composer: creatorOf('composer'),
+    lyricist: creatorOf('lyricist') || creatorOf('poet'),
+    arranger: creatorOf('arranger'),
+    creators,
+    rights: clean(fields.rights)
+  }
+}
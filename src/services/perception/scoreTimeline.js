@@ -0,0 +1,271 @@
+/**
+ * Score Timeline - Perception Layer
+ * Helpers shared by the score parsers: exact fractions, the tempo, meter
+ * and key maps of a ParsedScore and the unfolded performance timeline
+ */
+
+// Exact rational arithmetic for note timing (values in quarter notes)
+export const gcd = (a, b) => (b === 0 ? Math.abs(a) : gcd(b, a % b))
+
+export const toFraction = (numerator, denominator) => {
+  const divisor = gcd(numerator, denominator) || 1
+  return { numerator: numerator / divisor, denominator: denominator / divisor }
+}
+
+export const addFractions = (a, b) => toFraction(
+  a.numerator * b.denominator + b.numerator * a.denominator,
+  a.denominator * b.denominator
+)
+
+/**
+ * Resolve the tempo in effect at the start of every measure.
+ * Measures before the first tempo mark take that first tempo.
+ */
+export function applyTempoMap(measures) {
+  const firstEvent = measures.flatMap(m => m.tempoEvents)[0]
+  let currentTempo = firstEvent?.bpm || 120
+
+  measures.forEach(measure => {
+    const events = measure.tempoEvents
+    const startEvents = events.filter(e => e.beat === 0)
+    if (startEvents.length > 0) {
+      currentTempo = startEvents[startEvents.length - 1].bpm
+    }
+
+    measure.tempo = currentTempo
+    measure.tempoChanges = events.filter(e => e.beat > 0)
+
+    if (events.length > 0) {
+      currentTempo = events[events.length - 1].bpm
+    }
+    delete measure.tempoEvents
+  })
+}
+
+/**
+ * Build the tempo map: every tempo mark with its measure and offset
+ * @param {Measure[]} measures
+ * @returns {Object[]} [{ measure, beat, bpm }]
+ */
+export function extractTempoMap(measures) {
+  const tempoMap = []
+  measures.forEach((measure, index) => {
+    const previous = measures[index - 1]
+    if (index === 0 || measure.tempo !== (previous.tempoChanges.at(-1)?.bpm ?? previous.tempo)) {
+      tempoMap.push({ measure: measure.number, beat: 0, bpm: measure.tempo })
+    }
+    measure.tempoChanges.forEach(change => {
+      tempoMap.push({ measure: measure.number, beat: change.beat, bpm: change.bpm })
+    })
+  })
+  return tempoMap
+}
+
+/**
+ * Build the meter map: one entry per time signature change
+ * @returns {Object[]} [{ measure, beats, beatType }]
+ */
+export function extractMeterMap(measures) {
+  return measures
+    .filter((measure, index) => {
+      const previous = measures[index - 1]?.timeSignature
+      return !previous ||
+        previous.beats !== measure.timeSignature.beats ||
+        previous.beatType !== measure.timeSignature.beatType
+    })
+    .map(measure => ({ measure: measure.number, ...measure.timeSignature }))
+}
+
+/**
+ * Build the key map: one entry per key change
+ * @returns {Object[]} [{ measure, fifths, mode }]
+ */
+export function extractKeyMap(measures) {
+  return measures
+    .filter((measure, index) => {
+      const previous = measures[index - 1]?.keySignature
+      return !previous ||
+        previous.fifths !== measure.keySignature.fifths ||
+        previous.mode !== measure.keySignature.mode
+    })
+    .map(measure => ({ measure: measure.number, ...measure.keySignature }))
+}
+
+/**
+ * Unfold repeats, volta endings and D.C./D.S. jumps into the performed order.
+ * By default, after a D.C./D.S. jump repeats are not taken again and only
+ * the final ending is played, following the usual classical convention.
+ * @param {Measure[]} measures - Shared measure grid in written order
+ * @param {Object} [options]
+ * @param {boolean} [options.takeRepeats=true] - false: every repeat is skipped
+ *   and only final endings are played
+ * @param {boolean} [options.repeatsAfterJump=false] - take the repeats again after D.C./D.S.
+ * @returns {Object} { timeline, occurrences, hasRepeats }
+ */
+export function buildPerformanceTimeline(measures, { takeRepeats = true, repeatsAfterJump = false } = {}) {
+  const endings = resolveEndings(measures)
+  const findMark = (key, value) => {
+    const exact = measures.findIndex(m => m.navigation?.[key] === value)
+    return exact !== -1 ? exact : measures.findIndex(m => m.navigation?.[key])
+  }
+
+  const timeline = []
+  const repeatCounts = new Map()
+  const maxLength = measures.length * 8 // guards against malformed jump chains
+  let index = 0
+  let repeatStart = 0
+  let pass = 1
+  let jumped = false
+  const repeating = () => (jumped ? repeatsAfterJump : takeRepeats)
+
+  while (index < measures.length && timeline.length < maxLength) {
+    const measure = measures[index]
+    const navigation = measure.navigation || {}
+    const ending = endings[index]
+
+    if (navigation.repeatForward && repeatStart !== index) {
+      repeatStart = index
+      pass = 1
+    }
+
+    const playEnding = !ending || (repeating() ? ending.numbers.includes(pass) : ending.final)
+    if (!playEnding) {
+      index++
+      continue
+    }
+
+    timeline.push({
+      index: timeline.length + 1,
+      measure: measure.number,
+      label: measure.label,
+      pass
+    })
+
+    if (jumped && navigation.fine) break
+
+    if (jumped && navigation.toCoda) {
+      const codaIndex = findMark('coda', navigation.toCoda)
+      if (codaIndex > index) {
+        index = codaIndex
+        continue
+      }
+    }
+
+    if (navigation.repeatBackward && repeating()) {
+      const taken = repeatCounts.get(index) || 0
+      if (taken < navigation.repeatTimes - 1) {
+        repeatCounts.set(index, taken + 1)
+        pass++
+        index = repeatStart
+        continue
+      }
+      repeatStart = index + 1
+      pass = 1
+    } else if (ending?.final && ending.lastIndex === index) {
+      repeatStart = index + 1
+      pass = 1
+    }
+
+    if (!jumped && navigation.daCapo) {
+      jumped = true
+      repeatCounts.clear()
+      repeatStart = 0
+      pass = 1
+      index = 0
+      continue
+    }
+
+    if (!jumped && navigation.dalSegno) {
+      const segnoIndex = findMark('segno', navigation.dalSegno)
+      if (segnoIndex !== -1) {
+        jumped = true
+        repeatCounts.clear()
+        repeatStart = segnoIndex
+        pass = 1
+        index = segnoIndex
+        continue
+      }
+    }
+
+    index++
+  }
+
+  // Cumulative beat positions along the performance
+  let currentBeat = 0
+  const occurrences = {}
+  timeline.forEach(entry => {
+    const measure = measures[entry.measure - 1]
+    const length = measure.endBeat - measure.startBeat
+    entry.startBeat = currentBeat
+    entry.endBeat = currentBeat + length
+    currentBeat += length
+
+    if (!occurrences[entry.measure]) occurrences[entry.measure] = []
+    occurrences[entry.measure].push(entry.index)
+  })
+
+  return {
+    timeline,
+    occurrences,
+    hasRepeats: timeline.length !== measures.length ||
+      timeline.some((entry, i) => entry.measure !== i + 1)
+  }
+}
+
+/**
+ * The ways a performer may play the score's repeats: as written, with
+ * repeats skipped, and (with a D.C./D.S.) with repeats taken again after
+ * the jump. Variants that come out identical are listed once; the first
+ * is the written convention buildPerformanceTimeline follows by default.
+ * @param {Measure[]} measures
+ * @returns {Object[]} [{ id, label, timeline, occurrences, hasRepeats }]
+ */
+export function buildCandidateTimelines(measures) {
+  const hasJump = measures.some(m => m.navigation?.daCapo || m.navigation?.dalSegno)
+  const variants = [
+    { id: 'written', label: 'Repeats as written', options: {} },
+    { id: 'no-repeats', label: 'Repeats skipped', options: { takeRepeats: false } }
+  ]
+  if (hasJump) {
+    variants.push({ id: 'repeats-after-jump', label: 'Repeats taken again after the jump', options: { repeatsAfterJump: true } })
+  }
+
+  const seen = new Set()
+  return variants.flatMap(({ id, label, options }) => {
+    const performance = buildPerformanceTimeline(measures, options)
+    const key = performance.timeline.map(entry => entry.measure).join(',')
+    if (seen.has(key)) return []
+    seen.add(key)
+    return [{ id, label, ...performance }]
+  })
+}
+
+/**
+ * Resolve volta brackets into per-measure ending info
+ * @returns {Array<Object|null>} { numbers, final, lastIndex } per measure
+ */
+export function resolveEndings(measures) {
+  const endings = new Array(measures.length).fill(null)
+  let open = null
+
+  measures.forEach((measure, index) => {
+    const navigation = measure.navigation || {}
+
+    if (navigation.endingStart) {
+      open = { numbers: navigation.endingStart, final: true, lastIndex: index }
+    }
+
+    if (open) {
+      endings[index] = open
+      open.lastIndex = index
+
+      // A bracket closed by a backward repeat is a non-final ending
+      if (navigation.endingStop || navigation.repeatBackward) {
+        open.final = !navigation.repeatBackward
+        open = null
+      }
+    }
+  })
+
+  return endings
+}
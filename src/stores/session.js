@@ -16,6 +16,8 @@ export const useSessionStore = defineStore('session', () => {
   const audioFile = ref(null)
   const parsedScore = ref(null)
   const audioBuffer = ref(null)
+  // Mono, resampled, normalized copy of the audio that features are computed from
+  const analysisBuffer = ref(null)
   
   // Analysis results
   const analysisComplete = ref(false)
@@ -27,6 +29,11 @@ export const useSessionStore = defineStore('session', () => {
   
   // Alignment
   const alignment = ref(null)
+
+  // Recordings of the score (Recording[]); audioBuffer, analysisBuffer,
+  // audioFeatures and alignment above are the active one's
+  const recordings = ref([])
+  const activeRecordingId = ref(null)
   
   // Processing state
   const isProcessing = ref(false)
@@ -35,7 +42,9 @@ export const useSessionStore = defineStore('session', () => {
   // Computed
   const hasScore = computed(() => parsedScore.value !== null)
   const hasAudio = computed(() => audioBuffer.value !== null)
-  const isReady = computed(() => hasScore.value && analysisComplete.value)
+  const activeRecording = computed(() => recordings.value.find(r => r.id === activeRecordingId.value) || null)
+  // A recording alone can be analyzed too (audio-only structure)
+  const isReady = computed(() => (hasScore.value || hasAudio.value) && analysisComplete.value)
 
   // Actions
   function setScoreFile(file) {
@@ -54,12 +63,40 @@ export const useSessionStore = defineStore('session', () => {
     audioBuffer.value = buffer
   }
 
+  function setAnalysisBuffer(buffer) {
+    analysisBuffer.value = buffer
+  }
+
   function setAudioFeatures(features) {
     audioFeatures.value = features
   }
 
   function setAlignment(alignmentData) {
     alignment.value = alignmentData
+    // Hand corrections stay with the recording they were made on
+    if (activeRecording.value) activeRecording.value.alignment = alignmentData
+  }
+
+  /**
+   * Replace the recordings; the first becomes the active one
+   * @param {Object[]} list - { name, audioBuffer, analysisBuffer, audioFeatures, alignment }
+   */
+  function setRecordings(list) {
+    recordings.value = list.map((recording, i) => ({ id: recording.id || `recording-${i + 1}`, ...recording }))
+    selectRecording(recordings.value[0]?.id ?? null)
+  }
+
+  /**
+   * Make another recording the one played, analyzed and edited
+   * @param {string|null} id
+   */
+  function selectRecording(id) {
+    const recording = recordings.value.find(r => r.id === id) || null
+    activeRecordingId.value = recording?.id ?? null
+    audioBuffer.value = recording?.audioBuffer ?? null
+    analysisBuffer.value = recording?.analysisBuffer ?? null
+    audioFeatures.value = recording?.audioFeatures ?? null
+    alignment.value = recording?.alignment ?? null
   }
 
   function setAnalysisComplete(complete) {
@@ -86,11 +123,14 @@ export const useSessionStore = defineStore('session', () => {
     audioFile.value = null
     parsedScore.value = null
     audioBuffer.value = null
+    analysisBuffer.value = null
     analysisComplete.value = false
     analysisProgress.value = 0
     analysisError.value = null
     audioFeatures.value = null
     alignment.value = null
+    recordings.value = []
+    activeRecordingId.value = null
     isProcessing.value = false
     processingStage.value = ''
   }
@@ -100,11 +140,18 @@ export const useSessionStore = defineStore('session', () => {
       sessionId: sessionId.value,
       createdAt: createdAt.value.toISOString(),
       parsedScore: parsedScore.value,
+      // Parser guesses the analysis rests on, kept at the top level for readers of the export
+      diagnostics: parsedScore.value?.diagnostics || [],
       audioFeatures: audioFeatures.value,
-      alignment: alignment.value ? {
-        measureToTime: Object.fromEntries(alignment.value.measureToTime || []),
-        confidence: alignment.value.confidence
-      } : null
+      alignment: serializeAlignment(alignment.value),
+      // Every recording's features and alignment (the audio itself is not saved)
+      recordings: recordings.value.map(recording => ({
+        id: recording.id,
+        name: recording.name,
+        audioFeatures: recording.audioFeatures,
+        alignment: serializeAlignment(recording.alignment)
+      })),
+      activeRecordingId: activeRecordingId.value
     }
   }
 
@@ -112,12 +159,17 @@ export const useSessionStore = defineStore('session', () => {
     if (data.sessionId) sessionId.value = data.sessionId
     if (data.createdAt) createdAt.value = new Date(data.createdAt)
     if (data.parsedScore) parsedScore.value = data.parsedScore
-    if (data.audioFeatures) audioFeatures.value = data.audioFeatures
-    if (data.alignment) {
-      alignment.value = {
-        measureToTime: new Map(Object.entries(data.alignment.measureToTime || {})),
-        confidence: data.alignment.confidence
-      }
+    if (data.recordings?.length) {
+      setRecordings(data.recordings.map(recording => ({
+        ...recording,
+        audioBuffer: null,
+        analysisBuffer: null,
+        alignment: deserializeAlignment(recording.alignment)
+      })))
+      selectRecording(data.activeRecordingId ?? recordings.value[0].id)
+    } else {
+      if (data.audioFeatures) audioFeatures.value = data.audioFeatures
+      if (data.alignment) alignment.value = deserializeAlignment(data.alignment)
     }
     analysisComplete.value = true
   }
@@ -130,17 +182,21 @@ export const useSessionStore = defineStore('session', () => {
     audioFile,
     parsedScore,
     audioBuffer,
+    analysisBuffer,
     analysisComplete,
     analysisProgress,
     analysisError,
     audioFeatures,
     alignment,
+    recordings,
+    activeRecordingId,
     isProcessing,
     processingStage,
     
     // Computed
     hasScore,
     hasAudio,
+    activeRecording,
     isReady,
     
     // Actions
@@ -148,8 +204,11 @@ export const useSessionStore = defineStore('session', () => {
     setAudioFile,
     setParsedScore,
     setAudioBuffer,
+    setAnalysisBuffer,
     setAudioFeatures,
     setAlignment,
+    setRecordings,
+    selectRecording,
     setAnalysisComplete,
     setAnalysisProgress,
     setAnalysisError,
@@ -160,6 +219,46 @@ export const useSessionStore = defineStore('session', () => {
   }
 })
 
+function serializeAlignment(alignment) {
+  if (!alignment) return null
+  return {
+    measureToTime: Object.fromEntries(alignment.measureToTime || []),
+    confidence: alignment.confidence,
+    duration: alignment.duration ?? null,
+    measureConfidence: Object.fromEntries(alignment.measureConfidence || []),
+    measureStats: Object.fromEntries(alignment.measureStats || []),
+    beatTimes: Object.fromEntries(alignment.beatTimes || []),
+    repeatStructure: alignment.repeatStructure ?? null,
+    // Hand-placed measure times; measureToTime already includes them
+    anchors: Object.fromEntries(alignment.anchors || []),
+    // Timing before the anchors, so removing them restores the DTW result
+    dtwMeasureToTime: alignment.dtwMeasureToTime ? Object.fromEntries(alignment.dtwMeasureToTime) : null,
+    dtwBeatTimes: alignment.dtwBeatTimes ? Object.fromEntries(alignment.dtwBeatTimes) : null
+  }
+}
+
+function deserializeAlignment(data) {
+  if (!data) return null
+  return {
+    measureToTime: measureMap(data.measureToTime),
+    confidence: data.confidence,
+    duration: data.duration ?? null,
+    measureConfidence: measureMap(data.measureConfidence),
+    measureStats: measureMap(data.measureStats),
+    beatTimes: measureMap(data.beatTimes),
+    repeatStructure: data.repeatStructure ?? null,
+    anchors: measureMap(data.anchors),
+    // Sessions saved without them fall back to measureToTime in loadAlignment
+    dtwMeasureToTime: data.dtwMeasureToTime ? measureMap(data.dtwMeasureToTime) : null,
+    dtwBeatTimes: data.dtwBeatTimes ? measureMap(data.dtwBeatTimes) : null
+  }
+}
+
+// JSON object keys are strings; measures are looked up by number
+function measureMap(object) {
+  return new Map(Object.entries(object || {}).map(([measure, value]) => [Number(measure), value]))
+}
+
 function generateSessionId() {
   return 'session-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9)
 }
@@ -188,6 +188,30 @@ export const useStructureStore = defineStore('structure', () => {
     return bestNode
   }
 
+  function getNodeAtPerformedMeasure(performedMeasure) {
+    // Same as getNodeAtMeasure, but by position in the performed (repeat-unfolded) order
+    let bestNode = null
+    let bestDepth = -1
+
+    const findNode = (node, depth) => {
+      const start = node.performedStartMeasure ?? node.startMeasure
+      const end = node.performedEndMeasure ?? node.endMeasure
+      if (performedMeasure >= start && performedMeasure <= end) {
+        if (depth > bestDepth) {
+          bestNode = node
+          bestDepth = depth
+        }
+        node.children?.forEach(child => findNode(child, depth + 1))
+      }
+    }
+
+    if (structureTree.value?.root) {
+      findNode(structureTree.value.root, 0)
+    }
+
+    return bestNode
+  }
+
   function getNodesInRange(startMeasure, endMeasure) {
     return allNodes.value.filter(node =>
       node.startMeasure <= endMeasure && node.endMeasure >= startMeasure
@@ -316,6 +340,7 @@ export const useStructureStore = defineStore('structure', () => {
     updateNodeType,
     updateNodeMaterial,
     getNodeAtMeasure,
+    getNodeAtPerformedMeasure,
     getNodesInRange,
     getRelatedNodes,
     reset,
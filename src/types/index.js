@@ -3,24 +3,86 @@
  * Core data structures for musical analysis
  */
 
+/**
+ * @typedef {Object} Fraction
+ * @property {number} numerator
+ * @property {number} denominator
+ */
+
 /**
  * @typedef {Object} Note
- * @property {string} pitch - e.g., "C4", "D#5"
- * @property {number} duration - in beats
+ * @property {string|null} pitch - concert pitch, e.g., "C4", "D#5"; null for rests and unpitched notes
+ * @property {string} [writtenPitch] - pitch as written in a transposing part
+ * @property {{displayStep: string, displayOctave: number, instrument: string|null}} [unpitched] - percussion note: staff position and instrument id
+ * @property {boolean} [percussion] - event of a percussion part (rests included)
+ * @property {boolean} [isRest] - rest event
+ * @property {number} duration - in quarter notes (tied notes merged)
  * @property {number} measureNumber
- * @property {number} beat
+ * @property {number} beat - onset within the measure, in quarter notes
+ * @property {Fraction} beatFraction - exact onset
+ * @property {Fraction} durationFraction - exact duration
+ * @property {boolean} [grace] - grace note, takes no time
+ * @property {boolean} [tied] - sustained through one or more ties
+ * @property {{actualNotes: number, normalNotes: number, normalType: string|null}} [tuplet]
  * @property {number} voice
+ * @property {number} staff - 1-based staff within the part
+ * @property {string} partId - id of the <part> the note belongs to
  * @property {string} [dynamics] - p, mf, f, etc.
+ * @property {'crescendo'|'diminuendo'} [hairpinStart] - wedge starting at this note
+ * @property {boolean} [hairpinEnd] - wedge ending at this note
+ * @property {boolean} [fermata]
+ * @property {boolean} [breathMark] - breath mark or caesura
+ * @property {boolean} [slurStart]
+ * @property {boolean} [slurEnd]
+ * @property {string[]} [articulations] - e.g., "staccato", "accent", "tenuto"
+ * @property {boolean} [staccato]
+ * @property {boolean} [accent]
+ * @property {Lyric[]} [lyrics] - one syllable per verse
+ */
+
+/**
+ * @typedef {Object} Lyric
+ * @property {number} verse - 1-based verse (stanza) number
+ * @property {string} text - syllable as written
+ * @property {'single'|'begin'|'middle'|'end'} syllabic - position of the syllable in its word
+ * @property {boolean} extend - melisma line follows
+ * @property {boolean} endLine - last syllable of a printed lyric line
  */
 
 /**
  * @typedef {Object} Measure
- * @property {number} number
- * @property {Note[]} notes
- * @property {number} startBeat
+ * @property {number} number - 1-based position in the shared measure grid
+ * @property {string} label - written measure number from the score
+ * @property {Note[]} notes - notes of all parts
+ * @property {string[]} partIds - parts that contain this measure
+ * @property {Object|null} navigation - repeats, volta endings, D.C./D.S. marks
+ * @property {TimeSignature} timeSignature - meter in effect in this measure
+ * @property {KeySignature} keySignature - key in effect in this measure
+ * @property {number} tempo - quarter-note BPM at the start of the measure
+ * @property {Array<{beat: number, bpm: number}>} tempoChanges - tempo marks inside the measure
+ * @property {Chord[]} chords - chord track of the measure
+ * @property {SectionMark[]} sectionMarks - rehearsal marks and section words in the measure
+ * @property {number} startBeat - in quarter notes from the start of the score
  * @property {number} endBeat
  */
 
+/**
+ * @typedef {Object} Chord
+ * @property {number} measureNumber
+ * @property {number} beat - onset within the measure, in quarter notes
+ * @property {number} duration - until the next chord or the end of the measure
+ * @property {string|null} root - e.g., "Bb"; null for N.C.
+ * @property {string} kind - MusicXML kind value, e.g., "major", "dominant"
+ * @property {string|null} bass - bass note when it differs from the root
+ * @property {number} inversion
+ * @property {Array<{value: number, alter: number, type: string}>} degrees - added/altered/subtracted degrees
+ * @property {Array<{number: number|null, prefix: string|null}>} [figures] - figured-bass figures
+ * @property {number[]} pitchClasses - chord tones, root first
+ * @property {string} symbol - e.g., "C7b9", "F/A"
+ * @property {'harmony'|'figured-bass'} source
+ * @property {string} partId
+ */
+
 /**
  * @typedef {Object} KeySignature
  * @property {number} fifths - -7 to 7
@@ -33,14 +95,87 @@
  * @property {number} beatType
  */
 
+/**
+ * @typedef {Object} Part
+ * @property {string} id
+ * @property {string} name
+ * @property {number} measureCount
+ * @property {number[]} staves
+ * @property {Array<{id: string, name: string|null, midiUnpitched: number|null}>} [instruments] - declared instruments, e.g. the drums of a kit
+ * @property {boolean} [percussion] - unpitched percussion part
+ * @property {{diatonic: number, chromatic: number, octaveChange: number}|null} [transpose] - written + transpose = concert pitch
+ * @property {Note[]} notes - note stream of this part only
+ */
+
+/**
+ * @typedef {Object} PerformedMeasure
+ * @property {number} index - 1-based position in the performed order
+ * @property {number} measure - written measure number
+ * @property {string} label
+ * @property {number} pass - repeat pass (1 = first time through)
+ * @property {number} startBeat
+ * @property {number} endBeat
+ */
+
+/**
+ * @typedef {Object} PerformanceTimeline
+ * @property {PerformedMeasure[]} timeline - repeats and jumps unfolded
+ * @property {Object<number, number[]>} occurrences - written measure → performed indices
+ * @property {boolean} hasRepeats
+ * @property {string} [variant] - set when a recording showed the repeats played
+ *   otherwise than written: the buildCandidateTimelines id it followed
+ */
+
+/**
+ * @typedef {Object} SectionMark
+ * @property {'rehearsal'|'words'} type
+ * @property {string} text - as written, e.g. "B" or "Trio"
+ * @property {string|null} section - canonical section name, e.g. 'trio', 'development'
+ * @property {number} measureNumber
+ * @property {number} beat - offset within the measure, in quarter notes
+ */
+
+/**
+ * @typedef {Object} ScoreMetadata
+ * @property {string|null} title - work title, or the movement title when there is none
+ * @property {string|null} workTitle
+ * @property {string|null} workNumber - e.g., opus or catalogue number
+ * @property {string|null} movementTitle
+ * @property {string|null} movementNumber
+ * @property {string|null} composer
+ * @property {string|null} lyricist
+ * @property {string|null} arranger
+ * @property {Array<{type: string, name: string}>} creators
+ * @property {string|null} rights
+ */
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {'error'|'warning'|'info'} severity
+ * @property {string} code - stable identifier, e.g. 'missing-tempo'
+ * @property {string} message
+ * @property {string|null} measure - written label of the first affected measure
+ * @property {string|null} part
+ * @property {string|null} fallback - the value used instead of the missing data
+ * @property {number} count - occurrences folded into this entry
+ */
+
 /**
  * @typedef {Object} ParsedScore
  * @property {Measure[]} measures
  * @property {Note[]} notes
  * @property {KeySignature} keySignature
  * @property {TimeSignature} timeSignature
- * @property {number} tempo
- * @property {Object[]} parts
+ * @property {number} tempo - initial quarter-note BPM
+ * @property {Array<{measure: number, beat: number, bpm: number}>} tempoMap
+ * @property {Array<{measure: number, beats: number, beatType: number}>} meterMap
+ * @property {Array<{measure: number, fifths: number, mode: string}>} keyMap
+ * @property {Chord[]} chords - chord symbols and figured bass, in score order
+ * @property {ScoreMetadata} metadata - titles and creators
+ * @property {SectionMark[]} sectionMarks - in score order
+ * @property {Part[]} parts
+ * @property {PerformanceTimeline} performance
+ * @property {Diagnostic[]} diagnostics - where the parser had to guess
  */
 
 /**
@@ -53,6 +188,7 @@
  * @property {number} beat
  * @property {CadenceType} type
  * @property {number} confidence - 0.0 to 1.0
+ * @property {{from: string, to: string}} [chords] - chord symbols, when detected from the chord track
  */
 
 /**
@@ -92,6 +228,8 @@
  * @property {number} startMeasure
  * @property {number} endMeasure
  * @property {string} function - 'exposition', 'development', 'recapitulation', etc.
+ * @property {string} [rehearsalMark] - mark written at the section start
+ * @property {string|null} [sectionLabel] - canonical name of that mark
  */
 
 /**
@@ -99,6 +237,9 @@
  * @property {FormType} formType
  * @property {Section[]} sections
  * @property {number} confidence
+ * @property {{marks: number, aligned: number, contribution: number}} [boundaryHints] - section marks that agree with the detected boundaries
+ * @property {'audio'} [source] - set when the form was found from a recording without a score
+ * @property {string} [pattern] - material labels of the audio segments, e.g. "A B A'"
  */
 
 /**
@@ -113,6 +254,8 @@
  * @property {number} endMeasure
  * @property {StructureNode[]} children
  * @property {StructureNode} [parent]
+ * @property {number} [performedStartMeasure] - start in performed (repeat-unfolded) order
+ * @property {number} [performedEndMeasure] - end in performed order
  * @property {string} material
  * @property {number} confidence
  * @property {Object} features
@@ -149,11 +292,93 @@
  * @property {'single'|'sequence'|'grid'} arrangement
  */
 
+/**
+ * @typedef {Object} AnalysisBuffer
+ * @property {Float32Array} samples - mono mixdown (or side signal), loudness-normalized
+ * @property {number} sampleRate - analysis rate
+ * @property {number} duration - in seconds
+ * @property {number} sourceSampleRate - rate of the decoded file
+ * @property {number} channelCount - channels of the decoded file
+ * @property {'mid'|'side'} mixdown
+ * @property {number} gain - normalization gain applied
+ */
+
+/**
+ * @typedef {Object} OnsetFeatures
+ * @property {number[]} times - onset times in seconds
+ * @property {number[]} strengths - 0-1, relative to the strongest onset
+ */
+
+/**
+ * @typedef {Object} BeatFeatures
+ * @property {number[]} times - beat times in seconds
+ * @property {number} tempo - global tempo estimate (BPM)
+ * @property {Array<{time: number, bpm: number}>} tempoCurve - local tempo at each beat
+ * @property {Array<{phase: number, score: number, times: number[]}>} downbeats - bar phases, most likely first
+ */
+
+/**
+ * @typedef {Object} EstimatedKey
+ * @property {number} tonic - pitch class, 0 = C
+ * @property {'major'|'minor'} mode
+ * @property {number} fifths - key signature of the key
+ * @property {string} name - e.g. "F# minor"
+ */
+
+/**
+ * @typedef {Object} KeyEstimate
+ * @property {EstimatedKey} key - global key of the recording
+ * @property {number} correlation - with the key profile
+ * @property {number} confidence - 0-1, from correlation, margin over the runner-up and stability
+ * @property {EstimatedKey} alternative - runner-up key
+ * @property {number} stability - share of windows that agree with the global key
+ * @property {Array<EstimatedKey & {time: number, correlation: number, confidence: number}>} curve - key over time
+ */
+
 /**
  * @typedef {Object} AlignmentResult
  * @property {Array<[number, number]>} path
- * @property {Map<number, number>} measureToTime
- * @property {number} confidence
+ * @property {Map<number, number>} measureToTime - performed measure position -> start time (seconds)
+ * @property {Map<number, number>} timeToMeasure - time rounded to 0.1 s -> performed measure position
+ * @property {number} confidence - 0-1, from the mean chroma distance along the path
+ * @property {number} distance
+ * @property {string} [mode] - DTW mode used: exact, banded or fastdtw
+ * @property {number} [duration] - length of the aligned recording (seconds)
+ * @property {number} [measureCount]
+ * @property {Map<number, number>} [measureConfidence] - 0-1 per performed measure, from local cost and path slope
+ * @property {Map<number, {cost: number, slope: number, confidence: number}>} [measureStats] - slope is
+ *   audio frames per score frame relative to the median measure
+ * @property {Map<number, number[]>} [beatTimes] - start time of every beat, per performed measure
+ * @property {Map<number, number[]>} [dtwBeatTimes] - beat times before anchors were applied
+ * @property {{id: string, label: string, candidates: Array<{id: string, label: string, cost: number, confidence: number}>}} [repeatStructure]
+ *   - how the recording played the repeats, when several ways were tried
+ * @property {Map<number, number>} [dtwMeasureToTime] - measure times before anchors were applied
+ * @property {Map<number, number>} [anchors] - measure times fixed by hand
+ */
+
+/**
+ * @typedef {Object} Recording
+ * @property {string} id
+ * @property {string} name - file name
+ * @property {AudioBuffer|null} audioBuffer - null in an imported session
+ * @property {AnalysisBuffer|null} analysisBuffer
+ * @property {Object} audioFeatures
+ * @property {AlignmentResult|null} alignment - against the score's performed order
+ */
+
+/**
+ * @typedef {Object} FollowerPosition
+ * @property {Object} entry - performance timeline entry
+ * @property {number} index - performed measure position (1-based)
+ * @property {number} measure - written measure number
+ * @property {number} progress - 0-1 within the measure
+ * @property {number} beat
+ * @property {number} beats
+ * @property {number} tempo - tempo the performer is taking, or the marked tempo
+ * @property {number} confidence - 0-1, from the recent chroma match cost
+ * @property {number} time - audio clock time of the frame the position comes from
+ * @property {number} [latency] - seconds from that frame to the position being shown
+ * @property {boolean} silent - the last frame was too quiet to match
  */
 
 // Export constants